@@ -0,0 +1,85 @@
+// ===================================
+// APP STATE STORE
+// ===================================
+// A small observable store. State is split into named slices, each declared
+// up front with a type and an initial value. Reads go through the read-only
+// `state` object; writes go through set()/patch(), which type-check the new
+// value and notify that slice's subscribers with (value, previousValue).
+
+const TYPE_CHECKS = {
+  array: (value) => Array.isArray(value),
+  boolean: (value) => typeof value === "boolean",
+  number: (value) => typeof value === "number" && !Number.isNaN(value),
+  string: (value) => typeof value === "string",
+  // Object slices may also be empty (null), e.g. no signed-in user
+  object: (value) => value === null || (typeof value === "object" && !Array.isArray(value))
+};
+
+export function createStore(definitions) {
+  const values = {};
+  const listeners = new Map();
+  const state = {};
+
+  Object.entries(definitions).forEach(([key, { type, initial }]) => {
+    if (!TYPE_CHECKS[type]) {
+      throw new Error(`Store slice "${key}" has unknown type "${type}"`);
+    }
+    values[key] = initial;
+    listeners.set(key, new Set());
+    Object.defineProperty(state, key, { get: () => values[key], enumerable: true });
+  });
+
+  Object.freeze(state);
+
+  function assertSlice(key) {
+    if (!listeners.has(key)) {
+      throw new Error(`Unknown store slice "${key}"`);
+    }
+  }
+
+  function set(key, next) {
+    assertSlice(key);
+
+    const previous = values[key];
+    const value = typeof next === "function" ? next(previous) : next;
+    const { type } = definitions[key];
+
+    if (!TYPE_CHECKS[type](value)) {
+      throw new TypeError(`Store slice "${key}" expects ${type}, got ${Array.isArray(value) ? "array" : typeof value}`);
+    }
+
+    if (Object.is(previous, value)) return;
+
+    values[key] = value;
+    listeners.get(key).forEach((listener) => {
+      try {
+        listener(value, previous);
+      } catch (error) {
+        console.error(`Store subscriber for "${key}" failed:`, error);
+      }
+    });
+  }
+
+  // Shallow-merge into an object slice
+  function patch(key, partial) {
+    set(key, (previous) => ({ ...previous, ...partial }));
+  }
+
+  function subscribe(keys, listener) {
+    const sliceKeys = Array.isArray(keys) ? keys : [keys];
+    sliceKeys.forEach((key) => {
+      assertSlice(key);
+      listeners.get(key).add(listener);
+    });
+
+    return () => {
+      sliceKeys.forEach((key) => listeners.get(key).delete(listener));
+    };
+  }
+
+  function reset() {
+    Object.entries(definitions).forEach(([key, { initial }]) => set(key, initial));
+  }
+
+  return { state, set, patch, subscribe, reset };
+}
@@ -0,0 +1,267 @@
+// ===================================
+// HISTORY IMPORT
+// ===================================
+// Reads watchlist and history exports from other services into one row
+// shape, and decides which TMDB search result a row refers to. Everything
+// here is pure: the caller reads the file, does the TMDB lookups and saves.
+//
+// Supported files:
+//   Letterboxd  watchlist.csv, watched.csv, diary.csv, ratings.csv and list exports
+//   IMDb        list and watchlist exports, ratings.csv
+//   Trakt       JSON exports of the watchlist, history, watched and ratings
+//
+// A row is { line, title, year, imdbId, tmdbId, mediaType, target, date,
+// season, episode, skip }. target is "list" (goes to My List) or "history";
+// skip holds the reason when the row can't be imported at all.
+
+export class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImportFormatError";
+  }
+}
+
+const IMDB_UNSUPPORTED_TYPES = {
+  tvepisode: "Single episodes aren't imported",
+  videogame: "Video games aren't imported",
+  podcastseries: "Podcasts aren't imported",
+  podcastepisode: "Podcasts aren't imported",
+  musicvideo: "Music videos aren't imported"
+};
+
+const IMDB_TV_TYPES = ["tvseries", "tvminiseries"];
+
+export function parseImportFile(fileName, text) {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const name = String(fileName || "").toLowerCase();
+
+  if (name.endsWith(".json") || /^\s*[[{]/.test(content)) {
+    return { source: "trakt", rows: parseTrakt(content) };
+  }
+
+  const records = parseCSV(content);
+  if (records[0]?.[0]?.startsWith("Letterboxd list export")) {
+    return { source: "letterboxd", rows: parseLetterboxdList(records) };
+  }
+
+  const header = records[0] || [];
+  if (header.includes("Letterboxd URI")) {
+    return { source: "letterboxd", rows: parseLetterboxd(records, name) };
+  }
+  if (header.includes("Const") && header.includes("Title Type")) {
+    return { source: "imdb", rows: parseImdb(records) };
+  }
+
+  throw new ImportFormatError("This doesn't look like a Letterboxd, IMDb or Trakt export.");
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines come out as a single empty field
+  return records.map((fields) => (fields.length === 1 && fields[0] === "" ? [] : fields));
+}
+
+// Header names -> values, with the file's line number (the header is line 1)
+function toObjects(records, headerIndex = 0) {
+  const header = records[headerIndex].map((column) => column.trim());
+  return records.slice(headerIndex + 1)
+    .map((fields, index) => ({ fields, line: headerIndex + index + 2 }))
+    .filter(({ fields }) => fields.length > 0)
+    .map(({ fields, line }) => {
+      const values = { line };
+      header.forEach((column, index) => {
+        values[column] = (fields[index] || "").trim();
+      });
+      return values;
+    });
+}
+
+// Letterboxd's watchlist and watched files have the same columns, so the
+// file name is all that tells them apart. Anything unrecognised goes to
+// My List, which is the easier one to undo.
+function parseLetterboxd(records, fileName) {
+  const header = records[0];
+  const isHistory = header.includes("Watched Date") || /(^|[^a-z])(watched|diary|ratings|reviews)/.test(fileName);
+
+  return toObjects(records).map((values) => ({
+    line: values.line,
+    title: values.Name,
+    year: parseYear(values.Year),
+    mediaType: "movie",
+    target: isHistory ? "history" : "list",
+    date: parseDate(values["Watched Date"] || values.Date)
+  }));
+}
+
+// A few lines about the list itself, then a blank line and the titles
+function parseLetterboxdList(records) {
+  const headerIndex = records.findIndex((fields) => fields[0] === "Position");
+  if (headerIndex === -1) throw new ImportFormatError("This Letterboxd list export has no titles in it.");
+
+  return toObjects(records, headerIndex).map((values) => ({
+    line: values.line,
+    title: values.Name,
+    year: parseYear(values.Year),
+    mediaType: "movie",
+    target: "list",
+    date: null
+  }));
+}
+
+// List exports number their titles; the ratings export doesn't and only
+// holds titles the user has seen
+function parseImdb(records) {
+  const isHistory = !records[0].includes("Position");
+
+  return toObjects(records).map((values) => {
+    const type = (values["Title Type"] || "").toLowerCase().replace(/[^a-z]/g, "");
+    return {
+      line: values.line,
+      title: values.Title,
+      year: parseYear(values.Year),
+      imdbId: /^tt\d+$/.test(values.Const) ? values.Const : null,
+      mediaType: IMDB_TV_TYPES.includes(type) ? "tv" : "movie",
+      target: isHistory ? "history" : "list",
+      date: parseDate(isHistory ? values["Date Rated"] : values.Created),
+      skip: IMDB_UNSUPPORTED_TYPES[type]
+    };
+  });
+}
+
+// Trakt exports are arrays of entries, or an object holding several of them
+// (watchlist, history, ...). Watchlist entries have listed_at; watches have
+// watched_at or last_watched_at; ratings have rated_at and count as watched.
+function parseTrakt(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ImportFormatError("This JSON file couldn't be read.");
+  }
+
+  const entries = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).filter(Array.isArray).flat();
+
+  if (entries.length === 0 || !entries.every((entry) => entry && typeof entry === "object")) {
+    throw new ImportFormatError("This doesn't look like a Trakt export.");
+  }
+
+  return entries.map((entry, index) => {
+    const media = entry.movie || entry.show;
+    const isHistory = Boolean(entry.watched_at || entry.last_watched_at || entry.rated_at);
+    const row = {
+      line: index + 1,
+      title: media?.title || "",
+      year: parseYear(media?.year),
+      imdbId: /^tt\d+$/.test(media?.ids?.imdb || "") ? media.ids.imdb : null,
+      tmdbId: Number(media?.ids?.tmdb) || null,
+      mediaType: entry.movie ? "movie" : "tv",
+      target: isHistory ? "history" : "list",
+      date: parseDate(entry.watched_at || entry.last_watched_at || entry.rated_at || entry.listed_at)
+    };
+
+    if (!media) {
+      return { ...row, title: entry.person?.name || "", skip: "Only movies and shows are imported" };
+    }
+    // Watched episodes are kept as a watch of their show
+    if (entry.episode && entry.show) {
+      return { ...row, season: entry.episode.season ?? null, episode: entry.episode.number ?? null };
+    }
+    return row;
+  });
+}
+
+function parseYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 1870 && year <= 2100 ? year : null;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// candidates: TMDB results with media_type set. Returns { status, match,
+// candidates } where status is "matched", "ambiguous" or "unmatched".
+// Only one result with the same title and year is a match; anything less
+// certain is left for the user to pick.
+export function pickMatch(row, results, { maxCandidates = 5 } = {}) {
+  const titles = results.filter((item) => item.media_type === "movie" || item.media_type === "tv");
+  // The export's type is a hint: other types are only offered if nothing else fits
+  const sameType = titles.filter((item) => !row.mediaType || item.media_type === row.mediaType);
+  const candidates = sameType.length > 0 ? sameType : titles;
+
+  if (candidates.length === 0) return { status: "unmatched", match: null, candidates: [] };
+
+  const title = normalizeTitle(row.title);
+  const exact = candidates.filter((item) =>
+    (normalizeTitle(item.title || item.name) === title ||
+      normalizeTitle(item.original_title || item.original_name) === title) &&
+    (!row.year || getCandidateYear(item) === row.year)
+  );
+
+  if (exact.length === 1 && (row.year || candidates.length === 1)) {
+    return { status: "matched", match: exact[0], candidates: [] };
+  }
+
+  // Likeliest first: exact titles, then the closest years, then TMDB's order
+  const ranked = [...candidates].sort((a, b) =>
+    exact.includes(b) - exact.includes(a) ||
+    (row.year ? Math.abs(getCandidateYear(a) - row.year) - Math.abs(getCandidateYear(b) - row.year) : 0)
+  );
+  return { status: "ambiguous", match: null, candidates: ranked.slice(0, maxCandidates) };
+}
+
+export function getCandidateYear(item) {
+  return parseInt((item.release_date || item.first_air_date || "").split("-")[0], 10) || 0;
+}
+
+function normalizeTitle(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
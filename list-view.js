@@ -0,0 +1,78 @@
+// ===================================
+// LIST VIEW
+// ===================================
+// Sorting and filtering for the list pages. Everything here is pure: the
+// caller passes what items don't carry themselves, i.e. the genres of titles
+// saved before list items stored them and whether a title has been watched.
+//
+// A view is { sort, type, genre, status }; empty strings mean "any".
+
+export const LIST_SORTS = {
+  custom: { label: "Custom order" },
+  added: { label: "Date added", compare: (a, b) => getTime(b.added_at) - getTime(a.added_at) },
+  title: {
+    label: "Title",
+    compare: (a, b) => getTitle(a).localeCompare(getTitle(b), undefined, { sensitivity: "base", numeric: true })
+  },
+  rating: { label: "Rating", compare: (a, b) => (b.vote_average || 0) - (a.vote_average || 0) },
+  year: { label: "Release year", compare: (a, b) => getYear(b) - getYear(a) }
+};
+
+export const DEFAULT_LIST_VIEW = { sort: "custom", type: "", genre: "", status: "" };
+
+// Drops anything that isn't a known, well-formed value
+export function readListView(saved = {}) {
+  return {
+    sort: LIST_SORTS[saved?.sort] ? saved.sort : DEFAULT_LIST_VIEW.sort,
+    type: saved?.type === "movie" || saved?.type === "tv" ? saved.type : "",
+    genre: /^\d+$/.test(saved?.genre || "") ? saved.genre : "",
+    status: saved?.status === "watched" || saved?.status === "unwatched" ? saved.status : ""
+  };
+}
+
+export function hasListFilters(view, query = "") {
+  return Boolean(view.type || view.genre || view.status || normalizeText(query));
+}
+
+export function applyListView(items, view, {
+  query = "",
+  getGenreIds = (item) => item.genre_ids,
+  isWatched = () => false
+} = {}) {
+  const text = normalizeText(query);
+
+  const filtered = items.filter((item) => {
+    if (view.type && item.media_type !== view.type) return false;
+    if (view.genre && !(getGenreIds(item) || []).includes(Number(view.genre))) return false;
+    if (view.status && isWatched(item) !== (view.status === "watched")) return false;
+    if (text && !normalizeText(getTitle(item)).includes(text)) return false;
+    return true;
+  });
+
+  // sort() is stable, so ties keep the list's own order
+  const { compare } = LIST_SORTS[view.sort] || {};
+  return compare ? [...filtered].sort(compare) : filtered;
+}
+
+function getTitle(item) {
+  return item.title || item.name || "";
+}
+
+function getTime(date) {
+  const time = date ? new Date(date).getTime() : NaN;
+  return Number.isFinite(time) ? time : 0;
+}
+
+// Undated titles go last
+function getYear(item) {
+  return parseInt((item.release_date || item.first_air_date || "").split("-")[0], 10) || 0;
+}
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
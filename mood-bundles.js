@@ -0,0 +1,74 @@
+// ===================================
+// MOOD BUNDLES
+// ===================================
+// Curated groups of TMDB keywords behind "Browse by mood". Keywords are
+// listed by name and looked up through /search/keyword, so a bundle can be
+// edited without digging up ids; names with no exact match are skipped.
+// A title matches a bundle when it has any of the bundle's keywords.
+
+export const MOOD_BUNDLES = [
+  {
+    id: "mind-bending",
+    label: "Mind-Bending",
+    icon: "fa-brain",
+    accent: "#7c3aed",
+    description: "Twists, loops and realities that don't add up until they do.",
+    keywords: ["twist ending", "time loop", "nonlinear timeline", "alternate reality", "dream", "parallel world"]
+  },
+  {
+    id: "feel-good",
+    label: "Feel-Good",
+    icon: "fa-smile",
+    accent: "#f59e0b",
+    description: "Warm, funny and kind. Guaranteed to leave you smiling.",
+    keywords: ["feel-good", "heartwarming", "friendship", "underdog", "found family"]
+  },
+  {
+    id: "true-story",
+    label: "Based on a True Story",
+    icon: "fa-book-open",
+    accent: "#0ea5e9",
+    description: "Real people, real events, dramatised.",
+    keywords: ["based on true story", "biography", "historical figure", "true crime"]
+  },
+  {
+    id: "time-travel",
+    label: "Time Travel",
+    icon: "fa-hourglass-half",
+    accent: "#10b981",
+    description: "Paradoxes, second chances and meddling with history.",
+    keywords: ["time travel", "time machine", "time paradox"]
+  },
+  {
+    id: "edge-of-your-seat",
+    label: "Edge of Your Seat",
+    icon: "fa-heartbeat",
+    accent: "#e50914",
+    description: "Heists, chases and survival against the clock.",
+    keywords: ["heist", "survival", "cat and mouse", "race against time", "hostage"]
+  },
+  {
+    id: "whodunit",
+    label: "Whodunit",
+    icon: "fa-user-secret",
+    accent: "#64748b",
+    description: "Clues, suspects and a detective who sees what you missed.",
+    keywords: ["whodunit", "murder mystery", "detective", "amateur detective"]
+  },
+  {
+    id: "space",
+    label: "Lost in Space",
+    icon: "fa-rocket",
+    accent: "#4f46e5",
+    description: "Astronauts, alien worlds and the long way home.",
+    keywords: ["space travel", "outer space", "astronaut", "alien planet", "space mission"]
+  },
+  {
+    id: "dystopian",
+    label: "Dystopian Futures",
+    icon: "fa-city",
+    accent: "#78716c",
+    description: "Societies gone wrong and the people who push back.",
+    keywords: ["dystopia", "post-apocalyptic future", "totalitarian regime", "rebellion"]
+  }
+];
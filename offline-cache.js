@@ -0,0 +1,195 @@
+// ===================================
+// OFFLINE CACHE (IndexedDB)
+// ===================================
+// Persists TMDB responses and per-user snapshots (bookmarks, continue
+// watching) so rows can render instantly and survive a flaky network.
+// Responses are evicted least-recently-used once the entry count or total
+// size goes over budget, and anything older than maxAge is dropped.
+
+const RESPONSES_STORE = "responses";
+const SNAPSHOTS_STORE = "snapshots";
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function openDatabase(name, version, upgrade) {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`IndexedDB "${name}" upgrade blocked`));
+  });
+}
+
+export function createOfflineCache({
+  dbName = "onlybinge-cache",
+  maxEntries = 300,
+  maxBytes = 5 * 1024 * 1024,
+  maxAge = 14 * 24 * 60 * 60 * 1000
+} = {}) {
+  let dbPromise = null;
+  let pruneTimer = null;
+
+  function getDB() {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, 1, (db) => {
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          const responses = db.createObjectStore(RESPONSES_STORE, { keyPath: "key" });
+          responses.createIndex("accessedAt", "accessedAt");
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          db.createObjectStore(SNAPSHOTS_STORE, { keyPath: "key" });
+        }
+      }).catch((error) => {
+        console.warn("Offline cache disabled:", error);
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function getResponse(key) {
+    const db = await getDB();
+    if (!db) return undefined;
+
+    try {
+      const tx = db.transaction(RESPONSES_STORE, "readwrite");
+      const store = tx.objectStore(RESPONSES_STORE);
+      const entry = await promisifyRequest(store.get(key));
+
+      if (!entry) return undefined;
+
+      if (Date.now() - entry.storedAt > maxAge) {
+        store.delete(key);
+        return undefined;
+      }
+
+      entry.accessedAt = Date.now();
+      store.put(entry);
+      return { data: entry.data, storedAt: entry.storedAt };
+    } catch (error) {
+      console.warn("Offline cache read failed:", error);
+      return undefined;
+    }
+  }
+
+  async function putResponse(key, data) {
+    const db = await getDB();
+    if (!db) return;
+
+    try {
+      const size = JSON.stringify(data).length;
+      if (size > maxBytes) return;
+
+      const now = Date.now();
+      const tx = db.transaction(RESPONSES_STORE, "readwrite");
+      tx.objectStore(RESPONSES_STORE).put({ key, data, size, storedAt: now, accessedAt: now });
+      await promisifyTransaction(tx);
+      schedulePrune();
+    } catch (error) {
+      console.warn("Offline cache write failed:", error);
+    }
+  }
+
+  // Writes come in bursts (a whole home page at once), so prune once after
+  function schedulePrune() {
+    clearTimeout(pruneTimer);
+    pruneTimer = setTimeout(() => {
+      prune().catch((error) => console.warn("Offline cache prune failed:", error));
+    }, 1000);
+  }
+
+  async function prune() {
+    const db = await getDB();
+    if (!db) return;
+
+    const tx = db.transaction(RESPONSES_STORE, "readwrite");
+    const store = tx.objectStore(RESPONSES_STORE);
+    const entries = await promisifyRequest(store.index("accessedAt").getAll());
+
+    let count = entries.length;
+    let bytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+    const now = Date.now();
+
+    // Oldest access first
+    for (const entry of entries) {
+      const expired = now - entry.storedAt > maxAge;
+      if (!expired && count <= maxEntries && bytes <= maxBytes) break;
+
+      store.delete(entry.key);
+      count--;
+      bytes -= entry.size || 0;
+    }
+
+    await promisifyTransaction(tx);
+  }
+
+  async function getSnapshot(key) {
+    const db = await getDB();
+    if (!db) return undefined;
+
+    try {
+      const tx = db.transaction(SNAPSHOTS_STORE, "readonly");
+      const entry = await promisifyRequest(tx.objectStore(SNAPSHOTS_STORE).get(key));
+      return entry ? { data: entry.data, storedAt: entry.storedAt } : undefined;
+    } catch (error) {
+      console.warn("Offline snapshot read failed:", error);
+      return undefined;
+    }
+  }
+
+  async function putSnapshot(key, data) {
+    const db = await getDB();
+    if (!db) return;
+
+    try {
+      const tx = db.transaction(SNAPSHOTS_STORE, "readwrite");
+      tx.objectStore(SNAPSHOTS_STORE).put({ key, data, storedAt: Date.now() });
+      await promisifyTransaction(tx);
+    } catch (error) {
+      console.warn("Offline snapshot write failed:", error);
+    }
+  }
+
+  async function deleteSnapshots(keys) {
+    const db = await getDB();
+    if (!db) return;
+
+    try {
+      const tx = db.transaction(SNAPSHOTS_STORE, "readwrite");
+      keys.forEach((key) => tx.objectStore(SNAPSHOTS_STORE).delete(key));
+      await promisifyTransaction(tx);
+    } catch (error) {
+      console.warn("Offline snapshot delete failed:", error);
+    }
+  }
+
+  async function clear() {
+    const db = await getDB();
+    if (!db) return;
+
+    const tx = db.transaction([RESPONSES_STORE, SNAPSHOTS_STORE], "readwrite");
+    tx.objectStore(RESPONSES_STORE).clear();
+    tx.objectStore(SNAPSHOTS_STORE).clear();
+    await promisifyTransaction(tx);
+  }
+
+  return { getResponse, putResponse, getSnapshot, putSnapshot, deleteSnapshots, prune, clear };
+}
@@ -0,0 +1,173 @@
+// ===================================
+// RECOMMENDATIONS
+// ===================================
+// Ranking for the personalised home rows. Seeds are titles the user has shown
+// interest in (watched, in progress, bookmarked), weighted by the kind of
+// signal and by how long ago it happened. Candidates come from each seed's
+// TMDB recommendations and similar lists and score higher the more strongly
+// and the more often they are suggested, boosted by the user's genre affinity.
+//
+// Everything here is pure: the caller fetches the signals and each seed's
+// details (with append_to_response=recommendations,similar) and passes them in.
+
+const SIGNAL_WEIGHTS = {
+  progress: 4,
+  watched: 3,
+  bookmarked: 2
+};
+
+// A signal counts half as much after this many days
+const RECENCY_HALF_LIFE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much a "similar" suggestion counts next to a "recommendations" one
+const SIMILAR_STRENGTH = 0.6;
+
+// user_profiles.favorite_genre slugs to TMDB genre ids (movie and TV ids
+// differ for some genres)
+export const FAVORITE_GENRES = {
+  action: [28, 10759],
+  comedy: [35],
+  drama: [18],
+  horror: [27],
+  "sci-fi": [878, 10765],
+  thriller: [53, 80],
+  romance: [10749],
+  documentary: [99],
+  animation: [16]
+};
+
+export function titleKey(item) {
+  return `${item.media_type}:${item.id}`;
+}
+
+// signals: [{ id, media_type, title, signal: "progress"|"watched"|"bookmarked", at }]
+// Returns one seed per title, strongest first.
+export function collectSeeds(signals, { now = Date.now(), limit = 6 } = {}) {
+  const seeds = new Map();
+
+  signals.forEach(({ id, media_type, title, signal, at }) => {
+    if (!id || (media_type !== "movie" && media_type !== "tv") || !SIGNAL_WEIGHTS[signal]) return;
+
+    const time = at ? new Date(at).getTime() : NaN;
+    // Rows without a timestamp (e.g. just added on this device) count as now
+    const ageDays = Number.isFinite(time) ? Math.max(0, now - time) / DAY_MS : 0;
+    const weight = SIGNAL_WEIGHTS[signal] * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+
+    const key = titleKey({ id, media_type });
+    const seed = seeds.get(key) || { id, media_type, title, weight: 0, lastAt: 0 };
+    seed.weight += weight;
+    seed.lastAt = Math.max(seed.lastAt, Number.isFinite(time) ? time : now);
+    seeds.set(key, seed);
+  });
+
+  return [...seeds.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+}
+
+// Genre id -> 0..1, from the seeds' genres weighted like the seeds themselves.
+// The profile's favourite genre counts as much as the strongest watched one.
+export function buildGenreAffinity(seeds, detailsByKey, favoriteGenreIds = []) {
+  const affinity = new Map();
+
+  seeds.forEach((seed) => {
+    (detailsByKey.get(titleKey(seed))?.genres || []).forEach((genre) => {
+      affinity.set(genre.id, (affinity.get(genre.id) || 0) + seed.weight);
+    });
+  });
+
+  const strongest = Math.max(1, ...affinity.values());
+  favoriteGenreIds.forEach((id) => {
+    affinity.set(id, (affinity.get(id) || 0) + strongest);
+  });
+
+  const max = Math.max(1, ...affinity.values());
+  affinity.forEach((value, id) => affinity.set(id, value / max));
+  return affinity;
+}
+
+// Returns [{ item, score, seeds }] best first. `exclude` holds titleKey()s
+// the user has already watched or bookmarked.
+export function scoreCandidates(seeds, detailsByKey, { affinity = new Map(), exclude = new Set() } = {}) {
+  const candidates = new Map();
+
+  seeds.forEach((seed) => {
+    const details = detailsByKey.get(titleKey(seed));
+    if (!details) return;
+
+    [
+      [details.recommendations?.results || [], 1],
+      [details.similar?.results || [], SIMILAR_STRENGTH]
+    ].forEach(([results, strength]) => {
+      results.forEach((result, index) => {
+        const item = { ...result, media_type: result.media_type || seed.media_type };
+        const key = titleKey(item);
+        if (item.media_type !== "movie" && item.media_type !== "tv") return;
+        if (item.adult || !item.poster_path || exclude.has(key)) return;
+
+        const candidate = candidates.get(key) || { item, relevance: 0, seeds: new Set() };
+        // TMDB lists are ordered, so the top of each list counts most
+        candidate.relevance += seed.weight * strength * (1 - index / (results.length + 1));
+        candidate.seeds.add(titleKey(seed));
+        candidates.set(key, candidate);
+      });
+    });
+  });
+
+  return [...candidates.values()]
+    .map(({ item, relevance, seeds: sources }) => {
+      const genres = item.genre_ids || [];
+      const genreScore = genres.length
+        ? genres.reduce((sum, id) => sum + (affinity.get(id) || 0), 0) / genres.length
+        : 0;
+      // Suggested by several seeds is a stronger signal than by one
+      const agreement = 1 + 0.25 * (sources.size - 1);
+
+      return { item, score: relevance * (1 + genreScore) * agreement, seeds: sources };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+export function rankRecommendations(seeds, detailsByKey, { limit = 12, ...options } = {}) {
+  return scoreCandidates(seeds, detailsByKey, options)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+// "Because you watched X" rows, one per seed in the order given (most recent
+// first). Titles already used by an earlier row, or in `exclude`, are skipped
+// so no title appears twice on the page. Rows too short to be worth showing
+// are dropped.
+export function buildBecauseYouWatchedRows(seeds, detailsByKey, {
+  exclude = new Set(),
+  maxRows = 3,
+  perRow = 12,
+  minPerRow = 4
+} = {}) {
+  const used = new Set(exclude);
+  const rows = [];
+
+  for (const seed of seeds) {
+    if (rows.length >= maxRows) break;
+
+    const details = detailsByKey.get(titleKey(seed));
+    if (!details) continue;
+
+    const recommended = details.recommendations?.results || [];
+    const source = recommended.length > 0 ? recommended : details.similar?.results || [];
+
+    const items = source
+      .map((result) => ({ ...result, media_type: result.media_type || seed.media_type }))
+      .filter((item) => (item.media_type === "movie" || item.media_type === "tv") &&
+        !item.adult && item.poster_path && !used.has(titleKey(item)))
+      .slice(0, perRow);
+
+    if (items.length < minPerRow) continue;
+
+    items.forEach((item) => used.add(titleKey(item)));
+    rows.push({ seed, title: details.title || details.name || seed.title, items });
+  }
+
+  return rows;
+}
@@ -0,0 +1,73 @@
+// ===================================
+// REGIONAL SECTIONS
+// ===================================
+// One entry per regional catalog. The nav link, the section with its grid,
+// genre chips and filter panel, and the #/<id> route are all generated from
+// this list, so adding a region is a matter of adding an entry here.
+//
+//   id         route and element id prefix (#/korean, #korean-section, #korean-grid)
+//   label      nav link text
+//   title      section heading
+//   language   ISO 639-1 original language, always applied
+//   region     optional ISO 3166-1 origin country, always applied
+//   mediaType  "movie" (default) or "tv"
+//   defaults   discover filters used when the URL sets none (sort, votes, ...)
+//   genres     TMDB genre ids offered as chips, in TMDB order; omit for all
+//   pinned     shown in the main nav rather than under the Regional menu
+//   navClass   extra class for the nav link
+
+export const REGIONAL_SECTIONS = [
+  {
+    id: "bollywood",
+    label: "Bollywood",
+    title: "Bollywood Movies",
+    language: "hi",
+    defaults: { sort: "rating", votes: "100" },
+    pinned: true,
+    navClass: "firework-nav"
+  },
+  {
+    id: "korean",
+    label: "Korean Dramas",
+    title: "Korean Dramas",
+    language: "ko",
+    region: "KR",
+    mediaType: "tv",
+    defaults: { sort: "popularity", votes: "50" },
+    genres: [18, 35, 80, 9648, 10759, 10765, 10766]
+  },
+  {
+    id: "japanese",
+    label: "Japanese",
+    title: "Japanese Movies",
+    language: "ja",
+    region: "JP",
+    defaults: { sort: "popularity" },
+    genres: [16, 18, 28, 14, 27, 878, 53, 10749]
+  },
+  {
+    id: "tamil",
+    label: "Tamil",
+    title: "Tamil Movies",
+    language: "ta",
+    region: "IN",
+    defaults: { sort: "release", votes: "20" },
+    genres: [28, 35, 18, 10751, 10749, 53, 80]
+  },
+  {
+    id: "telugu",
+    label: "Telugu",
+    title: "Telugu Movies",
+    language: "te",
+    region: "IN",
+    defaults: { sort: "release", votes: "20" },
+    genres: [28, 35, 18, 10751, 10749, 53, 80]
+  },
+  {
+    id: "spanish",
+    label: "Spanish",
+    title: "Spanish-Language Movies",
+    language: "es",
+    defaults: { sort: "popularity", votes: "50" }
+  }
+];
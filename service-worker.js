@@ -0,0 +1,94 @@
+// ===================================
+// SERVICE WORKER
+// ===================================
+// Emitted by the service worker plugin in vite.config.js, which fills in the
+// precache list and build version placeholders below for each build so the
+// worker only ever serves files that exist. The app shell (HTML, bundled
+// JS/CSS, Supabase and Font Awesome from their CDNs) is precached so the app
+// opens without a connection; TMDB posters are cached as they are viewed.
+
+const BUILD_VERSION = self.__BUILD_VERSION;
+const SHELL_CACHE = `onlybinge-shell-${BUILD_VERSION}`;
+const IMAGE_CACHE = "onlybinge-images";
+const MAX_CACHED_IMAGES = 200;
+
+const FONT_AWESOME = "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0";
+const CDN_ASSETS = [
+  "https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/dist/umd/supabase.js",
+  `${FONT_AWESOME}/css/all.min.css`,
+  `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`
+];
+
+const SHELL_ASSETS = [...self.__PRECACHE_MANIFEST, ...CDN_ASSETS];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Shell caches from older builds hold hashed files nobody asks for anymore
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("onlybinge-shell-") && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  // Network first for the page itself so a new deploy is picked up,
+  // falling back to the cached shell (the app then shows its offline screen)
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("/index.html", { cacheName: SHELL_CACHE }))
+    );
+    return;
+  }
+
+  if (url.hostname === "image.tmdb.org") {
+    event.respondWith(cacheFirstImage(request));
+    return;
+  }
+
+  // Everything else in the shell is content-hashed or versioned, so the
+  // cached copy is always right. TMDB and Supabase API calls fall through.
+  if (url.origin === self.location.origin || CDN_ASSETS.includes(url.href)) {
+    event.respondWith(
+      caches.match(request).then((cached) => cached || fetch(request))
+    );
+  }
+});
+
+async function cacheFirstImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // <img> requests are no-cors, so successful responses are usually opaque
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    trimCache(cache, MAX_CACHED_IMAGES);
+  }
+  return response;
+}
+
+// Cache keys come back in insertion order, so the oldest posters go first
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
@@ -1,32 +1,79 @@
+import {
+  createTMDBClient,
+  TMDB_TTL,
+  TMDBAuthError,
+  TMDBRateLimitError,
+  TMDBNotFoundError,
+  TMDBTimeoutError
+} from "./tmdb-client.js";
+import { createOfflineCache } from "./offline-cache.js";
+import { createStore } from "./app-store.js";
+import { createWriteQueue } from "./write-queue.js";
+import {
+  FAVORITE_GENRES,
+  buildBecauseYouWatchedRows,
+  buildGenreAffinity,
+  collectSeeds,
+  rankRecommendations,
+  titleKey
+} from "./recommendations.js";
+import { REGIONAL_SECTIONS } from "./regional-sections.js";
+import { MOOD_BUNDLES } from "./mood-bundles.js";
+import { DEFAULT_LIST_VIEW, LIST_SORTS, applyListView, hasListFilters, readListView } from "./list-view.js";
+import { ImportFormatError, getCandidateYear, parseImportFile, pickMatch } from "./history-import.js";
+
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
 const TMDB_TOKEN = import.meta.env.VITE_TMDB_TOKEN;
 
 const supabase = window.supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+const offlineCache = createOfflineCache();
+const tmdb = createTMDBClient({
+  token: TMDB_TOKEN,
+  language: import.meta.env.VITE_TMDB_LANGUAGE || "en-US",
+  region: import.meta.env.VITE_TMDB_REGION || null,
+  persistentCache: offlineCache
+});
+
+// App state lives in the store; subscribers in setupStoreSubscriptions()
+// keep cards, the hero, My List and the account modal in sync with it.
+const appStore = createStore({
+  user: { type: "object", initial: null },
+  // Centralized user status - single source of truth
+  approved: { type: "boolean", initial: false },
+  // Items of the default list ("My List"); the other lists' items are in listItems
+  bookmarks: { type: "array", initial: [] },
+  lists: { type: "array", initial: [] },
+  listItems: { type: "object", initial: {} },
+  continueWatching: { type: "array", initial: [] },
+  featured: { type: "object", initial: { queue: [], index: 0 } },
+  playback: {
+    type: "object",
+    initial: { mediaType: null, mediaId: null, title: null, media: null, season: 1, episode: 1 }
+  },
+  sync: { type: "object", initial: { pending: 0, syncing: false } }
+});
+const appState = appStore.state;
+
+// Bookmark, progress and history writes go through the outbox so they
+// survive a bad connection; see the OFFLINE WRITE QUEUE section below.
+// Each user's writes are only replayed while that user is signed in.
+const writeQueue = createWriteQueue({
+  execute: runQueuedWrite,
+  isRetryable: isRetryableWriteError,
+  onChange: (status) => appStore.set("sync", status),
+  getOwner: () => appState.user?.id ?? null
+});
 
-// Enhanced state management
-let currentUser = null;
-let currentMediaType = null;
-let currentMediaId = null;
-let currentMediaTitle = null;
-let currentMediaData = null;
+// Timers and DOM-facing flags that nothing else needs to observe
 let embedSources = [];
-let currentSeason = 1;
-let currentEpisode = 1;
-let bookmarks = [];
-let continueWatching = [];
 let searchDebounce = null;
 let watchStartTime = null;
 let playerInterval = null;
 let isPlayerOpen = false;
-let featuredMedia = null;
-let featuredQueue = [];
-let featuredIndex = 0;
 let rotationInterval = null;
 let rotationPaused = false;
-
-// FIXED: Centralized user status - single source of truth
-let isUserApproved = false;
+let playerActive = false;
 
 // Performance-optimized DOM caching
 const domCache = {
@@ -77,6 +124,28 @@ function setupIntersectionObservers() {
     }, { rootMargin: '100px 0px', threshold: 0.01 });
     
     domCache.observers.set('images', imageObserver);
+
+    const paginationObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting && entry.target.dataset.grid) {
+          loadMoreForVisibleGrid(entry.target.dataset.grid);
+        }
+      });
+    }, { rootMargin: '600px 0px' });
+
+    domCache.observers.set('pagination', paginationObserver);
+
+    // My List movie cards whose collection isn't known yet look it up once on screen
+    const collectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          collectionObserver.unobserve(entry.target);
+          queueCollectionLookup(entry.target.dataset.id);
+        }
+      });
+    }, { rootMargin: '200px 0px' });
+
+    domCache.observers.set('collections', collectionObserver);
   }
 }
 
@@ -156,8 +225,14 @@ async function isAllowedUser(email) {
 function initApp() {
   try {
     setupAuthForms();
+    setupRegionalSections();
     setupNavigation();
     setupGenreFilters();
+    setupDiscoverFilters();
+    setupMoodBrowsing();
+    setupCustomLists();
+    setupMyListToolbar();
+    setupSharedListScreen();
     setupSearch();
     setupPlayerControls();
     setupAccountModal();
@@ -167,6 +242,12 @@ function initApp() {
     setupExtensionPopup();
     setupAboutSection();
     setupProfileSystem();
+    setupHistoryImport();
+    setupRouter();
+    setupStoreSubscriptions();
+    setupWriteQueueSync();
+    setupOfflineScreen();
+    registerServiceWorker();
     loadUser();
   } catch (error) {
     console.error("App initialization error:", error);
@@ -174,6 +255,61 @@ function initApp() {
   }
 }
 
+// Everything that used to be re-rendered by hand after a state change
+function setupStoreSubscriptions() {
+  appStore.subscribe(["user", "approved", "bookmarks"], () => {
+    document.querySelectorAll(".media-card[data-id]").forEach(syncMediaCardState);
+    updateCollectionActions();
+
+    const featured = getFeaturedMedia();
+    if (featured) updateHeroSection(featured);
+  });
+
+  appStore.subscribe("bookmarks", (items) => {
+    saveUserSnapshot("bookmarks", items);
+    updateDetailsBookmarkButton();
+
+    if (document.getElementById("mylist-section")?.classList.contains("active")) {
+      loadBookmarks();
+    }
+
+    if (document.getElementById("upcoming-section")?.classList.contains("active")) {
+      loadUpcoming(parseRoute(location.hash).params);
+    }
+
+    const statBookmarks = document.getElementById("stat-bookmarks");
+    if (statBookmarks) statBookmarks.textContent = items.length;
+  });
+
+  appStore.subscribe(["lists", "listItems"], () => {
+    saveUserSnapshot("lists", { lists: appState.lists, items: appState.listItems });
+
+    if (document.getElementById("mylist-section")?.classList.contains("active")) {
+      loadBookmarks();
+    }
+  });
+
+  appStore.subscribe("continueWatching", (items) => {
+    saveUserSnapshot("continue_watching", items);
+    renderContinueWatching();
+    updateDetailsPlayButton();
+  });
+
+  appStore.subscribe("approved", () => {
+    if (document.getElementById("account-modal")?.classList.contains("active")) {
+      updateAccountModal();
+    }
+    updateDetailsPlayButton();
+  });
+
+  appStore.subscribe("featured", (featured, previous) => {
+    const media = featured.queue[featured.index];
+    if (media && media.id !== previous.queue[previous.index]?.id) {
+      updateHeroSection(media);
+    }
+  });
+}
+
 function setupPaymentModal() {
   const paymentModal = document.getElementById('payment-modal');
   const openButtons = document.querySelectorAll('#open-payment-modal, #subscribe-link, #pay-now-btn');
@@ -201,7 +337,7 @@ function setupPaymentModal() {
         return;
       }
 
-      if (!currentUser) {
+      if (!appState.user) {
         showNotification("Please log in first", "error");
         return;
       }
@@ -213,7 +349,7 @@ function setupPaymentModal() {
         const { error } = await supabase
           .from('pending_payments')
           .insert({
-            user_email: currentUser.email,
+            user_email: appState.user.email,
             transaction_id: transactionId,
             status: 'pending',
             created_at: new Date().toISOString()
@@ -317,7 +453,7 @@ function setupHeroRotation() {
     });
 
     heroSection.addEventListener('mouseleave', () => {
-      if (rotationPaused && featuredQueue.length >= 2) {
+      if (rotationPaused && appState.featured.queue.length >= 2) {
         startRotation();
         rotationPaused = false;
       }
@@ -625,6 +761,7 @@ async function handleSessionChange(payload, myDeviceId) {
 }
 
 async function forceLocalSignOut(message) {
+  const user = appState.user;
   stopHeartbeat();
   stopSessionRealtimeSubscription();
   try {
@@ -632,6 +769,10 @@ async function forceLocalSignOut(message) {
   } catch (e) {
     console.warn('force signout supabase.auth.signOut failed', e);
   }
+  appStore.reset();
+  // Anything still queued waits for this user to sign in again
+  writeQueue.flush();
+  await clearUserSnapshots(user);
   showNotification(message, 'warning');
   showUnauthenticatedUI();
 }
@@ -664,17 +805,17 @@ function setupLogout() {
         clearInterval(rotationInterval);
         rotationInterval = null;
       }
-      const user = currentUser;
+      const user = appState.user;
       if (user) {
+        // Last chance to push queued writes while the session is still valid
+        await writeQueue.flush();
         await endSessionForUser(user);
       }
       await supabase.auth.signOut();
-      currentUser = null;
-      bookmarks = [];
-      continueWatching = [];
-      featuredQueue = [];
-      featuredIndex = 0;
-      isUserApproved = false; // FIXED: Reset approval state
+      appStore.reset();
+      // Anything still queued waits for this user to sign in again
+      writeQueue.flush();
+      await clearUserSnapshots(user);
       showNotification("Signed out successfully!", "success");
       showUnauthenticatedUI();
     } catch (error) {
@@ -686,1430 +827,6891 @@ function setupLogout() {
 
 function setupNavigation() {
   document.querySelectorAll(".nav-link").forEach((link) => {
-    link.addEventListener("click", debounce((e) => {
+    const goToSection = debounce(() => navigate(`#/${link.dataset.section}`), 150);
+
+    link.addEventListener("click", (e) => {
       e.preventDefault();
-      
-      document.querySelectorAll(".nav-link").forEach((l) => l.classList.remove("active"));
-      link.classList.add("active");
-      
-      document.querySelectorAll(".content-section").forEach((s) => s.classList.remove("active"));
-      
-      const targetSection = document.getElementById(`${link.dataset.section}-section`);
-      const heroSection = document.getElementById('hero-section');
-      
-      if (targetSection) {
-        targetSection.classList.add("active");
-        
-        // Hide hero section for About, show for everything else
-        if (heroSection) {
-          if (link.dataset.section === 'about') {
-            heroSection.classList.add('hide-on-about');
-            // Stop rotation when leaving home
-            if (rotationInterval) {
-              clearInterval(rotationInterval);
-              rotationInterval = null;
-            }
-          } else {
-            heroSection.classList.remove('hide-on-about');
-            // Restart rotation when going back to home
-            if (link.dataset.section === 'home' && featuredQueue.length >= 2) {
-              if (rotationInterval) {
-                clearInterval(rotationInterval);
-                rotationInterval = null;
-              }
-              setTimeout(() => {
-                startRotation();
-              }, 500);
-            }
-          }
-        }
-        
-        // Stop rotation for non-home sections
-        if (link.dataset.section !== 'home' && rotationInterval) {
+      goToSection();
+    });
+  });
+}
+
+function activateSection(section, params = {}) {
+  const targetSection = document.getElementById(`${section}-section`);
+  if (!targetSection) return;
+
+  document.querySelectorAll(".nav-link").forEach((l) => {
+    l.classList.toggle("active", l.dataset.section === section);
+  });
+
+  document.querySelectorAll(".content-section").forEach((s) => s.classList.remove("active"));
+  targetSection.classList.add("active");
+
+  const heroSection = document.getElementById('hero-section');
+
+  if (section !== 'details') {
+    stopDetailsTrailer();
+  }
+
+  // Hide hero section for About and the details pages, show for everything else
+  if (heroSection) {
+    if (section === 'about' || section === 'details' || section === 'person' || section === 'collection') {
+      heroSection.classList.add('hide-on-about');
+      // Stop rotation when leaving home
+      if (rotationInterval) {
+        clearInterval(rotationInterval);
+        rotationInterval = null;
+      }
+    } else {
+      heroSection.classList.remove('hide-on-about');
+      // Restart rotation when going back to home
+      if (section === 'home' && appState.featured.queue.length >= 2) {
+        if (rotationInterval) {
           clearInterval(rotationInterval);
           rotationInterval = null;
         }
-        
-        loadSectionContent(link.dataset.section);
+        setTimeout(() => {
+          startRotation();
+        }, 500);
       }
-    }, 150));
-  });
-}
+    }
+  }
 
-function setupGenreFilters() {
-  document.querySelectorAll(".genre-btn").forEach((btn) => {
-    btn.addEventListener("click", debounce(() => {
-      const activeSection = document.querySelector(".content-section.active");
-      if (!activeSection) return;
-
-      const section = activeSection.id;
-      const genre = btn.dataset.genre;
-
-      document.querySelectorAll(".genre-btn").forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-
-      if (section === "movies-section") {
-        loadMovies(genre);
-      } else if (section === "tv-section") {
-        loadTVShows(genre);
-      } else if (section === "bollywood-section") {  // NEW CONDITION ADDED
-        loadBollywoodMovies(genre);
-      }
-    }, 200));
-  });
+  // Stop rotation for non-home sections
+  if (section !== 'home' && rotationInterval) {
+    clearInterval(rotationInterval);
+    rotationInterval = null;
+  }
+
+  loadSectionContent(section, params);
 }
 
-function setupSearch() {
-  const searchInput = document.getElementById("main-search-input");
-  if (!searchInput) return;
+// ===================================
+// REGIONAL SECTIONS
+// ===================================
+// Built from REGIONAL_SECTIONS before anything else is set up, so the nav,
+// genre chips, filter panels and router treat them like Movies and TV.
 
-  searchInput.addEventListener("input", (e) => {
-    clearTimeout(searchDebounce);
-    searchDebounce = setTimeout(() => {
-      performSearch(e.target.value.trim());
-    }, 800);
-  });
+function setupRegionalSections() {
+  const nav = document.querySelector(".main-nav");
+  const myListLink = nav?.querySelector('.nav-link[data-section="mylist"]');
+  const myListSection = document.getElementById("mylist-section");
+  if (!nav || !myListSection) return;
 
-  document.getElementById("clear-search")?.addEventListener("click", () => {
-    searchInput.value = "";
-    showHomeSection();
-  });
-}
+  const navLink = (regional) => `
+    <a href="#/${regional.id}" class="nav-link ${regional.navClass || ''}" data-section="${regional.id}">${regional.label}</a>
+  `;
 
-function setupPlayerControls() {
-  document.getElementById("player-close")?.addEventListener("click", closePlayer);
-}
+  const pinned = REGIONAL_SECTIONS.filter((regional) => regional.pinned);
+  const grouped = REGIONAL_SECTIONS.filter((regional) => !regional.pinned);
 
-function setupAccountModal() {
-  document.getElementById("account-link")?.addEventListener("click", (e) => {
-    e.preventDefault();
-    const modal = document.getElementById("account-modal");
-    if (modal) {
-      modal.classList.add("active");
-      updateAccountModal();
-    }
+  const links = document.createElement("template");
+  links.innerHTML = `
+    ${pinned.map(navLink).join("")}
+    ${grouped.length ? `
+      <div class="nav-dropdown">
+        <button type="button" class="nav-dropdown-toggle" aria-haspopup="true">
+          Regional <i class="fas fa-chevron-down"></i>
+        </button>
+        <div class="nav-dropdown-menu">
+          ${grouped.map(navLink).join("")}
+        </div>
+      </div>
+    ` : ''}
+  `;
+  nav.insertBefore(links.content, myListLink || null);
+
+  REGIONAL_SECTIONS.forEach((regional) => {
+    const section = document.createElement("section");
+    section.className = "content-section";
+    section.id = `${regional.id}-section`;
+    section.innerHTML = `
+      <div class="section-header">
+        <h2>${regional.title}</h2>
+        <div class="genre-filters"></div>
+      </div>
+      <div class="content-grid-full" id="${regional.id}-grid"></div>
+    `;
+    myListSection.before(section);
   });
+}
 
-  document.getElementById("account-close")?.addEventListener("click", () => {
-    const modal = document.getElementById("account-modal");
-    if (modal) {
-      modal.classList.remove("active");
-    }
-  });
-  
-  // Close modal on overlay click
-  const accountModal = document.getElementById("account-modal");
-  if (accountModal) {
-    accountModal.addEventListener("click", (e) => {
-      if (e.target === accountModal) {
-        accountModal.classList.remove("active");
-      }
+async function loadRegionalSection(section, filters = {}) {
+  const { mediaType, fixed } = DISCOVER_SECTIONS[section];
+  const { label } = REGIONAL_SECTIONS.find((regional) => regional.id === section);
+  const params = buildDiscoverParams(section, filters);
+
+  try {
+    await startPaginatedGrid(`${section}-grid`, async (page) => {
+      const data = await tmdb.get(`/discover/${mediaType}`, {
+        ...params,
+        page
+      }, { ttl: TMDB_TTL.medium });
+
+      // Filter out adult content and anything TMDB matched loosely
+      const results = data.results
+        .filter((item) => !item.adult &&
+          item.original_language === fixed.lang &&
+          item.vote_count >= (params["vote_count.gte"] || 0))
+        .map((item) => ({ ...item, media_type: mediaType }));
+
+      return { ...data, results };
     });
+  } catch (error) {
+    console.error(`Error loading ${label}:`, error);
+    handleTMDBError(error, `Error loading ${label}`);
   }
 }
 
-function smoothTransition(fromId, toId) {
-  const fromElement = document.getElementById(fromId);
-  const toElement = document.getElementById(toId);
-  
-  if (!fromElement || !toElement) return;
+// ===================================
+// GENRE CHIPS
+// ===================================
+// Every TMDB genre is a toggleable chip. Several selected genres are sent as
+// with_genres using TMDB's syntax: "35,10749" must match all of them,
+// "27|53" any of them. The same string is what goes in the URL (?genre=).
+
+const genreLists = new Map();
+// Last AND/OR choice per section, kept when the selection drops to one genre
+const genreMatchModes = new Map();
+
+function parseGenreFilter(value = "") {
+  const mode = value.includes("|") ? "or" : "and";
+  const ids = value.split(/[,|]/).filter(Boolean);
+  return { ids, mode };
+}
 
-  fromElement.classList.add("fade-out");
-  setTimeout(() => {
-    fromElement.classList.remove("active", "fade-out");
-    toElement.classList.add("active", "slide-in-right");
-    setTimeout(() => {
-      toElement.classList.remove("slide-in-right");
-    }, 400);
-  }, 150);
+function formatGenreFilter(ids, mode) {
+  return ids.join(mode === "or" ? "|" : ",");
 }
 
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
+function getGenreList(mediaType) {
+  if (!genreLists.has(mediaType)) {
+    const request = tmdb.get(`/genre/${mediaType}/list`, {}, { ttl: TMDB_TTL.long })
+      .then((data) => data.genres || [])
+      .catch((error) => {
+        genreLists.delete(mediaType);
+        throw error;
+      });
+    genreLists.set(mediaType, request);
+  }
+  return genreLists.get(mediaType);
 }
 
-// FIXED: Complete rewrite of loadUser with proper state management
-async function loadUser() {
-  try {
-    const { data, error } = await supabase.auth.getUser();
-    const user = data?.user;
+function setupGenreFilters() {
+  Object.keys(DISCOVER_SECTIONS).forEach((section) => {
+    const sectionElement = document.getElementById(`${section}-section`);
+    const container = sectionElement?.querySelector(".genre-filters");
+    if (!container) return;
+
+    const chipList = document.createElement("div");
+    chipList.className = "genre-chip-list";
+    chipList.id = `${section}-genre-chips`;
+    container.appendChild(chipList);
+
+    // Selected genres with their clear buttons and the AND/OR switch
+    const activeRow = document.createElement("div");
+    activeRow.className = "active-genres";
+    activeRow.id = `${section}-active-genres`;
+    activeRow.hidden = true;
+    sectionElement.querySelector(".content-grid-full")?.before(activeRow);
+
+    chipList.addEventListener("click", (e) => {
+      const chip = e.target.closest(".genre-btn[data-genre]");
+      if (!chip) return;
+
+      const { ids, mode } = getSelectedGenres(section);
+      if (chip.dataset.genre === "all") {
+        selectGenres(section, [], mode);
+      } else if (ids.includes(chip.dataset.genre)) {
+        selectGenres(section, ids.filter((id) => id !== chip.dataset.genre), mode);
+      } else {
+        selectGenres(section, [...ids, chip.dataset.genre], mode);
+      }
+    });
 
-    const loadingScreen = domCache.elements['loading-screen'];
-    if (loadingScreen) {
-      loadingScreen.classList.add("fade-out");
-      setTimeout(() => {
-        loadingScreen.style.display = "none";
-      }, 500);
-    }
+    activeRow.addEventListener("click", (e) => {
+      const { ids, mode } = getSelectedGenres(section);
 
-    if (user) {
-      currentUser = user;
-      
-      const accessCheck = await isAllowedUser(user.email);
-      isUserApproved = accessCheck.allowed;
-      
-      console.log('User loaded:', { 
-        email: user.email, 
-        isUserApproved,
-        reason: accessCheck.reason 
-      });
+      const clearBtn = e.target.closest(".active-genre-clear");
+      if (clearBtn) {
+        selectGenres(section, ids.filter((id) => id !== clearBtn.dataset.genre), mode);
+        return;
+      }
 
-      if (!accessCheck.allowed) {
-        await registerSessionForUser(user);
-        await loadBookmarksFromSupabase();
-        await loadContinueWatching();
-        await loadUserProfileAndAvatar(); // ADDED: Load profile immediately
-        showAuthenticatedUIWithPaymentPrompt(accessCheck.reason);
+      const modeBtn = e.target.closest(".genre-mode-btn");
+      if (modeBtn && modeBtn.dataset.mode !== mode) {
+        genreMatchModes.set(section, modeBtn.dataset.mode);
+        selectGenres(section, ids, modeBtn.dataset.mode);
         return;
       }
 
-      await registerSessionForUser(user);
-      await loadBookmarksFromSupabase();
-      await loadContinueWatching();
-      await updateSubscriptionStatus(accessCheck.expiryDate);
-      await loadUserProfileAndAvatar(); // ADDED: Load profile immediately
-      showAuthenticatedUI();
-      
-      const isSpecial = await isSpecialUser(user.email);
-      if (isSpecial) {
-        setTimeout(() => {
-          showHeartAnimation();
-        }, 800);
+      if (e.target.closest(".active-genres-clear-all")) {
+        selectGenres(section, [], mode);
       }
-      
-      setTimeout(() => {
-        showExtensionPopup();
-      }, 1000);
-    } else {
-      currentUser = null;
-      isUserApproved = false;
-      showUnauthenticatedUI();
-    }
-  } catch (err) {
-    console.error("Error loading user:", err);
-    showUnauthenticatedUI();
-    showNotification("Error loading user. Please refresh.", "error");
-  }
+    });
+  });
 }
 
-async function loadUserProfileAndAvatar() {
-  if (!currentUser) return;
-  
-  try {
-    const { data: profile, error } = await supabase
-      .from('user_profiles')
-      .select('avatar_url')
-      .eq('user_id', currentUser.id)
-      .single();
+// Chips clicked before the URL catches up build on each other
+const pendingGenreSelections = new Map();
 
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error loading profile:', error);
-      return;
-    }
+function getSelectedGenres(section) {
+  const pending = pendingGenreSelections.get(section);
+  if (pending) return pending;
 
-    if (profile && profile.avatar_url) {
-      // Update header avatar immediately
-      const headerAvatar = document.querySelector('.user-avatar');
-      if (headerAvatar) {
-        headerAvatar.src = profile.avatar_url + '?t=' + new Date().getTime();
-      }
-    }
-  } catch (error) {
-    console.error('Error loading user profile and avatar:', error);
-  }
+  const { ids, mode } = parseGenreFilter(readDiscoverFilters(parseRoute(location.hash).params).genre);
+  return { ids, mode: ids.length > 1 ? mode : genreMatchModes.get(section) || "and" };
 }
 
-// FIXED: Update account modal with current status
-function updateAccountModal() {
-  const emailEl = document.getElementById('account-email');
-  const memberSinceEl = document.getElementById('account-member-since');
-  const statusEl = document.getElementById('subscription-status-text');
-  
-  if (!currentUser) return;
+// The chips follow straight away; the URL, and so the grid, a moment later
+function selectGenres(section, ids, mode) {
+  pendingGenreSelections.set(section, { ids, mode });
+  renderGenreChips(section, formatGenreFilter(ids, mode));
+  updateGenreFilter(section);
+}
 
-  loadUserProfile();
+// Keeps the filter panel's settings, only the genre part changes
+const updateGenreFilter = debounce((section) => {
+  const { ids, mode } = pendingGenreSelections.get(section) || getSelectedGenres(section);
+  // Only one section's chips can be clicked at a time
+  pendingGenreSelections.clear();
 
-  if (emailEl) {
-    emailEl.textContent = currentUser.email;
-  }
-  
-  if (memberSinceEl) {
-    memberSinceEl.textContent = new Date(currentUser.created_at).toLocaleDateString();
+  const filters = readDiscoverFilters(parseRoute(location.hash).params);
+  if (ids.length > 0) {
+    filters.genre = formatGenreFilter(ids, mode);
+  } else {
+    delete filters.genre;
   }
-  
-  if (statusEl) {
-    const statusText = isUserApproved ? 'Active' : 'Payment Required';
-    const statusClass = isUserApproved ? 'active' : 'pending';
-    
-    statusEl.textContent = statusText;
-    statusEl.className = `subscription-status ${statusClass}`;
+
+  // Saved right away so a now-bare section URL doesn't bring the old genres back
+  saveDiscoverFilters(section, filters);
+  navigate(buildSectionHash(section, filters), { replace: true });
+}, 200);
+
+async function renderGenreChips(section, genreFilter) {
+  const chipList = document.getElementById(`${section}-genre-chips`);
+  const activeRow = document.getElementById(`${section}-active-genres`);
+  if (!chipList || !activeRow) return;
+
+  let genres;
+  try {
+    genres = await getGenreList(DISCOVER_SECTIONS[section].mediaType);
+  } catch (error) {
+    console.error("Error loading genres:", error);
+    return;
   }
+
+  const { ids, mode } = parseGenreFilter(genreFilter);
+  if (ids.length > 1) genreMatchModes.set(section, mode);
+  const names = new Map(genres.map((genre) => [String(genre.id), genre.name]));
+  // Regional sections can narrow the chips to the genres their catalog has
+  const offered = DISCOVER_SECTIONS[section].genres;
+  const chips = offered ? genres.filter((genre) => offered.includes(genre.id)) : genres;
+
+  chipList.innerHTML = `
+    <button class="genre-btn ${ids.length === 0 ? 'active' : ''}" data-genre="all">All</button>
+    ${chips.map((genre) => `
+      <button class="genre-btn ${ids.includes(String(genre.id)) ? 'active' : ''}" 
+              data-genre="${genre.id}"
+              aria-pressed="${ids.includes(String(genre.id))}">${genre.name}</button>
+    `).join("")}
+  `;
+
+  activeRow.hidden = ids.length === 0;
+  activeRow.innerHTML = ids.length === 0 ? "" : `
+    ${ids.length > 1 ? `
+      <div class="genre-mode-toggle" role="group" aria-label="Genre matching">
+        <button class="genre-mode-btn ${mode === 'and' ? 'active' : ''}" data-mode="and" title="Titles in every selected genre">All of</button>
+        <button class="genre-mode-btn ${mode === 'or' ? 'active' : ''}" data-mode="or" title="Titles in any selected genre">Any of</button>
+      </div>
+    ` : ''}
+    ${ids.map((id) => `
+      <span class="active-genre-chip">
+        ${names.get(id) || `Genre ${id}`}
+        <button class="active-genre-clear" data-genre="${id}" aria-label="Remove ${names.get(id) || 'genre'}">
+          <i class="fas fa-times"></i>
+        </button>
+      </span>
+    `).join("")}
+    <button class="active-genres-clear-all">Clear all</button>
+  `;
 }
 
-// FIXED: Complete UI setup for approved users
-function showAuthenticatedUI() {
-  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
-  
-  if (auth) auth.style.display = "none";
-  if (header) header.style.display = "flex";
-  if (content) content.style.display = "block";
+// ===================================
+// DISCOVER FILTERS
+// ===================================
+// Movies, TV and the regional sections share one filter panel. Filters live in the
+// section's URL (#/movies?from=1990&to=1999&sort=rating) and the last set
+// used per section is remembered, so a bare #/movies picks up where you left off.
 
-  // Update settings tab instead of old account elements
-  const settingsEmail = document.getElementById("settings-email");
-  if (settingsEmail && currentUser) {
-    settingsEmail.textContent = currentUser.email;
+const DISCOVER_FILTERS_KEY = "nf_discover_filters";
+
+const DISCOVER_FILTER_KEYS = ["genre", "from", "to", "rating", "votes", "rmin", "rmax", "lang", "sort"];
+
+const DISCOVER_SORTS = {
+  popularity: { label: "Most popular", movie: "popularity.desc", tv: "popularity.desc" },
+  rating: { label: "Highest rated", movie: "vote_average.desc", tv: "vote_average.desc" },
+  release: { label: "Newest first", movie: "primary_release_date.desc", tv: "first_air_date.desc" },
+  revenue: { label: "Highest grossing", movie: "revenue.desc" }
+};
+
+const DISCOVER_LANGUAGES = {
+  en: "English", hi: "Hindi", ko: "Korean", ja: "Japanese", es: "Spanish",
+  fr: "French", de: "German", it: "Italian", zh: "Chinese", ta: "Tamil",
+  te: "Telugu", ml: "Malayalam"
+};
+
+// Sorting by rating without a vote floor surfaces titles with 1 vote
+const RATING_SORT_MIN_VOTES = 200;
+
+const DISCOVER_SECTIONS = {
+  movies: { mediaType: "movie", defaults: { sort: "popularity" } },
+  tv: { mediaType: "tv", defaults: { sort: "popularity" } },
+  ...Object.fromEntries(REGIONAL_SECTIONS.map((regional) => [regional.id, {
+    mediaType: regional.mediaType || "movie",
+    defaults: regional.defaults,
+    fixed: { lang: regional.language, ...(regional.region ? { region: regional.region } : {}) },
+    genres: regional.genres
+  }]))
+};
+
+// Drops anything that isn't a known, well-formed filter value
+function readDiscoverFilters(params = {}) {
+  const filters = {};
+
+  DISCOVER_FILTER_KEYS.forEach((key) => {
+    const value = String(params[key] ?? "").trim();
+    if (!value) return;
+
+    if (key === "sort" && !DISCOVER_SORTS[value]) return;
+    if (key === "lang" && !/^[a-z]{2}$/.test(value)) return;
+    if (key === "genre" && !/^[\d,|]+$/.test(value)) return;
+    if (["from", "to", "votes", "rmin", "rmax"].includes(key) && !/^\d+$/.test(value)) return;
+    if (key === "rating" && !(parseFloat(value) >= 0 && parseFloat(value) <= 10)) return;
+
+    filters[key] = value;
+  });
+
+  return filters;
+}
+
+function hasDiscoverFilters(params) {
+  return Object.keys(readDiscoverFilters(params)).length > 0;
+}
+
+function loadSavedDiscoverFilters(section) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DISCOVER_FILTERS_KEY) || "{}");
+    return readDiscoverFilters(saved[section]);
+  } catch (error) {
+    return {};
   }
-  
-  const settingsMemberSince = document.getElementById("settings-member-since");
-  if (settingsMemberSince && currentUser) {
-    const date = new Date(currentUser.created_at);
-    settingsMemberSince.textContent = date.toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+}
+
+function saveDiscoverFilters(section, filters) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DISCOVER_FILTERS_KEY) || "{}");
+    saved[section] = filters;
+    localStorage.setItem(DISCOVER_FILTERS_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn("Couldn't save filters:", error);
   }
+}
 
-  // Update subscription status
-  const statusText = document.getElementById('settings-subscription-status');
-  if (statusText) {
-    statusText.textContent = "Active";
-    statusText.className = "subscription-status active";
+// URL filters win and are remembered; a bare section URL gets the saved set
+function resolveDiscoverFilters(section, params) {
+  if (hasDiscoverFilters(params)) {
+    const filters = readDiscoverFilters(params);
+    saveDiscoverFilters(section, filters);
+    return filters;
   }
 
-  // Ensure all navigation is visible
-  document.querySelectorAll(".nav-link").forEach(link => {
-    link.style.display = "block";
+  const saved = loadSavedDiscoverFilters(section);
+  if (Object.keys(saved).length > 0) {
+    replaceSectionRoute(buildSectionHash(section, saved));
+  }
+  return saved;
+}
+
+// Maps our short URL filters onto TMDB discover parameters
+function buildDiscoverParams(section, filters) {
+  const { mediaType, defaults = {}, fixed = {} } = DISCOVER_SECTIONS[section];
+  const merged = { ...defaults, ...filters, ...fixed };
+  const dateField = mediaType === "movie" ? "primary_release_date" : "first_air_date";
+
+  let from = merged.from ? parseInt(merged.from, 10) : null;
+  let to = merged.to ? parseInt(merged.to, 10) : null;
+  if (from && to && from > to) [from, to] = [to, from];
+
+  let runtimeMin = merged.rmin ? parseInt(merged.rmin, 10) : null;
+  let runtimeMax = merged.rmax ? parseInt(merged.rmax, 10) : null;
+  if (runtimeMin && runtimeMax && runtimeMin > runtimeMax) [runtimeMin, runtimeMax] = [runtimeMax, runtimeMin];
+
+  const sort = DISCOVER_SORTS[merged.sort]?.[mediaType] ? merged.sort : "popularity";
+  let minVotes = merged.votes ? parseInt(merged.votes, 10) : undefined;
+  if (sort === "rating" && !minVotes) minVotes = RATING_SORT_MIN_VOTES;
+
+  return {
+    sort_by: DISCOVER_SORTS[sort][mediaType],
+    with_genres: merged.genre,
+    [`${dateField}.gte`]: from ? `${from}-01-01` : undefined,
+    [`${dateField}.lte`]: to ? `${to}-12-31` : undefined,
+    "vote_average.gte": merged.rating,
+    "vote_count.gte": minVotes,
+    "with_runtime.gte": runtimeMin ?? undefined,
+    "with_runtime.lte": runtimeMax ?? undefined,
+    with_original_language: merged.lang,
+    with_origin_country: fixed.region
+  };
+}
+
+function setupDiscoverFilters() {
+  Object.entries(DISCOVER_SECTIONS).forEach(([section, config]) => {
+    const sectionElement = document.getElementById(`${section}-section`);
+    const header = sectionElement?.querySelector(".section-header");
+    if (!header) return;
+
+    const toggle = document.createElement("button");
+    toggle.className = "genre-btn filter-toggle-btn";
+    toggle.innerHTML = '<i class="fas fa-sliders-h"></i> Filters <span class="filter-count" hidden></span>';
+    toggle.setAttribute("aria-expanded", "false");
+    header.querySelector(".genre-filters")?.appendChild(toggle);
+
+    const panel = createFilterPanel(section, config);
+    header.after(panel);
+
+    toggle.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggle.setAttribute("aria-expanded", String(!panel.hidden));
+    });
   });
+}
 
-  // Make sure hero section is visible on initial load (home page)
-  const heroSection = document.getElementById('hero-section');
-  if (heroSection) {
-    heroSection.classList.remove('hide-on-about');
+function createFilterPanel(section, config) {
+  const currentYear = new Date().getFullYear();
+  const sortOptions = Object.entries(DISCOVER_SORTS)
+    .filter(([, sort]) => sort[config.mediaType])
+    .map(([value, sort]) => `<option value="${value}">${sort.label}</option>`)
+    .join("");
+  const languageOptions = Object.entries(DISCOVER_LANGUAGES)
+    .map(([code, name]) => `<option value="${code}">${name}</option>`)
+    .join("");
+
+  const panel = document.createElement("form");
+  panel.className = "filter-panel";
+  panel.id = `${section}-filter-panel`;
+  panel.hidden = true;
+  panel.innerHTML = `
+    <div class="filter-field">
+      <label>Release year</label>
+      <div class="filter-range">
+        <input type="number" name="from" min="1900" max="${currentYear + 2}" placeholder="From">
+        <span>–</span>
+        <input type="number" name="to" min="1900" max="${currentYear + 2}" placeholder="To">
+      </div>
+    </div>
+    <div class="filter-field">
+      <label>Minimum rating</label>
+      <select name="rating">
+        <option value="">Any</option>
+        ${[5, 6, 7, 7.5, 8, 8.5].map((value) => `<option value="${value}">${value}+</option>`).join("")}
+      </select>
+    </div>
+    <div class="filter-field">
+      <label>Minimum votes</label>
+      <input type="number" name="votes" min="0" step="50" placeholder="Any">
+    </div>
+    <div class="filter-field">
+      <label>Runtime (minutes)</label>
+      <div class="filter-range">
+        <input type="number" name="rmin" min="0" max="400" placeholder="Min">
+        <span>–</span>
+        <input type="number" name="rmax" min="0" max="400" placeholder="Max">
+      </div>
+    </div>
+    ${config.fixed?.lang ? '' : `
+      <div class="filter-field">
+        <label>Original language</label>
+        <select name="lang">
+          <option value="">Any</option>
+          ${languageOptions}
+        </select>
+      </div>
+    `}
+    <div class="filter-field">
+      <label>Sort by</label>
+      <select name="sort">${sortOptions}</select>
+    </div>
+    <div class="filter-actions">
+      <button type="button" class="filter-reset-btn">Reset</button>
+      <button type="submit" class="filter-apply-btn">Apply</button>
+    </div>
+  `;
+
+  panel.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const formValues = Object.fromEntries(new FormData(panel));
+    const current = readDiscoverFilters(parseRoute(location.hash).params);
+
+    // Sort is only worth putting in the URL when it differs from the default
+    if (formValues.sort === (config.defaults?.sort || "popularity")) delete formValues.sort;
+
+    const filters = readDiscoverFilters({ genre: current.genre, ...formValues });
+    saveDiscoverFilters(section, filters);
+    navigate(buildSectionHash(section, filters), { replace: true });
+  });
+
+  panel.querySelector(".filter-reset-btn").addEventListener("click", () => {
+    saveDiscoverFilters(section, {});
+    navigate(buildSectionHash(section), { replace: true });
+  });
+
+  return panel;
+}
+
+// Reflects the active filters in the form and the toggle's badge
+function syncFilterPanel(section, filters) {
+  const panel = document.getElementById(`${section}-filter-panel`);
+  if (!panel) return;
+
+  const defaults = DISCOVER_SECTIONS[section].defaults || {};
+  Array.from(panel.elements).forEach((field) => {
+    if (!field.name) return;
+    field.value = filters[field.name] ?? defaults[field.name] ?? "";
+  });
+
+  const count = Object.keys(filters).filter((key) => key !== "genre").length;
+  const badge = document.querySelector(`#${section}-section .filter-count`);
+  if (badge) {
+    badge.textContent = count;
+    badge.hidden = count === 0;
   }
+}
 
-  // Clear any existing rotation interval before starting fresh
-  if (rotationInterval) {
-    clearInterval(rotationInterval);
-    rotationInterval = null;
+// ===================================
+// HASH ROUTER
+// ===================================
+// URLs look like #/movies?genre=28, #/movie/603 (details), #/movie/603/play,
+// #/tv/1399/s2/e5, #/person/287, #/collection/10, #/mood/feel-good, #/keyword/4379,
+// #/search?q=dune, #/mylist (?list=<id> for a custom list) and #/shared/<slug>. UI actions call navigate() (or one of the
+// player/search helpers) so history always mirrors what is on screen, and
+// Back/Forward/refresh replay the same route through applyRoute().
+
+const ROUTABLE_SECTIONS = [
+  "home", "movies", "tv", ...REGIONAL_SECTIONS.map((regional) => regional.id), "mylist", "upcoming", "about"
+];
+
+let routerStarted = false;
+let lastAppliedHash = null;
+let lastSectionHash = "#/home";
+let playerHistoryPushed = false;
+
+function setupRouter() {
+  window.addEventListener("popstate", handleLocationChange);
+  window.addEventListener("hashchange", handleLocationChange);
+}
+
+function handleLocationChange() {
+  if (!routerStarted || !appState.user) return;
+  if (location.hash === lastAppliedHash) return;
+  applyRoute(location.hash);
+}
+
+function startRouter() {
+  const hash = location.hash || "#/home";
+  const route = parseRoute(hash);
+
+  routerStarted = true;
+  lastAppliedHash = null;
+  lastSectionHash = null;
+  playerHistoryPushed = false;
+
+  // A player link opens on top of that title's details page
+  if (route.name === "title") {
+    lastSectionHash = buildDetailsHash(route.mediaType, route.id);
+    activateSection("details", { mediaType: route.mediaType, id: route.id });
   }
 
-  // Load regular content for approved users
-  loadSectionContent("home");
+  applyRoute(hash, { initial: true });
 }
 
-// FIXED: Proper UI setup for unapproved users  
-function showAuthenticatedUIWithPaymentPrompt(reason) {
-  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
-  
-  if (auth) auth.style.display = "none";
-  if (header) header.style.display = "flex";
-  if (content) content.style.display = "block";
+function navigate(hash, { replace = false } = {}) {
+  if (hash !== location.hash) {
+    history[replace ? "replaceState" : "pushState"](null, "", hash);
+  }
+  applyRoute(hash);
+}
 
-  // Update settings tab
-  const settingsEmail = document.getElementById("settings-email");
-  if (settingsEmail && currentUser) {
-    settingsEmail.textContent = currentUser.email;
+function parseRoute(hash) {
+  const [path, query = ""] = (hash || "").replace(/^#\/?/, "").split("?");
+  const segments = path.split("/").filter(Boolean);
+  const params = Object.fromEntries(new URLSearchParams(query));
+
+  if (segments[0] === "search") {
+    return { name: "search", query: params.q || "", params };
   }
-  
-  const settingsMemberSince = document.getElementById("settings-member-since");
-  if (settingsMemberSince && currentUser) {
-    const date = new Date(currentUser.created_at);
-    settingsMemberSince.textContent = date.toLocaleDateString('en-US', { 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+
+  if (segments[0] === "person" && /^\d+$/.test(segments[1] || "")) {
+    return { name: "person", id: parseInt(segments[1], 10) };
   }
 
-  // Update subscription status
-  const statusText = document.getElementById('settings-subscription-status');
-  if (statusText) {
-    if (reason === "not_found" || reason === "not_approved") {
-      statusText.textContent = "Payment Required";
-      statusText.className = "subscription-status pending";
-    } else if (reason === "expired") {
-      statusText.textContent = "Subscription expired";
-      statusText.className = "subscription-status expired";
-    }
+  if (segments[0] === "collection" && /^\d+$/.test(segments[1] || "")) {
+    return { name: "collection", id: parseInt(segments[1], 10) };
   }
 
-  // Show notification explaining the situation
-  if (reason === "not_found" || reason === "not_approved") {
-    showNotification("Please complete payment to access all content", "warning");
-  } else if (reason === "expired") {
-    showNotification("Your subscription has expired. Please renew.", "warning");
+  if (segments[0] === "shared" && segments[1]) {
+    return { name: "shared", slug: segments[1] };
   }
 
-  // Show all navigation but restrict playback
-  document.querySelectorAll(".nav-link").forEach(link => {
-    link.style.display = "block";
-  });
+  if (segments[0] === "mood") {
+    return { name: "mood", bundle: segments[1] || null, keyword: null, params };
+  }
 
-  // Make sure hero section is visible
-  const heroSection = document.getElementById('hero-section');
-  if (heroSection) {
-    heroSection.classList.remove('hide-on-about');
+  if (segments[0] === "keyword" && /^\d+$/.test(segments[1] || "")) {
+    return { name: "mood", bundle: null, keyword: parseInt(segments[1], 10), params };
   }
 
-  // Clear any existing rotation
-  if (rotationInterval) {
-    clearInterval(rotationInterval);
-    rotationInterval = null;
+  if ((segments[0] === "movie" || segments[0] === "tv") && /^\d+$/.test(segments[1] || "")) {
+    const id = parseInt(segments[1], 10);
+
+    if (!segments[2]) {
+      return { name: "details", mediaType: segments[0], id };
+    }
+
+    const season = parseInt((segments[2] || "").replace(/^s/, ""), 10);
+    const episode = parseInt((segments[3] || "").replace(/^e/, ""), 10);
+    return {
+      name: "title",
+      mediaType: segments[0],
+      id,
+      season: Number.isFinite(season) ? season : null,
+      episode: Number.isFinite(episode) ? episode : null
+    };
   }
 
-  // Load home section with payment prompt
-  loadSectionContent("home");
+  const section = ROUTABLE_SECTIONS.includes(segments[0]) ? segments[0] : "home";
+  return { name: "section", section, params };
 }
 
-async function updateSubscriptionStatus(expiryDate) {
-  const statusText = document.getElementById('subscription-status-text');
-  if (!statusText || !expiryDate) return;
-
-  const expiry = new Date(expiryDate);
-  const now = new Date();
-  const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
+function buildSectionHash(section, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `#/${section}${query ? `?${query}` : ""}`;
+}
 
-  if (daysRemaining > 0) {
-    statusText.textContent = `${daysRemaining} day${daysRemaining !== 1 ? 's' : ''} remaining`;
-    statusText.className = "subscription-status active";
-  } else {
-    statusText.textContent = "Subscription expired";
-    statusText.className = "subscription-status expired";
+function buildTitleHash(mediaType, id, season, episode) {
+  if (mediaType === "tv" && season) {
+    return `#/tv/${id}/s${season}/e${episode || 1}`;
   }
+  return `#/${mediaType}/${id}/play`;
 }
 
-async function loadBookmarksFromSupabase() {
-  if (!currentUser) return;
-  
-  try {
-    const { data, error } = await supabase
-      .from("user_bookmarks")
-      .select("*")
-      .eq("user_id", currentUser.id)
-      .order('added_at', { ascending: false });
+function buildDetailsHash(mediaType, id) {
+  return `#/${mediaType}/${id}`;
+}
 
-    if (error) {
-      if (error.code === '42P01' || error.message.includes('does not exist')) {
-        showNotification("Failed to load bookmarks. Table may need to be created.", "warning");
-        bookmarks = [];
-        return;
-      }
-      throw error;
-    }
+function buildPersonHash(id) {
+  return `#/person/${id}`;
+}
 
-    bookmarks = data.map(item => ({
-      id: item.media_id,
-      media_type: item.media_type,
-      title: item.title,
-      name: item.title,
-      poster_path: item.poster_path,
-      vote_average: item.vote_average || 0,
-      release_date: item.release_date || "",
-      first_air_date: item.first_air_date || ""
-    }));
-  } catch (error) {
-    console.error("Error loading bookmarks:", error);
-    showNotification("Failed to load bookmarks. Table may need to be created.", "warning");
-    bookmarks = [];
-  }
+function buildCollectionHash(id) {
+  return `#/collection/${id}`;
 }
 
-async function loadContinueWatching() {
-  if (!currentUser) return;
-  
-  try {
-    const { data, error } = await supabase
-      .from("continue_watching")
-      .select("*")
-      .eq("user_id", currentUser.id)
-      .eq("completed", false)
-      .gte("watch_progress", 60)
-      .order('last_watched_at', { ascending: false })
-      .limit(12);
+function buildMoodHash(bundleId, type) {
+  return `#/mood${bundleId ? `/${bundleId}` : ""}${type === "tv" ? "?type=tv" : ""}`;
+}
 
-    if (error) {
-      if (error.code === '42P01' || error.message.includes('does not exist')) {
-        console.log("Continue watching table doesn't exist yet");
-        continueWatching = [];
-        return;
-      }
-      throw error;
-    }
+function buildKeywordHash(id, type) {
+  return `#/keyword/${id}${type === "tv" ? "?type=tv" : ""}`;
+}
 
-    continueWatching = data.map(item => ({
-      id: item.media_id,
-      media_type: item.media_type,
-      title: item.title,
-      name: item.title,
-      poster_path: item.poster_path,
-      watch_progress: item.watch_progress,
-      total_duration: item.total_duration,
-      progress_percentage: item.total_duration > 0 ? (item.watch_progress / item.total_duration) * 100 : 0,
-      season: item.season || 1,
-      episode: item.episode || 1
-    }));
+function buildListHash(listId) {
+  return listId === DEFAULT_LIST_ID ? "#/mylist" : buildSectionHash("mylist", { list: listId });
+}
 
-    const continueRow = document.getElementById('continue-watching-row');
-    if (continueRow) {
-      continueRow.style.display = continueWatching.length > 0 ? 'block' : 'none';
-    }
-  } catch (error) {
-    console.error("Error loading continue watching:", error);
-    continueWatching = [];
-  }
+function buildSharedListHash(slug) {
+  return `#/shared/${slug}`;
 }
 
-function renderContinueWatching() {
-  const grid = domCache.elements['continue-watching-grid'];
-  if (!grid) return;
+function buildSearchHash(query, filters = {}) {
+  return `#/search?${new URLSearchParams({ q: query, ...filters })}`;
+}
 
-  while (grid.firstChild) {
-    grid.removeChild(grid.firstChild);
+function applyRoute(hash, { initial = false } = {}) {
+  const route = parseRoute(hash);
+  lastAppliedHash = hash;
+
+  if (route.name !== "shared") {
+    hideSharedListScreen();
   }
 
-  if (continueWatching.length === 0) {
-    const continueRow = document.getElementById('continue-watching-row');
-    if (continueRow) continueRow.style.display = 'none';
+  if (route.name === "title") {
+    openTitleFromRoute(route, { initial });
     return;
   }
 
-  const fragment = document.createDocumentFragment();
+  if (playerActive) {
+    closePlayer({ fromRouter: true });
+  }
+
+  if (route.name === "search" && !route.query) {
+    navigate("#/home", { replace: true });
+    return;
+  }
+
+  // Drawn over the app, which keeps the section underneath as it was
+  if (route.name === "shared") {
+    showSharedListScreen(route.slug);
+    return;
+  }
+
+  // Returning from the player to the section underneath: leave it as it was
+  const sectionId = route.name === "section" ? route.section : route.name;
+  const alreadyShown = hash === lastSectionHash &&
+    document.getElementById(`${sectionId}-section`)?.classList.contains("active");
+  lastSectionHash = hash;
+
+  if (alreadyShown) return;
+
+  if (route.name === "search") {
+    const searchInput = document.getElementById("main-search-input");
+    if (searchInput) searchInput.value = route.query;
+    performSearch(route.query, { fromRouter: true, filters: readSearchFilters(route.params) });
+  } else if (route.name === "details") {
+    activateSection("details", { mediaType: route.mediaType, id: route.id });
+  } else if (route.name === "person") {
+    activateSection("person", { id: route.id });
+  } else if (route.name === "collection") {
+    activateSection("collection", { id: route.id });
+  } else if (route.name === "mood") {
+    activateSection("mood", { bundle: route.bundle, keyword: route.keyword, type: route.params.type });
+  } else {
+    activateSection(route.section, route.params);
+  }
+}
+
+async function openTitleFromRoute(route, { initial = false } = {}) {
+  const { mediaType, id, season, episode } = route;
+
+  const playback = appState.playback;
+
+  if (playerActive && playback.mediaId === id && playback.mediaType === mediaType) {
+    if (mediaType === "tv" && season && (season !== playback.season || (episode || 1) !== playback.episode)) {
+      appStore.patch("playback", { season, episode: episode || 1 });
+      if (season !== playback.season) {
+        loadSeasons(id);
+      } else {
+        document.querySelectorAll(".episode-card").forEach((card, index) => {
+          card.classList.toggle("active", index + 1 === (episode || 1));
+        });
+      }
+      reloadTVContent();
+    }
+    return;
+  }
+
+  try {
+    const details = await tmdb.get(`/${mediaType}/${id}`, {}, { ttl: TMDB_TTL.long });
+    openPlayer({
+      ...details,
+      media_type: mediaType,
+      resumeSeason: season,
+      resumeEpisode: episode
+    }, { fromRouter: true });
+  } catch (error) {
+    console.error("Error opening routed title:", error);
+    handleTMDBError(error, "Couldn't open that title");
+  }
+
+  // Locked or missing titles fall back to the section underneath
+  if (!playerActive) {
+    history.replaceState(null, "", lastSectionHash);
+    lastAppliedHash = lastSectionHash;
+    return;
+  }
+
+  // Reached through Back/Forward: closing should step back again,
+  // but a shared link opened cold has nothing of ours behind it
+  playerHistoryPushed = !initial;
+}
+
+function pushPlayerRoute() {
+  const hash = buildTitleHash(appState.playback.mediaType, appState.playback.mediaId, appState.playback.season, appState.playback.episode);
+  if (hash === location.hash) return;
+
+  history.pushState(null, "", hash);
+  lastAppliedHash = hash;
+  playerHistoryPushed = true;
+}
+
+function replacePlayerRoute() {
+  if (!playerActive) return;
+
+  const hash = buildTitleHash(appState.playback.mediaType, appState.playback.mediaId, appState.playback.season, appState.playback.episode);
+  if (hash === location.hash) return;
+
+  history.replaceState(null, "", hash);
+  lastAppliedHash = hash;
+}
+
+function leavePlayerRoute() {
+  if (parseRoute(location.hash).name !== "title") return;
+
+  if (playerHistoryPushed) {
+    playerHistoryPushed = false;
+    history.back();
+  } else {
+    history.replaceState(null, "", lastSectionHash);
+    lastAppliedHash = lastSectionHash;
+  }
+}
+
+// Fills in a section URL without adding a history entry or re-rendering
+function replaceSectionRoute(hash) {
+  if (hash === location.hash) return;
+
+  history.replaceState(null, "", hash);
+  lastAppliedHash = hash;
+  lastSectionHash = hash;
+}
+
+function syncSearchRoute(query, filters = {}) {
+  const hash = buildSearchHash(query, filters);
+  if (hash === location.hash) return;
+
+  const onSearch = parseRoute(location.hash).name === "search";
+  history[onSearch ? "replaceState" : "pushState"](null, "", hash);
+  lastAppliedHash = hash;
+  lastSectionHash = hash;
+}
+
+function setupSearch() {
+  const searchInput = document.getElementById("main-search-input");
+  if (!searchInput) return;
+
+  // Typing only fills the suggestion dropdown; the full results page is
+  // for Enter or "See all results"
+  searchInput.addEventListener("input", (e) => {
+    clearTimeout(searchDebounce);
+    const query = e.target.value.trim();
+    if (!query) {
+      showRecentSearches();
+      return;
+    }
+    searchDebounce = setTimeout(() => {
+      loadSearchSuggestions(query);
+    }, 250);
+  });
+
+  searchInput.addEventListener("focus", () => {
+    if (!searchInput.value.trim()) {
+      showRecentSearches();
+    } else if (suggestionItems.length > 0) {
+      openSuggestions();
+    }
+  });
+
+  searchInput.addEventListener("keydown", handleSuggestionKeys);
+
+  const list = document.getElementById("search-suggestions");
+  // Keep focus in the input so the dropdown doesn't close before the click lands
+  list?.addEventListener("mousedown", (e) => e.preventDefault());
+  list?.addEventListener("click", (e) => {
+    const option = e.target.closest(".suggestion-item");
+    if (option) selectSuggestion(suggestionItems[option.dataset.index]);
+  });
+
+  document.addEventListener("mousedown", (e) => {
+    if (!e.target.closest(".search-container")) closeSuggestions();
+  });
+
+  document.getElementById("clear-search")?.addEventListener("click", () => {
+    searchInput.value = "";
+    navigate("#/home");
+  });
+
+  document.getElementById("search-tabs")?.addEventListener("click", (e) => {
+    const tab = e.target.closest(".search-tab");
+    if (tab) updateSearchFilters({ type: tab.dataset.type });
+  });
+
+  const filtersForm = document.getElementById("search-filters");
+  const applyFilters = () => updateSearchFilters({
+    year: filtersForm.elements.year.value,
+    rating: filtersForm.elements.rating.value
+  });
+  filtersForm?.addEventListener("change", applyFilters);
+  filtersForm?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    applyFilters();
+  });
+}
+
+function setupPlayerControls() {
+  document.getElementById("player-close")?.addEventListener("click", () => closePlayer());
+
+  // Takes the player's place in history, so Back skips the closed player
+  document.getElementById("player-collection-link")?.addEventListener("click", (e) => {
+    const { collectionId } = e.currentTarget.dataset;
+    closePlayer({ fromRouter: true });
+    navigate(buildCollectionHash(collectionId), { replace: true });
+  });
+}
+
+function setupAccountModal() {
+  document.getElementById("account-link")?.addEventListener("click", (e) => {
+    e.preventDefault();
+    const modal = document.getElementById("account-modal");
+    if (modal) {
+      modal.classList.add("active");
+      updateAccountModal();
+    }
+  });
+
+  document.getElementById("account-close")?.addEventListener("click", () => {
+    const modal = document.getElementById("account-modal");
+    if (modal) {
+      modal.classList.remove("active");
+    }
+  });
+  
+  // Close modal on overlay click
+  const accountModal = document.getElementById("account-modal");
+  if (accountModal) {
+    accountModal.addEventListener("click", (e) => {
+      if (e.target === accountModal) {
+        accountModal.classList.remove("active");
+      }
+    });
+  }
+}
+
+function smoothTransition(fromId, toId) {
+  const fromElement = document.getElementById(fromId);
+  const toElement = document.getElementById(toId);
+  
+  if (!fromElement || !toElement) return;
+
+  fromElement.classList.add("fade-out");
+  setTimeout(() => {
+    fromElement.classList.remove("active", "fade-out");
+    toElement.classList.add("active", "slide-in-right");
+    setTimeout(() => {
+      toElement.classList.remove("slide-in-right");
+    }, 400);
+  }, 150);
+}
+
+// For text users typed or shared (search queries, list names and
+// descriptions) going into innerHTML
+function escapeHTML(text) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(text ?? "").replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+// FIXED: Complete rewrite of loadUser with proper state management
+async function loadUser() {
+  try {
+    const { data, error } = await supabase.auth.getUser();
+    const user = data?.user;
+
+    const loadingScreen = domCache.elements['loading-screen'];
+    if (loadingScreen) {
+      loadingScreen.classList.add("fade-out");
+      setTimeout(() => {
+        loadingScreen.style.display = "none";
+      }, 500);
+    }
+
+    // Can't reach Supabase to check the session: show what's saved locally
+    if (!user && isOfflineAuthError(error)) {
+      await showOfflineScreen();
+      return;
+    }
+
+    if (user) {
+      appStore.set("user", user);
+      recordVisit(user.id);
+      writeQueue.flush();
+      
+      const accessCheck = await isAllowedUser(user.email);
+      appStore.set("approved", accessCheck.allowed);
+      
+      console.log('User loaded:', { 
+        email: user.email, 
+        isUserApproved: accessCheck.allowed,
+        reason: accessCheck.reason 
+      });
+
+      if (!accessCheck.allowed) {
+        await registerSessionForUser(user);
+        await loadBookmarksFromSupabase();
+        await loadContinueWatching();
+        await loadUserProfileAndAvatar(); // ADDED: Load profile immediately
+        showAuthenticatedUIWithPaymentPrompt(accessCheck.reason);
+        return;
+      }
+
+      await registerSessionForUser(user);
+      await loadBookmarksFromSupabase();
+      await loadContinueWatching();
+      await updateSubscriptionStatus(accessCheck.expiryDate);
+      await loadUserProfileAndAvatar(); // ADDED: Load profile immediately
+      showAuthenticatedUI();
+      
+      const isSpecial = await isSpecialUser(user.email);
+      if (isSpecial) {
+        setTimeout(() => {
+          showHeartAnimation();
+        }, 800);
+      }
+      
+      setTimeout(() => {
+        showExtensionPopup();
+      }, 1000);
+    } else {
+      appStore.set("user", null);
+      appStore.set("approved", false);
+
+      // Shared lists are public, so they open without signing in
+      const route = parseRoute(location.hash);
+      if (route.name === "shared") {
+        showSharedListScreen(route.slug);
+      } else {
+        showUnauthenticatedUI();
+      }
+    }
+  } catch (err) {
+    console.error("Error loading user:", err);
+    if (!navigator.onLine) {
+      await showOfflineScreen();
+      return;
+    }
+    showUnauthenticatedUI();
+    showNotification("Error loading user. Please refresh.", "error");
+  }
+}
+
+async function loadUserProfileAndAvatar() {
+  if (!appState.user) return;
+  
+  try {
+    const { data: profile, error } = await supabase
+      .from('user_profiles')
+      .select('avatar_url')
+      .eq('user_id', appState.user.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error loading profile:', error);
+      return;
+    }
+
+    if (profile && profile.avatar_url) {
+      // Update header avatar immediately
+      const headerAvatar = document.querySelector('.user-avatar');
+      if (headerAvatar) {
+        headerAvatar.src = profile.avatar_url + '?t=' + new Date().getTime();
+      }
+    }
+  } catch (error) {
+    console.error('Error loading user profile and avatar:', error);
+  }
+}
+
+// FIXED: Update account modal with current status
+function updateAccountModal() {
+  const emailEl = document.getElementById('account-email');
+  const memberSinceEl = document.getElementById('account-member-since');
+  const statusEl = document.getElementById('subscription-status-text');
+  
+  if (!appState.user) return;
+
+  loadUserProfile();
+  renderImportPanel();
+
+  if (emailEl) {
+    emailEl.textContent = appState.user.email;
+  }
+  
+  if (memberSinceEl) {
+    memberSinceEl.textContent = new Date(appState.user.created_at).toLocaleDateString();
+  }
+  
+  if (statusEl) {
+    const statusText = appState.approved ? 'Active' : 'Payment Required';
+    const statusClass = appState.approved ? 'active' : 'pending';
+    
+    statusEl.textContent = statusText;
+    statusEl.className = `subscription-status ${statusClass}`;
+  }
+}
+
+// FIXED: Complete UI setup for approved users
+function showAuthenticatedUI() {
+  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
+  
+  if (auth) auth.style.display = "none";
+  if (header) header.style.display = "flex";
+  if (content) content.style.display = "block";
+
+  // Update settings tab instead of old account elements
+  const settingsEmail = document.getElementById("settings-email");
+  if (settingsEmail && appState.user) {
+    settingsEmail.textContent = appState.user.email;
+  }
+  
+  const settingsMemberSince = document.getElementById("settings-member-since");
+  if (settingsMemberSince && appState.user) {
+    const date = new Date(appState.user.created_at);
+    settingsMemberSince.textContent = date.toLocaleDateString('en-US', { 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric' 
+    });
+  }
+
+  // Update subscription status
+  const statusText = document.getElementById('settings-subscription-status');
+  if (statusText) {
+    statusText.textContent = "Active";
+    statusText.className = "subscription-status active";
+  }
+
+  // Ensure all navigation is visible
+  document.querySelectorAll(".nav-link").forEach(link => {
+    link.style.display = "block";
+  });
+
+  // Make sure hero section is visible on initial load (home page)
+  const heroSection = document.getElementById('hero-section');
+  if (heroSection) {
+    heroSection.classList.remove('hide-on-about');
+  }
+
+  // Clear any existing rotation interval before starting fresh
+  if (rotationInterval) {
+    clearInterval(rotationInterval);
+    rotationInterval = null;
+  }
+
+  // Load whatever the URL points at (Home by default)
+  startRouter();
+}
+
+// FIXED: Proper UI setup for unapproved users  
+function showAuthenticatedUIWithPaymentPrompt(reason) {
+  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
+  
+  if (auth) auth.style.display = "none";
+  if (header) header.style.display = "flex";
+  if (content) content.style.display = "block";
+
+  // Update settings tab
+  const settingsEmail = document.getElementById("settings-email");
+  if (settingsEmail && appState.user) {
+    settingsEmail.textContent = appState.user.email;
+  }
+  
+  const settingsMemberSince = document.getElementById("settings-member-since");
+  if (settingsMemberSince && appState.user) {
+    const date = new Date(appState.user.created_at);
+    settingsMemberSince.textContent = date.toLocaleDateString('en-US', { 
+      year: 'numeric', 
+      month: 'long', 
+      day: 'numeric' 
+    });
+  }
+
+  // Update subscription status
+  const statusText = document.getElementById('settings-subscription-status');
+  if (statusText) {
+    if (reason === "not_found" || reason === "not_approved") {
+      statusText.textContent = "Payment Required";
+      statusText.className = "subscription-status pending";
+    } else if (reason === "expired") {
+      statusText.textContent = "Subscription expired";
+      statusText.className = "subscription-status expired";
+    }
+  }
+
+  // Show notification explaining the situation
+  if (reason === "not_found" || reason === "not_approved") {
+    showNotification("Please complete payment to access all content", "warning");
+  } else if (reason === "expired") {
+    showNotification("Your subscription has expired. Please renew.", "warning");
+  }
+
+  // Show all navigation but restrict playback
+  document.querySelectorAll(".nav-link").forEach(link => {
+    link.style.display = "block";
+  });
+
+  // Make sure hero section is visible
+  const heroSection = document.getElementById('hero-section');
+  if (heroSection) {
+    heroSection.classList.remove('hide-on-about');
+  }
+
+  // Clear any existing rotation
+  if (rotationInterval) {
+    clearInterval(rotationInterval);
+    rotationInterval = null;
+  }
+
+  // Load the routed section with payment prompt
+  startRouter();
+}
+
+async function updateSubscriptionStatus(expiryDate) {
+  const statusText = document.getElementById('subscription-status-text');
+  if (!statusText || !expiryDate) return;
+
+  const expiry = new Date(expiryDate);
+  const now = new Date();
+  const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
+
+  if (daysRemaining > 0) {
+    statusText.textContent = `${daysRemaining} day${daysRemaining !== 1 ? 's' : ''} remaining`;
+    statusText.className = "subscription-status active";
+  } else {
+    statusText.textContent = "Subscription expired";
+    statusText.className = "subscription-status expired";
+  }
+}
+
+// Bookmarks are the default list ("My List") in user_lists/user_list_items.
+// Accounts from before custom lists have theirs copied over from
+// user_bookmarks the first time they load, which is left as it was.
+async function loadBookmarksFromSupabase() {
+  if (!appState.user) return;
+  
+  try {
+    const [lists, items] = await Promise.all([
+      supabase.from("user_lists").select("*").eq("user_id", appState.user.id),
+      supabase.from("user_list_items").select("*").eq("user_id", appState.user.id)
+    ]);
+
+    const error = lists.error || items.error;
+    if (error) {
+      if (error.code === '42P01' || error.message.includes('does not exist')) {
+        showNotification("Failed to load bookmarks. Table may need to be created.", "warning");
+        setListRows([], []);
+        return;
+      }
+      throw error;
+    }
+
+    let listRows = lists.data || [];
+    let itemRows = items.data || [];
+
+    if (!listRows.some((list) => list.id === DEFAULT_LIST_ID)) {
+      const migrated = await migrateBookmarksToDefaultList();
+      listRows = [migrated.list, ...listRows];
+      itemRows = [...migrated.items, ...itemRows];
+    }
+
+    setListRows(listRows, itemRows);
+  } catch (error) {
+    console.error("Error loading bookmarks:", error);
+
+    const [snapshot, listsSnapshot] = await Promise.all([
+      offlineCache.getSnapshot(userSnapshotKey("bookmarks")),
+      offlineCache.getSnapshot(userSnapshotKey("lists"))
+    ]);
+    if (snapshot) {
+      appStore.set("bookmarks", snapshot.data);
+      if (listsSnapshot) {
+        appStore.set("lists", listsSnapshot.data.lists);
+        appStore.set("listItems", listsSnapshot.data.items);
+      }
+      showNotification("Couldn't reach the server. Showing the list saved on this device.", "warning");
+      return;
+    }
+
+    showNotification("Failed to load bookmarks. Table may need to be created.", "warning");
+    setListRows([], []);
+  }
+}
+
+async function migrateBookmarksToDefaultList() {
+  const { data, error } = await supabase
+    .from("user_bookmarks")
+    .select("*")
+    .eq("user_id", appState.user.id)
+    .order('added_at', { ascending: false });
+
+  // A new account may never have had the old table
+  if (error && error.code !== '42P01') throw error;
+
+  // Older clients could insert the same title twice; newest row wins
+  const seen = new Set();
+  const bookmarks = (data || []).filter((item) => !seen.has(item.media_id) && seen.add(item.media_id));
+
+  const list = {
+    user_id: appState.user.id,
+    id: DEFAULT_LIST_ID,
+    name: "My List",
+    description: "",
+    cover_path: null,
+    position: 0,
+    created_at: new Date().toISOString()
+  };
+  const items = bookmarks.map((item, index) => ({
+    user_id: appState.user.id,
+    list_id: DEFAULT_LIST_ID,
+    media_id: item.media_id,
+    media_type: item.media_type,
+    title: item.title,
+    poster_path: item.poster_path,
+    vote_average: item.vote_average,
+    release_date: item.release_date || null,
+    first_air_date: item.first_air_date || null,
+    position: index,
+    added_at: item.added_at
+  }));
+
+  // Another tab may be migrating too, so rows already there are kept
+  writeQueue.enqueue({
+    table: "user_lists",
+    action: "upsert",
+    values: list,
+    options: { onConflict: "user_id,id", ignoreDuplicates: true }
+  });
+  if (items.length > 0) {
+    writeQueue.enqueue({
+      table: "user_list_items",
+      action: "upsert",
+      values: items,
+      options: { onConflict: "user_id,list_id,media_id", ignoreDuplicates: true }
+    });
+  }
+
+  return { list, items };
+}
+
+// Last known copy of per-user data, used when Supabase can't be reached
+const USER_SNAPSHOTS = ["bookmarks", "lists", "continue_watching"];
+
+function userSnapshotKey(name, userId = appState.user.id) {
+  return `${name}:${userId}`;
+}
+
+// On sign-out, so the next person on this device doesn't inherit them
+function clearUserSnapshots(user) {
+  if (!user) return Promise.resolve();
+  return offlineCache.deleteSnapshots(USER_SNAPSHOTS.map((name) => userSnapshotKey(name, user.id)));
+}
+
+function saveUserSnapshot(name, data) {
+  if (!appState.user) return;
+  offlineCache.putSnapshot(userSnapshotKey(name), data);
+}
+
+async function loadContinueWatching() {
+  if (!appState.user) return;
+  
+  try {
+    const { data, error } = await supabase
+      .from("continue_watching")
+      .select("*")
+      .eq("user_id", appState.user.id)
+      .eq("completed", false)
+      .gte("watch_progress", 60)
+      .order('last_watched_at', { ascending: false })
+      .limit(12);
+
+    if (error) {
+      if (error.code === '42P01' || error.message.includes('does not exist')) {
+        console.log("Continue watching table doesn't exist yet");
+        appStore.set("continueWatching", []);
+        return;
+      }
+      throw error;
+    }
+
+    appStore.set("continueWatching", data.map(item => ({
+      id: item.media_id,
+      media_type: item.media_type,
+      title: item.title,
+      name: item.title,
+      poster_path: item.poster_path,
+      watch_progress: item.watch_progress,
+      total_duration: item.total_duration,
+      progress_percentage: item.total_duration > 0 ? (item.watch_progress / item.total_duration) * 100 : 0,
+      season: item.season || 1,
+      episode: item.episode || 1,
+      last_watched_at: item.last_watched_at
+    })));
+  } catch (error) {
+    console.error("Error loading continue watching:", error);
+    const snapshot = await offlineCache.getSnapshot(userSnapshotKey("continue_watching"));
+    appStore.set("continueWatching", snapshot ? snapshot.data : []);
+  }
+}
+
+function renderContinueWatching() {
+  const grid = domCache.elements['continue-watching-grid'];
+  if (!grid) return;
+
+  while (grid.firstChild) {
+    grid.removeChild(grid.firstChild);
+  }
+
+  const continueRow = document.getElementById('continue-watching-row');
+  if (continueRow) {
+    continueRow.style.display = appState.continueWatching.length > 0 ? 'block' : 'none';
+  }
+
+  if (appState.continueWatching.length === 0) return;
+
+  const fragment = document.createDocumentFragment();
+
+  appState.continueWatching.forEach((item, index) => {
+    const card = createContinueWatchingCard(item, index);
+    fragment.appendChild(card);
+  });
+
+  grid.appendChild(fragment);
+  setupLazyLoadingForGrid(grid);
+}
+
+// FIXED: Use centralized approval check
+function createContinueWatchingCard(mediaItem, index) {
+  const title = mediaItem.title || mediaItem.name;
+  const progressPercent = Math.min(mediaItem.progress_percentage || 0, 100);
+
+  const card = document.createElement("div");
+  card.className = "media-card continue-watching-card hover-glow";
+  card.style.animationDelay = `${index * 50}ms`;
+  card.tabIndex = 0;
+  card.dataset.id = mediaItem.id;
+  card.dataset.title = title;
+  
+  card.innerHTML = `
+    <div class="card-image-container">
+      <button class="remove-continue-btn" 
+              data-id="${mediaItem.id}"
+              title="Remove from Continue Watching"
+              aria-label="Remove from continue watching">
+        <i class="fas fa-times"></i>
+      </button>
+      <img 
+        data-src="https://image.tmdb.org/t/p/w500${mediaItem.poster_path}" 
+        alt="${escapeHTML(title)}"
+        class="lazy"
+        loading="lazy"
+        onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
+      >
+      <div class="card-overlay">
+        <button class="play-btn hover-glow">
+          <i class="fas fa-play"></i>
+        </button>
+      </div>
+      <div class="progress-bar">
+        <div class="progress-fill" style="width: ${progressPercent}%"></div>
+      </div>
+    </div>
+    <div class="card-info">
+      <h3 class="card-title">${escapeHTML(title)}</h3>
+      <div class="card-meta">
+        <span class="continue-progress">${Math.round(progressPercent)}% watched</span>
+        <span>${mediaItem.media_type === "tv" ? "TV" : "Movie"}</span>
+      </div>
+    </div>
+  `;
+
+  const playBtn = card.querySelector('.play-btn');
+  if (playBtn) {
+    playBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (appState.approved) {
+        openPlayer({ 
+          ...mediaItem, 
+          media_type: mediaItem.media_type,
+          resumeSeason: mediaItem.season,
+          resumeEpisode: mediaItem.episode
+        });
+      } else {
+        showNotification("Premium access required to watch content", "error");
+        openPaymentModal();
+      }
+    });
+  }
+
+  card.addEventListener('click', debounce(() => {
+    if (appState.approved) {
+      openPlayer({ 
+        ...mediaItem, 
+        media_type: mediaItem.media_type,
+        resumeSeason: mediaItem.season,
+        resumeEpisode: mediaItem.episode
+      });
+    } else {
+      showNotification("Premium access required to watch content", "error");
+      openPaymentModal();
+    }
+  }, 300));
+
+  const removeBtn = card.querySelector(".remove-continue-btn");
+  if (removeBtn) {
+    removeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeContinueWatching(mediaItem.id);
+    });
+  }
+
+  syncMediaCardState(card);
+  return card;
+}
+
+function removeContinueWatching(mediaId) {
+  if (!appState.user) return;
+
+  writeQueue.enqueue({
+    table: "continue_watching",
+    action: "delete",
+    key: `progress:${appState.user.id}:${mediaId}`,
+    match: { user_id: appState.user.id, media_id: mediaId }
+  });
+
+  appStore.set("continueWatching", (items) => items.filter(item => item.id !== mediaId));
+  showNotification("Removed from Continue Watching", "success");
+}
+
+function updateWatchProgress(mediaItem, currentTime, duration) {
+  if (!appState.user || !mediaItem || currentTime < 60) return;
+
+  const progressPercent = duration > 0 ? (currentTime / duration) * 100 : 0;
+  const completed = progressPercent > 90;
+  updateCollectionProgress(mediaItem, progressPercent, completed);
+
+  // Only the latest position per title matters, so queued updates coalesce
+  writeQueue.enqueue({
+    table: "continue_watching",
+    action: "upsert",
+    key: `progress:${appState.user.id}:${mediaItem.id}`,
+    values: {
+      user_id: appState.user.id,
+      media_id: mediaItem.id,
+      media_type: mediaItem.media_type,
+      title: mediaItem.title || mediaItem.name,
+      poster_path: mediaItem.poster_path,
+      watch_progress: Math.floor(currentTime),
+      total_duration: Math.floor(duration),
+      last_watched_at: new Date().toISOString(),
+      completed: completed,
+      season: mediaItem.media_type === 'tv' ? appState.playback.season : null,
+      episode: mediaItem.media_type === 'tv' ? appState.playback.episode : null
+    },
+    options: {
+      onConflict: 'user_id,media_id',
+      returning: 'minimal'
+    }
+  });
+
+  // Keep the Continue Watching row current without another round trip
+  appStore.set("continueWatching", (items) => {
+    const others = items.filter(item => item.id !== mediaItem.id);
+    if (completed) return others;
+
+    return [{
+      id: mediaItem.id,
+      media_type: mediaItem.media_type,
+      title: mediaItem.title || mediaItem.name,
+      name: mediaItem.title || mediaItem.name,
+      poster_path: mediaItem.poster_path,
+      watch_progress: Math.floor(currentTime),
+      total_duration: Math.floor(duration),
+      progress_percentage: progressPercent,
+      season: appState.playback.season,
+      episode: appState.playback.episode,
+      last_watched_at: new Date().toISOString()
+    }, ...others].slice(0, 12);
+  });
+}
+
+function showUnauthenticatedUI() {
+  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
+  
+  routerStarted = false;
+  
+  if (auth) auth.style.display = "flex";
+  if (header) header.style.display = "none";
+  if (content) content.style.display = "none";
+}
+
+// ===================================
+// PWA & OFFLINE SCREEN
+// ===================================
+
+function registerServiceWorker() {
+  // The worker is generated at build time (see vite.config.js)
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/service-worker.js").catch((error) => {
+      console.warn("Service worker registration failed:", error);
+    });
+  });
+}
+
+function isOfflineAuthError(error) {
+  return !navigator.onLine || error?.name === "AuthRetryableFetchError";
+}
+
+function setupOfflineScreen() {
+  document.getElementById("offline-retry-btn")?.addEventListener("click", () => {
+    if (!navigator.onLine) {
+      showNotification("Still offline. We'll reconnect as soon as we can.", "warning");
+      return;
+    }
+    leaveOfflineScreen();
+  });
+
+  window.addEventListener("online", () => {
+    if (document.getElementById("offline-screen")?.hidden === false) {
+      leaveOfflineScreen();
+    }
+  });
+}
+
+async function showOfflineScreen() {
+  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
+  const screen = document.getElementById("offline-screen");
+  if (!screen) return;
+
+  if (auth) auth.style.display = "none";
+  if (header) header.style.display = "none";
+  if (content) content.style.display = "none";
+  screen.hidden = false;
+
+  // getSession() reads the stored session without a network round trip
+  const { data } = await supabase.auth.getSession();
+  const user = data?.session?.user;
+  const messageText = document.getElementById("offline-message-text");
+
+  if (!user) {
+    if (messageText) messageText.textContent = "Connect to the internet to sign in to OnlyBinge.";
+    renderOfflineRow("offline-continue", []);
+    renderOfflineRow("offline-mylist", []);
+    return;
+  }
+
+  appStore.set("user", user);
+
+  const [continueSnapshot, bookmarksSnapshot] = await Promise.all([
+    offlineCache.getSnapshot(userSnapshotKey("continue_watching")),
+    offlineCache.getSnapshot(userSnapshotKey("bookmarks"))
+  ]);
+  const continueItems = continueSnapshot?.data || [];
+  const bookmarkItems = bookmarksSnapshot?.data || [];
+
+  if (messageText) {
+    messageText.textContent = continueItems.length || bookmarkItems.length
+      ? "Streaming needs a connection, but your lists are saved on this device."
+      : "Streaming needs a connection. Nothing has been saved on this device yet.";
+  }
+
+  renderOfflineRow("offline-continue", continueItems);
+  renderOfflineRow("offline-mylist", bookmarkItems);
+}
+
+function leaveOfflineScreen() {
+  const screen = document.getElementById("offline-screen");
+  if (screen) screen.hidden = true;
+  loadUser();
+}
+
+function renderOfflineRow(prefix, items) {
+  const row = document.getElementById(`${prefix}-row`);
+  const grid = document.getElementById(`${prefix}-grid`);
+  if (!row || !grid) return;
+
+  row.style.display = items.length > 0 ? "block" : "none";
+  grid.innerHTML = "";
+  items.forEach((item) => grid.appendChild(createOfflineCard(item)));
+}
+
+// Read-only card: posters come from the service worker's image cache.
+// Shared lists use it too, passing what a click should do instead.
+function createOfflineCard(mediaItem, onClick = null) {
+  const title = mediaItem.title || mediaItem.name;
+  const hasProgress = typeof mediaItem.progress_percentage === "number";
+  const progressPercent = Math.min(mediaItem.progress_percentage || 0, 100);
+  const year = (mediaItem.release_date || mediaItem.first_air_date || "").split("-")[0];
+
+  const card = document.createElement("div");
+  card.className = "media-card offline-card";
+  card.tabIndex = 0;
+
+  card.innerHTML = `
+    <div class="card-image-container">
+      <img 
+        src="https://image.tmdb.org/t/p/w500${mediaItem.poster_path}" 
+        alt="${escapeHTML(title)}"
+        onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
+      >
+      ${hasProgress ? `
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${progressPercent}%"></div>
+        </div>
+      ` : ''}
+    </div>
+    <div class="card-info">
+      <h3 class="card-title">${escapeHTML(title)}</h3>
+      <div class="card-meta">
+        <span>${hasProgress ? `${Math.round(progressPercent)}% watched` : year}</span>
+        <span>${mediaItem.media_type === "tv" ? "TV" : "Movie"}</span>
+      </div>
+    </div>
+  `;
+
+  card.addEventListener("click", () => {
+    if (onClick) {
+      onClick();
+    } else {
+      showNotification(`Reconnect to watch ${escapeHTML(title)}`, "warning");
+    }
+  });
+
+  return card;
+}
+
+function loadSectionContent(section, params = {}) {
+  showLoadingForSection(section);
+  
+  switch (section) {
+    case "home":
+      Promise.all([
+        loadFeaturedContent(),
+        loadRecommendations(),
+        loadBecauseYouWatched(),
+        loadTrending(),
+        loadPopularMovies(),
+        loadPopularTVShows()
+      ]).then(() => {
+        renderContinueWatching();
+      }).finally(() => {
+        hideLoadingForSection(section);
+        const homeSection = document.getElementById("home-section");
+        if (homeSection && homeSection.classList.contains('active') && appState.featured.queue.length >= 2) {
+          // Make sure any existing rotation is cleared first
+          if (rotationInterval) {
+            clearInterval(rotationInterval);
+            rotationInterval = null;
+          }
+          // Start rotation after a short delay
+          setTimeout(() => {
+            startRotation();
+          }, 1000);
+        }
+      });
+      break;
+    case "movies":
+    case "tv":
+      loadDiscoverSection(section, params);
+      break;
+    case "mylist":
+      loadBookmarks();
+      hideLoadingForSection(section);
+      break;
+    case "upcoming":
+      loadUpcoming(params).finally(() => hideLoadingForSection(section));
+      break;
+    case "about":
+      // About section is static, just hide loading and setup animations
+      hideLoadingForSection(section);
+      setupScrollAnimations();
+      break;
+    case "details":
+      loadTitleDetails(params.mediaType, params.id).finally(() => hideLoadingForSection(section));
+      break;
+    case "person":
+      loadPersonDetails(params.id).finally(() => hideLoadingForSection(section));
+      break;
+    case "collection":
+      loadCollectionDetails(params.id).finally(() => hideLoadingForSection(section));
+      break;
+    case "mood":
+      loadMoodContent(params).finally(() => hideLoadingForSection(section));
+      break;
+    default:
+      if (DISCOVER_SECTIONS[section]) {
+        loadDiscoverSection(section, params);
+      }
+  }
+}
+
+function loadDiscoverSection(section, params) {
+  const filters = resolveDiscoverFilters(section, params);
+  const loaders = { movies: loadMovies, tv: loadTVShows };
+  const load = loaders[section] || ((sectionFilters) => loadRegionalSection(section, sectionFilters));
+
+  renderGenreChips(section, filters.genre);
+  syncFilterPanel(section, filters);
+  load(filters).finally(() => hideLoadingForSection(section));
+}
+
+function showLoadingForSection(section) {
+  const sectionElement = document.getElementById(`${section}-section`);
+  if (sectionElement && !sectionElement.querySelector('.loading-indicator')) {
+    const loadingDiv = document.createElement('div');
+    loadingDiv.className = 'loading-indicator';
+    loadingDiv.innerHTML = '<div class="spinner"></div><p>Loading content...</p>';
+    sectionElement.appendChild(loadingDiv);
+  }
+}
+
+function hideLoadingForSection(section) {
+  const sectionElement = document.getElementById(`${section}-section`);
+  const loadingIndicator = sectionElement?.querySelector('.loading-indicator');
+  if (loadingIndicator) {
+    loadingIndicator.remove();
+  }
+}
+
+// Turns typed TMDB client errors into something the user can act on.
+// Identical messages within a few seconds are collapsed so parallel
+// loaders failing for the same reason only show one toast.
+let lastTMDBNotice = { message: null, at: 0 };
+
+function handleTMDBError(error, fallbackMessage) {
+  let message = fallbackMessage;
+  let type = "error";
+
+  if (error instanceof TMDBAuthError) {
+    message = "Our catalog service rejected the request. Please try again later.";
+  } else if (error instanceof TMDBRateLimitError) {
+    message = "Too many requests right now. Please wait a moment and try again.";
+    type = "warning";
+  } else if (error instanceof TMDBTimeoutError) {
+    message = "The catalog is taking too long to respond. Check your connection.";
+    type = "warning";
+  } else if (error instanceof TMDBNotFoundError) {
+    message = "That title is no longer available.";
+  }
+
+  const now = Date.now();
+  if (lastTMDBNotice.message === message && now - lastTMDBNotice.at < 4000) return;
+  lastTMDBNotice = { message, at: now };
+
+  showNotification(message, type);
+}
+
+// featured_content rows promote titles in the hero: media_id, media_type
+// ("movie" or "tv"), tagline, backdrop_path (a TMDB path or a full image
+// URL), starts_at and ends_at (either may be null) and priority, highest
+// first. With nothing active the hero picks from what's popular instead.
+const MAX_CURATED_FEATURED = 10;
+
+async function loadFeaturedContent() {
+  try {
+    const curated = await loadCuratedFeatured();
+    if (curated.length > 0) {
+      showFeaturedQueue(curated, 0);
+      return;
+    }
+
+    const data = await tmdb.get("/movie/popular", { page: 1 }, {
+      // Swap in fresher picks without interrupting the hero on screen
+      onRevalidate: (fresh) => {
+        const refreshed = pickFeaturedMovies(fresh.results);
+        // Curated entries may have taken over since
+        if (refreshed.length > 0 && !getFeaturedMedia()?.featured) {
+          const showing = getFeaturedMedia();
+          const keepIndex = refreshed.findIndex(movie => movie.id === showing?.id);
+          appStore.set("featured", {
+            queue: refreshed,
+            index: keepIndex > -1 ? keepIndex : appState.featured.index % refreshed.length
+          });
+        }
+      }
+    });
+    
+    const queue = pickFeaturedMovies(data.results);
+    
+    if (queue.length > 0) {
+      showFeaturedQueue(queue, Math.floor(Math.random() * queue.length));
+    }
+  } catch (error) {
+    console.error("Error loading featured content:", error);
+  }
+}
+
+function showFeaturedQueue(queue, index) {
+  // The featured subscriber puts the picked title in the hero
+  appStore.set("featured", { queue, index });
+  
+  // FIXED: Start rotation immediately if we have enough items
+  if (queue.length >= 2) {
+    // Clear any existing interval first
+    if (rotationInterval) {
+      clearInterval(rotationInterval);
+      rotationInterval = null;
+    }
+    // Start rotation with a small delay to ensure DOM is ready
+    setTimeout(() => {
+      startRotation();
+    }, 500);
+  }
+}
+
+// Active entries with their TMDB details, in priority order. Entries whose
+// title can't be loaded are skipped rather than failing the whole hero.
+async function loadCuratedFeatured() {
+  let rows;
+  try {
+    // The time window is checked in the query, so a pile of expired or
+    // scheduled entries can't crowd the active ones out of the limit
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("featured_content")
+      .select("*")
+      .in("media_type", ["movie", "tv"])
+      .or(`starts_at.is.null,starts_at.lte.${now}`)
+      .or(`ends_at.is.null,ends_at.gt.${now}`)
+      .order("priority", { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+    rows = data || [];
+  } catch (error) {
+    console.warn("Couldn't load featured_content, using popular titles:", error);
+    return [];
+  }
+
+  const active = rows
+    .filter((row) => row.media_id)
+    .slice(0, MAX_CURATED_FEATURED);
+
+  const results = await Promise.allSettled(active.map((row) =>
+    tmdb.get(`/${row.media_type}/${row.media_id}`, {}, { ttl: TMDB_TTL.long })
+  ));
+
+  return results.flatMap((result, index) => {
+    if (result.status !== "fulfilled") return [];
+
+    const row = active[index];
+    const details = result.value;
+    return [{
+      ...details,
+      media_type: row.media_type,
+      genre_ids: (details.genres || []).map((genre) => genre.id),
+      featured: { tagline: row.tagline || null, backdrop: row.backdrop_path || null }
+    }];
+  });
+}
+
+function pickFeaturedMovies(results) {
+  return results.filter(movie => {
+    const releaseYear = movie.release_date ? parseInt(movie.release_date.split('-')[0]) : 0;
+    return movie.adult === false && 
+           movie.vote_average >= 7.0 && 
+           releaseYear >= 2020;
+  }).slice(0, 5);
+}
+
+function getFeaturedMedia() {
+  const { queue, index } = appState.featured;
+  return queue[index] || null;
+}
+
+function startRotation() {
+  if (rotationInterval || appState.featured.queue.length < 2) return;
+  
+  rotationInterval = setInterval(() => {
+    rotateFeatured();
+  }, 5000);
+}
+
+function rotateFeatured() {
+  if (appState.featured.queue.length < 2) return;
+  
+  const heroContent = document.querySelector('.hero-content');
+  const heroBackdrop = document.querySelector('.hero-backdrop');
+  
+  if (heroContent) heroContent.style.opacity = '0';
+  if (heroBackdrop) heroBackdrop.style.opacity = '0';
+  
+  setTimeout(() => {
+    appStore.patch("featured", {
+      index: (appState.featured.index + 1) % appState.featured.queue.length
+    });
+    
+    if (heroContent) heroContent.style.opacity = '1';
+    if (heroBackdrop) heroBackdrop.style.opacity = '0.3';
+  }, 800);
+}
+
+// FIXED: Hero section with centralized approval check
+function updateHeroSection(media) {
+  const heroBackdrop = document.querySelector('.hero-backdrop');
+  const heroTitle = document.getElementById('hero-title');
+  const heroMeta = document.getElementById('hero-meta');
+  const heroDescription = document.getElementById('hero-description');
+  const heroWatchBtn = document.getElementById('hero-watch-btn');
+  const heroBookmarkBtn = document.getElementById('hero-bookmark-btn-new');
+  const heroTagline = document.getElementById('hero-tagline');
+  const backdropUrl = getHeroBackdropUrl(media);
+
+  if (heroBackdrop && backdropUrl) {
+    heroBackdrop.style.backgroundImage = `url(${backdropUrl})`;
+    heroBackdrop.style.opacity = '0.3';
+  }
+
+  if (heroTitle) {
+    heroTitle.textContent = media.title || media.name;
+  }
+
+  if (heroTagline) {
+    heroTagline.textContent = media.featured?.tagline || '';
+    heroTagline.hidden = !media.featured?.tagline;
+  }
+
+  if (heroMeta) {
+    const rating = media.vote_average ? media.vote_average.toFixed(1) : 'N/A';
+    const year = (media.release_date || media.first_air_date || '').split('-')[0];
+    const mediaType = media.media_type === 'tv' ? 'TV Show' : 'Movie';
+    
+    const genres = media.genre_ids ? 
+      media.genre_ids.slice(0, 2).map(id => getGenreName(id)).filter(Boolean).join(', ') : 
+      'Action, Adventure';
+    
+    heroMeta.innerHTML = `
+      <span class="hero-rating"><i class="fas fa-star"></i> ${rating}</span>
+      <span>${year || 'N/A'}</span>
+      <span>${genres || mediaType}</span>
+    `;
+  }
+
+  if (heroDescription) {
+    const description = media.overview || 'No description available';
+    heroDescription.textContent = description.length > 250 
+      ? description.substring(0, 250) + '...' 
+      : description;
+  }
+
+  // FIXED: Hero watch button based on centralized approval
+  if (heroWatchBtn) {
+    if (appState.approved) {
+      heroWatchBtn.innerHTML = '<i class="fas fa-play"></i> Watch Now';
+      heroWatchBtn.onclick = () => {
+        openPlayer({ ...media, media_type: media.media_type || 'movie' });
+      };
+    } else {
+      heroWatchBtn.innerHTML = '<i class="fas fa-lock"></i> Premium Required';
+      heroWatchBtn.onclick = () => {
+        showNotification("Subscribe to unlock premium content", "error");
+        openPaymentModal();
+      };
+    }
+  }
+
+  const heroInfoBtn = document.getElementById('hero-info-btn');
+  if (heroInfoBtn) {
+    heroInfoBtn.onclick = () => openTitleDetails(media, media.media_type || 'movie');
+  }
+
+  // FIXED: Bookmark button with approval check
+  if (heroBookmarkBtn && appState.user) {
+    const icon = heroBookmarkBtn.querySelector('i');
+    const span = heroBookmarkBtn.querySelector('span');
+    
+    heroBookmarkBtn.classList.add('show');
+    
+    if (isBookmarked(media.id)) {
+      icon.className = 'fas fa-bookmark';
+      heroBookmarkBtn.classList.add('bookmarked');
+      if (span) span.textContent = 'Remove from List';
+    } else {
+      icon.className = 'far fa-bookmark';
+      heroBookmarkBtn.classList.remove('bookmarked');
+      if (span) span.textContent = 'Add to List';
+    }
+    
+    heroBookmarkBtn.onclick = () => {
+      if (appState.approved) {
+        // The curation details only matter to the hero
+        const { featured, ...listItem } = media;
+        toggleBookmark(listItem, media.media_type || 'movie');
+      } else {
+        showNotification("Subscribe to use bookmark feature", "error");
+        openPaymentModal();
+      }
+    };
+  } else if (heroBookmarkBtn) {
+    heroBookmarkBtn.classList.remove('show');
+  }
+}
+
+// Curated entries can bring their own artwork, as a TMDB path or a full URL
+function getHeroBackdropUrl(media) {
+  const path = media.featured?.backdrop || media.backdrop_path;
+  if (!path) return null;
+  return /^https?:\/\//.test(path) ? path : `https://image.tmdb.org/t/p/original${path}`;
+}
+
+function getGenreName(id) {
+  const genreMap = {
+    28: 'Action', 12: 'Adventure', 16: 'Animation', 35: 'Comedy', 80: 'Crime',
+    99: 'Documentary', 18: 'Drama', 10751: 'Family', 14: 'Fantasy', 36: 'History',
+    27: 'Horror', 10402: 'Music', 9648: 'Mystery', 10749: 'Romance', 878: 'Sci-Fi',
+    10770: 'TV Movie', 53: 'Thriller', 10752: 'War', 37: 'Western', 10759: 'Action',
+    10765: 'Sci-Fi'
+  };
+  return genreMap[id] || '';
+}
+
+// ===================================
+// RECOMMENDATIONS
+// ===================================
+// "Recommended for you" and "Because you watched X" on the home page. The
+// ranking lives in recommendations.js; this part gathers the signals and
+// seed details.
+
+const RECOMMENDATION_SEEDS = 6;
+const BECAUSE_YOU_WATCHED_ROWS = 3;
+
+// Watches recorded this session, so the home rows can use them before the
+// queued insert reaches user_watch_history (or while offline)
+let sessionWatchHistory = [];
+let becauseYouWatchedRequest = 0;
+
+async function loadRecommendations() {
+  const row = document.getElementById("recommended-row");
+  if (!row) return;
+
+  if (!appState.user) {
+    row.style.display = "none";
+    return;
+  }
+
+  try {
+    const [history, favoriteGenre] = await Promise.all([loadWatchHistory(), loadFavoriteGenre()]);
+    const signals = getRecommendationSignals(history);
+    // Anything already watched, started or saved is left out
+    const exclude = new Set(signals.map(titleKey));
+    const favoriteGenreIds = FAVORITE_GENRES[favoriteGenre] || [];
+
+    let items = [];
+    const seeds = collectSeeds(signals, { limit: RECOMMENDATION_SEEDS });
+    if (seeds.length > 0) {
+      const details = await loadSeedDetails(seeds);
+      items = rankRecommendations(seeds, details, {
+        affinity: buildGenreAffinity(seeds, details, favoriteGenreIds),
+        exclude
+      });
+    }
+
+    // New accounts have nothing to seed from yet, so lean on the profile
+    if (items.length === 0 && favoriteGenreIds.length > 0) {
+      const data = await tmdb.get("/discover/movie", {
+        with_genres: favoriteGenreIds[0],
+        sort_by: "popularity.desc",
+        "vote_count.gte": RATING_SORT_MIN_VOTES
+      }, { ttl: TMDB_TTL.medium });
+      items = data.results
+        .map((item) => ({ ...item, media_type: "movie" }))
+        .filter((item) => !exclude.has(titleKey(item)))
+        .slice(0, 12);
+    }
+
+    row.style.display = items.length > 0 ? "block" : "none";
+    renderMediaCards(items, "recommended-grid");
+  } catch (error) {
+    console.error("Error loading recommendations:", error);
+    row.style.display = "none";
+  }
+}
+
+function getRecommendationSignals(history) {
+  return [
+    ...history.map((entry) => ({
+      id: entry.media_id,
+      media_type: entry.media_type,
+      title: entry.title,
+      signal: "watched",
+      at: entry.watched_at
+    })),
+    ...appState.continueWatching.map((item) => ({
+      id: item.id,
+      media_type: item.media_type,
+      title: item.title,
+      signal: "progress",
+      at: item.last_watched_at
+    })),
+    ...appState.bookmarks.map((item) => ({
+      id: item.id,
+      media_type: item.media_type,
+      title: item.title || item.name,
+      signal: "bookmarked",
+      at: item.added_at
+    }))
+  ];
+}
+
+// Newest first
+async function loadWatchHistory() {
+  const local = sessionWatchHistory.filter((entry) => entry.user_id === appState.user.id);
+  const entryKey = (entry) => `${entry.media_id}:${new Date(entry.watched_at).getTime()}`;
+  const localKeys = new Set(local.map(entryKey));
+
+  try {
+    const { data, error } = await supabase
+      .from("user_watch_history")
+      .select("media_id, media_type, title, watched_at")
+      .eq("user_id", appState.user.id)
+      .order("watched_at", { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+    // Imported watches can be older than the ones loaded here
+    return [...local, ...(data || []).filter((entry) => !localKeys.has(entryKey(entry)))]
+      .sort((a, b) => new Date(b.watched_at) - new Date(a.watched_at));
+  } catch (error) {
+    console.error("Error loading watch history:", error);
+    return local;
+  }
+}
+
+async function loadBecauseYouWatched() {
+  const container = document.getElementById("because-watched-rows");
+  if (!container) return;
+
+  const request = ++becauseYouWatchedRequest;
+  if (!appState.user) {
+    container.innerHTML = "";
+    return;
+  }
+
+  try {
+    const [history, trending] = await Promise.all([
+      loadWatchHistory(),
+      tmdb.get("/trending/all/week").catch(() => ({ results: [] }))
+    ]);
+
+    // Latest watch of each title. All of them count as watched and are
+    // never suggested, even the ones too old to get a row.
+    const watched = history
+      .map((entry) => ({ id: entry.media_id, media_type: entry.media_type, title: entry.title }))
+      .filter((item, index, items) => items.findIndex((other) => titleKey(other) === titleKey(item)) === index);
+    // A couple of spares in case a title has too few suggestions for a row
+    const seeds = watched.slice(0, BECAUSE_YOU_WATCHED_ROWS * 2);
+    const details = seeds.length > 0 ? await loadSeedDetails(seeds) : new Map();
+    if (request !== becauseYouWatchedRequest) return;
+
+    const exclude = new Set([
+      ...watched.map(titleKey),
+      ...trending.results.slice(0, TRENDING_ROW_LIMIT).map(titleKey)
+    ]);
+    const rows = buildBecauseYouWatchedRows(seeds, details, { exclude, maxRows: BECAUSE_YOU_WATCHED_ROWS });
+
+    container.innerHTML = rows.map((row, index) => `
+      <div class="content-row">
+        <div class="section-header">
+          <h2 class="section-title">Because you watched ${row.title}</h2>
+        </div>
+        <div class="content-grid" id="because-watched-grid-${index}"></div>
+      </div>
+    `).join("");
+    rows.forEach((row, index) => renderMediaCards(row.items, `because-watched-grid-${index}`));
+  } catch (error) {
+    console.error("Error loading because you watched rows:", error);
+  }
+}
+
+async function loadFavoriteGenre() {
+  const { data: profile, error } = await supabase
+    .from("user_profiles")
+    .select("favorite_genre")
+    .eq("user_id", appState.user.id)
+    .single();
+
+  if (error && error.code !== "PGRST116") {
+    console.error("Error loading favorite genre:", error);
+  }
+  return profile?.favorite_genre || null;
+}
+
+// One call per seed brings its genres plus both suggestion lists.
+// A seed that fails to load is just skipped.
+async function loadSeedDetails(seeds) {
+  const results = await Promise.allSettled(seeds.map((seed) =>
+    tmdb.get(`/${seed.media_type}/${seed.id}`, {
+      append_to_response: "recommendations,similar"
+    }, { ttl: TMDB_TTL.long })
+  ));
+
+  const details = new Map();
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      details.set(titleKey(seeds[index]), result.value);
+    }
+  });
+  return details;
+}
+
+// The "Because you watched" rows skip whatever this row shows
+const TRENDING_ROW_LIMIT = 12;
+
+async function loadTrending() {
+  try {
+    const data = await tmdb.get("/trending/all/week", {}, {
+      onRevalidate: (fresh) => renderMediaCards(fresh.results.slice(0, TRENDING_ROW_LIMIT), "trending-grid")
+    });
+    renderMediaCards(data.results.slice(0, TRENDING_ROW_LIMIT), "trending-grid");
+  } catch (error) {
+    console.error("Error loading trending:", error);
+    handleTMDBError(error, "Error loading trending content");
+  }
+}
+
+async function loadPopularMovies() {
+  try {
+    const data = await tmdb.get("/movie/popular", {}, {
+      onRevalidate: (fresh) => renderMediaCards(fresh.results.slice(0, 12), "popular-movies-grid")
+    });
+    renderMediaCards(data.results.slice(0, 12), "popular-movies-grid");
+  } catch (error) {
+    console.error("Error loading popular movies:", error);
+    handleTMDBError(error, "Error loading popular movies");
+  }
+}
+
+async function loadPopularTVShows() {
+  try {
+    const data = await tmdb.get("/tv/popular", {}, {
+      onRevalidate: (fresh) => renderMediaCards(fresh.results.slice(0, 12), "popular-tv-grid")
+    });
+    renderMediaCards(data.results.slice(0, 12), "popular-tv-grid");
+  } catch (error) {
+    console.error("Error loading popular TV shows:", error);
+    handleTMDBError(error, "Error loading popular TV shows");
+  }
+}
+
+async function loadMovies(filters = {}) {
+  try {
+    await startPaginatedGrid("movies-grid", (page) => tmdb.get("/discover/movie", {
+      ...buildDiscoverParams("movies", filters),
+      page
+    }));
+  } catch (error) {
+    console.error("Error loading movies:", error);
+    handleTMDBError(error, "Error loading movies");
+  }
+}
+
+async function loadTVShows(filters = {}) {
+  try {
+    await startPaginatedGrid("tv-grid", (page) => tmdb.get("/discover/tv", {
+      ...buildDiscoverParams("tv", filters),
+      page
+    }));
+  } catch (error) {
+    console.error("Error loading TV shows:", error);
+    handleTMDBError(error, "Error loading TV shows");
+  }
+}
+
+function renderMediaCards(mediaItems, gridId, { append = false } = {}) {
+  const grid = document.getElementById(gridId);
+  if (!grid) return;
+
+  if (append) {
+    if (!mediaItems || mediaItems.length === 0) return;
+    // An empty first page (after client-side filtering) left a placeholder
+    grid.querySelectorAll(":scope > .no-content").forEach((placeholder) => placeholder.remove());
+  } else {
+    while (grid.firstChild) {
+      grid.removeChild(grid.firstChild);
+    }
+
+    if (!mediaItems || mediaItems.length === 0) {
+      grid.innerHTML = "<p class='no-content'>No content available</p>";
+      return;
+    }
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  mediaItems.forEach((item, index) => {
+    if (item.media_type === "person") {
+      fragment.appendChild(createPersonCard(item));
+      return;
+    }
+    const mediaType = item.media_type || (item.first_air_date ? "tv" : "movie");
+    const card = createMediaCard(item, mediaType, index);
+    fragment.appendChild(card);
+  });
+
+  grid.appendChild(fragment);
+  setupLazyLoadingForGrid(grid);
+}
+
+// ===================================
+// BROWSE BY MOOD
+// ===================================
+// #/mood/feel-good pages through TMDB discover for titles with any of a
+// bundle's keywords (see mood-bundles.js). #/keyword/4379 does the same for
+// one keyword, which is where the keyword chips on the details page lead.
+// Either takes ?type=tv to browse TV instead of movies.
+
+// Keyword matches pull in a lot of obscure titles
+const MOOD_MIN_VOTES = 20;
+
+// Keyword name -> promise of its TMDB id, null when nothing matches exactly
+const keywordIds = new Map();
+
+function setupMoodBrowsing() {
+  const tiles = MOOD_BUNDLES.map((bundle) => `
+    <button class="mood-tile" data-mood="${bundle.id}" style="--mood-accent: ${bundle.accent}">
+      <i class="fas ${bundle.icon}"></i>
+      <span>${bundle.label}</span>
+    </button>
+  `).join("");
+
+  document.querySelectorAll(".mood-tiles").forEach((container) => {
+    container.innerHTML = tiles;
+    container.addEventListener("click", (e) => {
+      const tile = e.target.closest(".mood-tile");
+      if (!tile) return;
+
+      // Keeps TV selected when switching moods on the mood page
+      const route = parseRoute(location.hash);
+      const type = route.name === "mood" ? route.params.type : undefined;
+      navigate(buildMoodHash(tile.dataset.mood, type));
+    });
+  });
+
+  document.getElementById("mood-type-toggle")?.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-type]");
+    const route = parseRoute(location.hash);
+    if (!button || route.name !== "mood") return;
+
+    navigate(route.keyword
+      ? buildKeywordHash(route.keyword, button.dataset.type)
+      : buildMoodHash(route.bundle, button.dataset.type), { replace: true });
+  });
+}
+
+function resolveKeywordId(name) {
+  if (!keywordIds.has(name)) {
+    const request = tmdb.get("/search/keyword", { query: name }, { ttl: TMDB_TTL.long })
+      .then((data) => (data.results || []).find((keyword) => keyword.name.toLowerCase() === name.toLowerCase())?.id ?? null)
+      .catch((error) => {
+        keywordIds.delete(name);
+        throw error;
+      });
+    keywordIds.set(name, request);
+  }
+  return keywordIds.get(name);
+}
+
+async function getBundleKeywordIds(bundle) {
+  const ids = await Promise.all(bundle.keywords.map(resolveKeywordId));
+  return [...new Set(ids.filter(Boolean))];
+}
+
+// Bundles a title belongs to, going by its keyword names
+function getTitleMoods(keywords) {
+  const names = new Set(keywords.map((keyword) => keyword.name.toLowerCase()));
+  return MOOD_BUNDLES.filter((bundle) => bundle.keywords.some((name) => names.has(name.toLowerCase())));
+}
+
+async function loadMoodContent({ bundle: bundleId, keyword, type }) {
+  const grid = document.getElementById("mood-grid");
+  const title = document.getElementById("mood-title");
+  const description = document.getElementById("mood-description");
+  const typeToggle = document.getElementById("mood-type-toggle");
+  if (!grid || !title || !description) return;
+
+  const mediaType = type === "tv" ? "tv" : "movie";
+  const bundle = MOOD_BUNDLES.find((candidate) => candidate.id === bundleId);
+
+  document.querySelectorAll("#mood-section .mood-tile").forEach((tile) => {
+    tile.classList.toggle("active", tile.dataset.mood === bundle?.id);
+  });
+  typeToggle?.querySelectorAll("[data-type]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.type === mediaType);
+  });
+  if (typeToggle) typeToggle.hidden = !bundle && !keyword;
+
+  // Bare #/mood (or an unknown bundle) just offers the moods
+  if (!bundle && !keyword) {
+    gridPagination.delete("mood-grid");
+    grid.innerHTML = "";
+    getGridLoadMoreMarker(grid).innerHTML = "";
+    title.textContent = "Browse by Mood";
+    description.textContent = "Pick a mood and we'll find something that fits.";
+    return;
+  }
+
+  try {
+    let ids;
+    if (bundle) {
+      title.textContent = bundle.label;
+      description.textContent = bundle.description;
+      ids = await getBundleKeywordIds(bundle);
+    } else {
+      const data = await tmdb.get(`/keyword/${keyword}`, {}, { ttl: TMDB_TTL.long });
+      title.textContent = data.name.charAt(0).toUpperCase() + data.name.slice(1);
+      description.textContent = `${mediaType === "tv" ? "TV shows" : "Movies"} tagged "${data.name}".`;
+      ids = [keyword];
+    }
+
+    // Another mood may have been picked while the keywords were looked up
+    const route = parseRoute(lastSectionHash);
+    if (route.name !== "mood" || route.bundle !== (bundleId || null) || route.keyword !== keyword) return;
+
+    if (ids.length === 0) {
+      gridPagination.delete("mood-grid");
+      grid.innerHTML = "<p class='no-content'>No content available</p>";
+      return;
+    }
+
+    await startPaginatedGrid("mood-grid", async (page) => {
+      const data = await tmdb.get(`/discover/${mediaType}`, {
+        with_keywords: ids.join("|"),
+        sort_by: "popularity.desc",
+        "vote_count.gte": MOOD_MIN_VOTES,
+        page
+      }, { ttl: TMDB_TTL.medium });
+
+      const results = data.results
+        .filter((item) => !item.adult)
+        .map((item) => ({ ...item, media_type: mediaType }));
+      return { ...data, results };
+    });
+  } catch (error) {
+    console.error("Error loading mood:", error);
+    handleTMDBError(error, "Error loading titles for this mood");
+  }
+}
+
+// ===================================
+// TITLE DETAILS
+// ===================================
+// #/movie/603 and #/tv/1399 render here. One append_to_response call brings
+// credits, videos, similar titles, recommendations and age ratings.
+
+// The title currently on the details page, for Play/Bookmark and subscribers
+let detailsMedia = null;
+
+function openTitleDetails(mediaItem, mediaType) {
+  navigate(buildDetailsHash(mediaType || mediaItem.media_type || "movie", mediaItem.id));
+}
+
+async function loadTitleDetails(mediaType, id) {
+  const container = document.getElementById("details-content");
+  if (!container) return;
+
+  // Don't leave the previous title on screen while the next one loads
+  if (detailsMedia && (detailsMedia.id !== id || detailsMedia.media_type !== mediaType)) {
+    container.innerHTML = "";
+    detailsMedia = null;
+  }
+
+  const ratingsKey = mediaType === "movie" ? "release_dates" : "content_ratings";
+
+  try {
+    const details = await tmdb.get(`/${mediaType}/${id}`, {
+      append_to_response: ["credits", "videos", "similar", "recommendations", "keywords", ratingsKey].join(","),
+      // Trailers are often only uploaded without a language
+      include_video_language: "en,null"
+    }, { ttl: TMDB_TTL.long });
+
+    // Another title may have been opened while this one was loading
+    const route = parseRoute(lastSectionHash);
+    if (route.name !== "details" || route.id !== id || route.mediaType !== mediaType) return;
+
+    detailsMedia = { ...details, media_type: mediaType };
+    renderTitleDetails(detailsMedia);
+  } catch (error) {
+    console.error("Error loading title details:", error);
+    handleTMDBError(error, "Couldn't load this title");
+    container.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-film"></i>
+        <p>We couldn't load this title right now.</p>
+      </div>
+    `;
+  }
+}
+
+function renderTitleDetails(media) {
+  const container = document.getElementById("details-content");
+  if (!container) return;
+
+  const title = media.title || media.name;
+  const year = (media.release_date || media.first_air_date || "").split("-")[0];
+  const rating = media.vote_average ? media.vote_average.toFixed(1) : "N/A";
+  const certification = getCertification(media);
+  const runtime = media.media_type === "movie"
+    ? formatRuntime(media.runtime)
+    : formatRuntime(media.episode_run_time?.[0] || media.last_episode_to_air?.runtime);
+  const genres = (media.genres || []).map((genre) => genre.name).slice(0, 3).join(", ");
+
+  const crew = media.credits?.crew || [];
+  const creators = media.media_type === "tv"
+    ? (media.created_by || [])
+    : crew.filter((person) => person.job === "Director");
+  const writers = crew
+    .filter((person) => person.department === "Writing")
+    .filter((person, index, people) => people.findIndex((other) => other.id === person.id) === index)
+    .slice(0, 3);
+  const personLinks = (people) => people
+    .map((person) => `<button class="details-person-link" data-person-id="${person.id}">${person.name}</button>`)
+    .join(", ");
+  const collection = getTitleCollection(media);
+  // Movies list them under keywords.keywords, TV under keywords.results
+  const keywords = media.keywords?.keywords || media.keywords?.results || [];
+  const moods = getTitleMoods(keywords);
+
+  container.innerHTML = `
+    <div class="details-hero">
+      <div class="details-backdrop" ${media.backdrop_path ? `style="background-image: url(https://image.tmdb.org/t/p/original${media.backdrop_path})"` : ''}></div>
+      <div class="details-hero-inner">
+        <img 
+          class="details-poster"
+          src="https://image.tmdb.org/t/p/w500${media.poster_path}" 
+          alt="${title}"
+          onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
+        >
+        <div class="details-info">
+          <h1 class="details-title">${title}</h1>
+          <div class="details-meta">
+            <span class="hero-rating"><i class="fas fa-star"></i> ${rating}</span>
+            ${year ? `<span>${year}</span>` : ''}
+            ${certification ? `<span class="details-certification">${certification}</span>` : ''}
+            ${runtime ? `<span>${media.media_type === "tv" ? `${runtime} episodes` : runtime}</span>` : ''}
+            ${media.media_type === "tv" && media.number_of_seasons ? `<span>${media.number_of_seasons} Season${media.number_of_seasons === 1 ? '' : 's'}</span>` : ''}
+            ${genres ? `<span>${genres}</span>` : ''}
+          </div>
+          ${media.tagline ? `<p class="details-tagline">${media.tagline}</p>` : ''}
+          <p class="details-overview">${media.overview || 'No description available'}</p>
+          ${moods.length || keywords.length ? `
+            <div class="details-keywords">
+              ${moods.map((bundle) => `
+                <button class="keyword-chip mood" data-mood="${bundle.id}" style="--mood-accent: ${bundle.accent}">
+                  <i class="fas ${bundle.icon}"></i> ${bundle.label}
+                </button>
+              `).join("")}
+              ${keywords.slice(0, 10).map((keyword) => `
+                <button class="keyword-chip" data-keyword="${keyword.id}">${keyword.name}</button>
+              `).join("")}
+            </div>
+          ` : ''}
+          <div class="details-credits">
+            ${creators.length ? `<p><span>${media.media_type === "tv" ? 'Created by' : 'Directed by'}</span> ${personLinks(creators)}</p>` : ''}
+            ${writers.length ? `<p><span>Written by</span> ${personLinks(writers)}</p>` : ''}
+            ${collection ? `<p><span>Part of</span> <button class="details-person-link details-collection-link" data-collection-id="${collection.id}">${collection.name}</button></p>` : ''}
+          </div>
+          <div class="details-actions">
+            <button class="btn-hero-primary" id="details-play-btn"></button>
+            <button class="hero-bookmark show" id="details-bookmark-btn">
+              <i class="far fa-bookmark"></i>
+              <span>Add to List</span>
+            </button>
+            <button class="hero-bookmark show" id="details-list-btn">
+              <i class="fas fa-plus"></i>
+              <span>Add to list…</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    ${media.media_type === "tv" ? `
+      <div class="details-block">
+        <div class="section-header">
+          <h2 class="section-title">Episodes</h2>
+          <select class="details-season-select" id="details-season-select" aria-label="Season"></select>
+        </div>
+        <div class="details-episodes" id="details-episodes"></div>
+      </div>
+    ` : ''}
+
+    <div class="details-block" id="details-cast-block">
+      <div class="section-header">
+        <h2 class="section-title">Cast</h2>
+      </div>
+      <div class="cast-carousel" id="details-cast"></div>
+    </div>
+
+    <div class="details-block" id="details-trailers-block">
+      <div class="section-header">
+        <h2 class="section-title">Trailers & Videos</h2>
+      </div>
+      <div class="trailer-player" id="details-trailer-player" hidden></div>
+      <div class="trailer-list" id="details-trailers"></div>
+    </div>
+
+    <div class="content-row" id="details-similar-row">
+      <div class="section-header">
+        <h2 class="section-title">More Like This</h2>
+      </div>
+      <div class="content-grid" id="details-similar-grid"></div>
+    </div>
+  `;
+
+  updateDetailsPlayButton();
+  updateDetailsBookmarkButton();
+  renderDetailsCast(media.credits?.cast || []);
+  renderDetailsTrailers(media.videos?.results || []);
+
+  const similar = [...(media.recommendations?.results || []), ...(media.similar?.results || [])]
+    .filter((item, index, items) => item.poster_path && items.findIndex((other) => other.id === item.id) === index)
+    .slice(0, 12)
+    .map((item) => ({ ...item, media_type: item.media_type || media.media_type }));
+  document.getElementById("details-similar-row").style.display = similar.length ? "block" : "none";
+  renderMediaCards(similar, "details-similar-grid");
+
+  const listItem = getDetailsListItem(media);
+
+  document.getElementById("details-bookmark-btn")?.addEventListener("click", () => {
+    if (appState.approved) {
+      toggleBookmark(listItem, media.media_type);
+    } else {
+      showNotification("Subscribe to use bookmark feature", "error");
+      openPaymentModal();
+    }
+  });
+
+  document.getElementById("details-list-btn")?.addEventListener("click", () => {
+    openListPicker(listItem, media.media_type);
+  });
+
+  container.querySelectorAll(".details-person-link[data-person-id]").forEach((link) => {
+    link.addEventListener("click", () => openPersonDetails(link.dataset.personId));
+  });
+
+  container.querySelector(".details-collection-link")?.addEventListener("click", (e) => {
+    openCollection(e.currentTarget.dataset.collectionId);
+  });
+
+  container.querySelectorAll(".keyword-chip").forEach((chip) => {
+    chip.addEventListener("click", () => {
+      navigate(chip.dataset.mood
+        ? buildMoodHash(chip.dataset.mood, media.media_type)
+        : buildKeywordHash(chip.dataset.keyword, media.media_type));
+    });
+  });
+
+  if (media.media_type === "tv") {
+    setupDetailsSeasons(media);
+  }
+
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+// Age rating for the configured region, falling back to the US one
+function getCertification(media) {
+  const region = import.meta.env.VITE_TMDB_REGION || "US";
+
+  if (media.media_type === "movie") {
+    const results = media.release_dates?.results || [];
+    const forRegion = (iso) => results
+      .find((result) => result.iso_3166_1 === iso)
+      ?.release_dates.find((release) => release.certification)?.certification;
+    return forRegion(region) || forRegion("US") || "";
+  }
+
+  const ratings = media.content_ratings?.results || [];
+  const match = ratings.find((result) => result.iso_3166_1 === region) ||
+    ratings.find((result) => result.iso_3166_1 === "US");
+  return match?.rating || "";
+}
+
+function formatRuntime(minutes) {
+  if (!minutes) return "";
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  if (!hours) return `${mins}m`;
+  return mins ? `${hours}h ${mins}m` : `${hours}h`;
+}
+
+// TV shows resume where Continue Watching left off
+function updateDetailsPlayButton() {
+  const playBtn = document.getElementById("details-play-btn");
+  if (!playBtn || !detailsMedia) return;
+
+  const progress = appState.continueWatching.find((item) => String(item.id) === String(detailsMedia.id));
+  const resume = detailsMedia.media_type === "tv" && progress?.season
+    ? { season: progress.season, episode: progress.episode || 1 }
+    : null;
+
+  if (!appState.approved) {
+    playBtn.innerHTML = '<i class="fas fa-lock"></i> Premium Required';
+  } else if (resume) {
+    playBtn.innerHTML = `<i class="fas fa-play"></i> Resume S${resume.season} E${resume.episode}`;
+  } else {
+    playBtn.innerHTML = `<i class="fas fa-play"></i> ${progress ? 'Resume' : 'Play'}`;
+  }
+
+  playBtn.onclick = () => {
+    if (!appState.approved) {
+      showNotification("Subscribe to unlock premium content", "error");
+      openPaymentModal();
+      return;
+    }
+    playFromDetails(resume?.season, resume?.episode);
+  };
+}
+
+// Lists are snapshotted to disk, so leave the appended extras out
+function getDetailsListItem(media) {
+  const { credits, videos, similar, recommendations, keywords, release_dates, content_ratings, ...listItem } = media;
+  return listItem;
+}
+
+function updateDetailsBookmarkButton() {
+  const bookmarkBtn = document.getElementById("details-bookmark-btn");
+  if (!bookmarkBtn || !detailsMedia) return;
+
+  const bookmarked = isBookmarked(detailsMedia.id);
+  const icon = bookmarkBtn.querySelector("i");
+  const span = bookmarkBtn.querySelector("span");
+
+  bookmarkBtn.classList.toggle("bookmarked", bookmarked);
+  if (icon) icon.className = `${bookmarked ? 'fas' : 'far'} fa-bookmark`;
+  if (span) span.textContent = bookmarked ? "Remove from List" : "Add to List";
+}
+
+function playFromDetails(season = null, episode = null) {
+  if (!detailsMedia) return;
+  stopDetailsTrailer();
+  openPlayer({ ...detailsMedia, resumeSeason: season, resumeEpisode: episode });
+}
+
+function renderDetailsCast(cast) {
+  const block = document.getElementById("details-cast-block");
+  const carousel = document.getElementById("details-cast");
+  if (!block || !carousel) return;
+
+  const people = cast.slice(0, 20);
+  block.style.display = people.length ? "block" : "none";
+
+  carousel.innerHTML = people.map((person) => `
+    <div class="cast-card" data-person-id="${person.id}" tabindex="0" role="link">
+      <img 
+        src="${person.profile_path ? `https://image.tmdb.org/t/p/w185${person.profile_path}` : 'https://via.placeholder.com/185x278?text=No+Photo'}" 
+        alt="${person.name}"
+        loading="lazy"
+      >
+      <div class="cast-name">${person.name}</div>
+      ${person.character ? `<div class="cast-character">${person.character}</div>` : ''}
+    </div>
+  `).join("");
+
+  carousel.querySelectorAll(".cast-card").forEach((card) => {
+    card.addEventListener("click", () => openPersonDetails(card.dataset.personId));
+    card.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") openPersonDetails(card.dataset.personId);
+    });
+  });
+}
+
+function renderDetailsTrailers(videos) {
+  const block = document.getElementById("details-trailers-block");
+  const list = document.getElementById("details-trailers");
+  if (!block || !list) return;
+
+  // Official trailers first, then teasers, YouTube only since that's what we embed
+  const typeOrder = { Trailer: 0, Teaser: 1 };
+  const trailers = videos
+    .filter((video) => video.site === "YouTube" && video.type in typeOrder)
+    .sort((a, b) => typeOrder[a.type] - typeOrder[b.type] || Number(b.official) - Number(a.official))
+    .slice(0, 6);
+
+  block.style.display = trailers.length ? "block" : "none";
+  list.innerHTML = "";
+
+  trailers.forEach((video) => {
+    const button = document.createElement("button");
+    button.className = "trailer-thumb";
+    button.title = video.name;
+    button.innerHTML = `
+      <img src="https://img.youtube.com/vi/${video.key}/hqdefault.jpg" alt="${video.name}" loading="lazy">
+      <span class="trailer-play"><i class="fas fa-play"></i></span>
+      <span class="trailer-name">${video.name}</span>
+    `;
+    button.addEventListener("click", () => playDetailsTrailer(video.key));
+    list.appendChild(button);
+  });
+}
+
+function playDetailsTrailer(key) {
+  const player = document.getElementById("details-trailer-player");
+  if (!player) return;
+
+  player.innerHTML = `
+    <iframe 
+      src="https://www.youtube-nocookie.com/embed/${key}?autoplay=1&rel=0" 
+      title="Trailer"
+      allow="autoplay; encrypted-media; picture-in-picture"
+      allowfullscreen
+    ></iframe>
+  `;
+  player.hidden = false;
+  player.scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+// Leaving the page (or starting the real thing) shouldn't keep a trailer playing
+function stopDetailsTrailer() {
+  const player = document.getElementById("details-trailer-player");
+  if (!player || player.hidden) return;
+  player.innerHTML = "";
+  player.hidden = true;
+}
+
+function setupDetailsSeasons(media) {
+  const seasonSelect = document.getElementById("details-season-select");
+  if (!seasonSelect) return;
+
+  const seasons = (media.seasons || []).filter((season) => season.season_number > 0);
+  const progress = appState.continueWatching.find((item) => String(item.id) === String(media.id));
+  const initialSeason = seasons.some((season) => season.season_number === progress?.season)
+    ? progress.season
+    : seasons[0]?.season_number;
+
+  seasonSelect.innerHTML = seasons.map((season) => `
+    <option value="${season.season_number}" ${season.season_number === initialSeason ? 'selected' : ''}>
+      ${season.name || `Season ${season.season_number}`}
+    </option>
+  `).join("");
+
+  seasonSelect.addEventListener("change", (e) => {
+    loadDetailsEpisodes(media.id, parseInt(e.target.value, 10));
+  });
+
+  if (initialSeason) {
+    loadDetailsEpisodes(media.id, initialSeason);
+  } else {
+    renderDetailsEpisodes(media.id, null, []);
+  }
+}
+
+async function loadDetailsEpisodes(showId, seasonNumber) {
+  try {
+    const data = await tmdb.get(`/tv/${showId}/season/${seasonNumber}`, {}, { ttl: TMDB_TTL.long });
+    if (detailsMedia?.id !== showId) return;
+    renderDetailsEpisodes(showId, seasonNumber, data.episodes);
+  } catch (error) {
+    console.error("Error loading episodes:", error);
+    if (error instanceof TMDBNotFoundError) {
+      renderDetailsEpisodes(showId, seasonNumber, []);
+      return;
+    }
+    handleTMDBError(error, "Error loading episodes");
+  }
+}
+
+function renderDetailsEpisodes(showId, seasonNumber, episodes) {
+  const list = document.getElementById("details-episodes");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  if (!episodes || episodes.length === 0) {
+    list.innerHTML = "<p class='no-episodes'>No episodes available</p>";
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  episodes.forEach((episode) => {
+    const item = document.createElement("div");
+    item.className = "details-episode";
+    item.tabIndex = 0;
+
+    const overview = episode.overview || "";
+    item.innerHTML = `
+      <div class="details-episode-still">
+        <img 
+          src="${episode.still_path ? `https://image.tmdb.org/t/p/w300${episode.still_path}` : 'https://via.placeholder.com/300x169?text=No+Image'}" 
+          alt="${episode.name || `Episode ${episode.episode_number}`}"
+          loading="lazy"
+        >
+        <span class="details-episode-play"><i class="fas fa-play"></i></span>
+      </div>
+      <div class="details-episode-info">
+        <div class="details-episode-title">${episode.episode_number}. ${episode.name || `Episode ${episode.episode_number}`}</div>
+        <div class="episode-meta">
+          ${episode.runtime ? `${episode.runtime}m • ` : ''}
+          ${episode.air_date ? new Date(episode.air_date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : 'TBA'}
+        </div>
+        ${overview ? `<p class="details-episode-overview">${overview.length > 180 ? overview.substring(0, 180) + '...' : overview}</p>` : ''}
+      </div>
+    `;
+
+    const play = () => {
+      if (!appState.approved) {
+        showNotification("Premium access required to watch content", "error");
+        openPaymentModal();
+        return;
+      }
+      playFromDetails(seasonNumber, episode.episode_number);
+    };
+
+    item.addEventListener("click", debounce(play, 300));
+    item.addEventListener("keypress", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        play();
+      }
+    });
+
+    fragment.appendChild(item);
+  });
+
+  list.appendChild(fragment);
+}
+
+// ===================================
+// PERSON DETAILS
+// ===================================
+// #/person/287 renders an actor's or director's page from the person details
+// and their combined_credits (movie and TV, cast and crew in one response).
+
+const FILMOGRAPHY_PAGE_SIZE = 40;
+
+// Every credit of the person on screen, merged and newest first
+let personCredits = [];
+
+function openPersonDetails(id) {
+  navigate(buildPersonHash(id));
+}
+
+async function loadPersonDetails(id) {
+  const container = document.getElementById("person-content");
+  if (!container) return;
+
+  if (container.dataset.personId !== String(id)) {
+    container.innerHTML = "";
+    personCredits = [];
+  }
+
+  try {
+    const person = await tmdb.get(`/person/${id}`, {
+      append_to_response: "combined_credits"
+    }, { ttl: TMDB_TTL.long });
+
+    // Another person may have been opened while this one was loading
+    const route = parseRoute(lastSectionHash);
+    if (route.name !== "person" || route.id !== id) return;
+
+    container.dataset.personId = id;
+    renderPersonDetails(person);
+  } catch (error) {
+    console.error("Error loading person:", error);
+    handleTMDBError(error, "Couldn't load this person");
+    container.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-user"></i>
+        <p>We couldn't load this person right now.</p>
+      </div>
+    `;
+  }
+}
+
+// Cast and crew entries for the same title (several roles, or acting and
+// directing) collapse into one credit carrying every department
+function mergePersonCredits({ cast = [], crew = [] } = {}) {
+  const credits = new Map();
+
+  [
+    ...cast.map((credit) => ({ ...credit, department: "Acting" })),
+    ...crew
+  ].forEach((credit) => {
+    if (credit.adult || (credit.media_type !== "movie" && credit.media_type !== "tv")) return;
+
+    const key = `${credit.media_type}:${credit.id}`;
+    const existing = credits.get(key);
+    if (existing) {
+      existing.departments.add(credit.department);
+      return;
+    }
+
+    const { department, character, job, credit_id, ...media } = credit;
+    credits.set(key, { ...media, departments: new Set([department]) });
+  });
+
+  return [...credits.values()].sort((a, b) => {
+    const dateA = a.release_date || a.first_air_date || "";
+    const dateB = b.release_date || b.first_air_date || "";
+    // Undated credits are usually announced projects, so they go on top
+    if (!dateA || !dateB) return dateA ? 1 : dateB ? -1 : 0;
+    return dateB.localeCompare(dateA);
+  });
+}
+
+function getCreditYear(credit) {
+  return (credit.release_date || credit.first_air_date || "").split("-")[0];
+}
+
+function renderPersonDetails(person) {
+  const container = document.getElementById("person-content");
+  if (!container) return;
+
+  personCredits = mergePersonCredits(person.combined_credits);
+
+  const knownFor = personCredits
+    .filter((credit) => credit.poster_path)
+    .sort((a, b) => (b.vote_count || 0) - (a.vote_count || 0))
+    .slice(0, 8);
+
+  const departments = [...new Set(personCredits.flatMap((credit) => [...credit.departments]))];
+  const years = [...new Set(personCredits.map(getCreditYear).filter(Boolean))];
+  const defaultDepartment = departments.includes(person.known_for_department)
+    ? person.known_for_department
+    : "all";
+
+  const born = person.birthday
+    ? new Date(person.birthday).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" })
+    : "";
+  const biography = (person.biography || "").split(/\n+/).filter(Boolean);
+
+  container.innerHTML = `
+    <div class="details-hero">
+      <div class="details-hero-inner">
+        <img 
+          class="details-poster"
+          src="${person.profile_path ? `https://image.tmdb.org/t/p/w500${person.profile_path}` : 'https://via.placeholder.com/500x750?text=No+Photo'}" 
+          alt="${person.name}"
+        >
+        <div class="details-info">
+          <h1 class="details-title">${person.name}</h1>
+          <div class="details-meta">
+            ${person.known_for_department ? `<span>${person.known_for_department}</span>` : ''}
+            ${born ? `<span>Born ${born}${person.place_of_birth ? ` in ${person.place_of_birth}` : ''}</span>` : ''}
+            ${person.deathday ? `<span>Died ${new Date(person.deathday).getFullYear()}</span>` : ''}
+            <span>${personCredits.length} credit${personCredits.length === 1 ? '' : 's'}</span>
+          </div>
+          <div class="person-biography" id="person-biography">
+            ${biography.length
+              ? biography.map((paragraph) => `<p>${paragraph}</p>`).join("")
+              : `<p>We don't have a biography for ${person.name} yet.</p>`}
+          </div>
+          <button class="person-bio-toggle" id="person-bio-toggle" hidden>Read more</button>
+        </div>
+      </div>
+    </div>
+
+    <div class="content-row" id="person-known-for-row">
+      <div class="section-header">
+        <h2 class="section-title">Known For</h2>
+      </div>
+      <div class="content-grid" id="person-known-for-grid"></div>
+    </div>
+
+    <div class="details-block">
+      <div class="section-header">
+        <h2 class="section-title">Filmography</h2>
+        <form class="person-filters" id="person-filters">
+          <select name="department" aria-label="Department">
+            <option value="all">All departments</option>
+            ${departments.map((department) => `
+              <option value="${department}" ${department === defaultDepartment ? 'selected' : ''}>${department}</option>
+            `).join("")}
+          </select>
+          <select name="type" aria-label="Type">
+            <option value="all">Movies & TV</option>
+            <option value="movie">Movies</option>
+            <option value="tv">TV Shows</option>
+          </select>
+          <select name="year" aria-label="Year">
+            <option value="all">All years</option>
+            ${years.map((year) => `<option value="${year}">${year}</option>`).join("")}
+          </select>
+        </form>
+      </div>
+      <div class="content-grid-full" id="person-credits-grid"></div>
+    </div>
+  `;
+
+  document.getElementById("person-known-for-row").style.display = knownFor.length ? "block" : "none";
+  renderMediaCards(knownFor, "person-known-for-grid");
+
+  const biographyElement = document.getElementById("person-biography");
+  const bioToggle = document.getElementById("person-bio-toggle");
+  if (biographyElement && bioToggle && (person.biography || "").length > 600) {
+    biographyElement.classList.add("collapsed");
+    bioToggle.hidden = false;
+    bioToggle.addEventListener("click", () => {
+      const collapsed = biographyElement.classList.toggle("collapsed");
+      bioToggle.textContent = collapsed ? "Read more" : "Read less";
+    });
+  }
+
+  document.getElementById("person-filters")?.addEventListener("change", renderPersonFilmography);
+  renderPersonFilmography();
+
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+// Filtering happens client side; the grid pages through the result like
+// the discover grids do
+function renderPersonFilmography() {
+  const filtersElement = document.getElementById("person-filters");
+  if (!filtersElement) return;
+
+  const department = filtersElement.elements.department.value;
+  const type = filtersElement.elements.type.value;
+  const year = filtersElement.elements.year.value;
+
+  const credits = personCredits.filter((credit) =>
+    (department === "all" || credit.departments.has(department)) &&
+    (type === "all" || credit.media_type === type) &&
+    (year === "all" || getCreditYear(credit) === year)
+  );
+
+  startPaginatedGrid("person-credits-grid", async (page) => ({
+    results: credits.slice((page - 1) * FILMOGRAPHY_PAGE_SIZE, page * FILMOGRAPHY_PAGE_SIZE),
+    total_pages: Math.max(1, Math.ceil(credits.length / FILMOGRAPHY_PAGE_SIZE))
+  }));
+}
+
+function createPersonCard(person) {
+  const knownFor = (person.known_for || [])
+    .map((item) => item.title || item.name)
+    .filter(Boolean)
+    .slice(0, 2)
+    .join(", ");
+
+  const card = document.createElement("div");
+  card.className = "person-card hover-glow";
+  card.tabIndex = 0;
+  card.setAttribute("role", "link");
+  card.innerHTML = `
+    <img 
+      src="${person.profile_path ? `https://image.tmdb.org/t/p/w185${person.profile_path}` : 'https://via.placeholder.com/185x278?text=No+Photo'}" 
+      alt="${person.name}"
+      loading="lazy"
+    >
+    <div class="person-card-info">
+      <h3 class="card-title">${person.name}</h3>
+      ${person.known_for_department ? `<div class="person-card-department">${person.known_for_department}</div>` : ''}
+      ${knownFor ? `<div class="person-card-known-for">${knownFor}</div>` : ''}
+    </div>
+  `;
+
+  card.addEventListener("click", debounce(() => openPersonDetails(person.id), 300));
+  card.addEventListener("keypress", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      openPersonDetails(person.id);
+    }
+  });
+
+  return card;
+}
+
+// ===================================
+// COLLECTIONS
+// ===================================
+// #/collection/10 lists every film in a TMDB collection (a franchise) in
+// release order, with the user's progress and list state for each part.
+// TMDB only says which collection a movie belongs to in its details, so
+// that's remembered as details are loaded (details page, player) and used
+// to link cards. My List movies not seen before have their details fetched
+// once their card scrolls into view, a few at a time, and get their link
+// when the answer comes back. Other grids only link what's already known.
+
+const TITLE_COLLECTIONS_KEY = "nf_title_collections";
+const MAX_TITLE_COLLECTIONS = 1000;
+// Same threshold updateWatchProgress uses to mark a title completed
+const COLLECTION_WATCHED_PERCENT = 90;
+const COLLECTION_LOOKUP_BATCH = 4;
+
+// Movie id -> { id, name }, or null for films that aren't part of one
+let titleCollections = null;
+// The collection on screen: { collection, parts, progress }
+let collectionView = null;
+// Movie ids waiting for a details lookup
+const collectionLookups = new Set();
+let collectionLookupRunning = false;
+
+function openCollection(id) {
+  navigate(buildCollectionHash(id));
+}
+
+function getTitleCollections() {
+  if (!titleCollections) {
+    try {
+      titleCollections = new Map(JSON.parse(localStorage.getItem(TITLE_COLLECTIONS_KEY) || "[]"));
+    } catch (error) {
+      titleCollections = new Map();
+    }
+  }
+  return titleCollections;
+}
+
+function setTitleCollection(movieId, collection) {
+  const collections = getTitleCollections();
+  const key = String(movieId);
+  if (collections.has(key) && collections.get(key)?.id === collection?.id) return;
+
+  // Re-inserted so the oldest entries are the ones dropped
+  collections.delete(key);
+  collections.set(key, collection);
+
+  try {
+    localStorage.setItem(TITLE_COLLECTIONS_KEY, JSON.stringify([...collections].slice(-MAX_TITLE_COLLECTIONS)));
+  } catch (error) {
+    console.warn("Couldn't save collections:", error);
+  }
+}
+
+// undefined when we haven't seen the movie's details yet
+function getTitleCollection(media) {
+  if ((media.media_type || "movie") !== "movie") return null;
+
+  if (media.belongs_to_collection !== undefined) {
+    const collection = media.belongs_to_collection
+      ? { id: media.belongs_to_collection.id, name: media.belongs_to_collection.name }
+      : null;
+    setTitleCollection(media.id, collection);
+    return collection;
+  }
+
+  return getTitleCollections().get(String(media.id));
+}
+
+function addCardCollectionLink(card, collection) {
+  const info = card.querySelector(".card-info");
+  if (!info || card.querySelector(".card-collection-link")) return;
+
+  const link = document.createElement("button");
+  link.className = "card-collection-link";
+  link.title = collection.name;
+  link.innerHTML = `<i class="fas fa-layer-group"></i> ${escapeHTML(collection.name)}`;
+  link.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openCollection(collection.id);
+  });
+  link.addEventListener("keypress", (e) => e.stopPropagation());
+  info.appendChild(link);
+}
+
+function observeCardCollections(grid) {
+  const observer = domCache.observers.get("collections");
+  if (!observer) return;
+
+  grid.querySelectorAll('.media-card[data-media-type="movie"]').forEach((card) => {
+    if (getTitleCollection({ id: card.dataset.id, media_type: "movie" }) === undefined) {
+      observer.observe(card);
+    }
+  });
+}
+
+// Before the grid's cards are replaced, so detached cards aren't kept
+function unobserveCardCollections(grid) {
+  const observer = domCache.observers.get("collections");
+  if (!observer) return;
+
+  grid.querySelectorAll('.media-card[data-media-type="movie"]').forEach((card) => observer.unobserve(card));
+}
+
+function queueCollectionLookup(movieId) {
+  if (!/^\d+$/.test(movieId || "") || getTitleCollections().has(String(movieId))) return;
+  collectionLookups.add(String(movieId));
+  if (!collectionLookupRunning) runCollectionLookups();
+}
+
+async function runCollectionLookups() {
+  collectionLookupRunning = true;
+
+  while (collectionLookups.size > 0) {
+    const batch = [...collectionLookups].slice(0, COLLECTION_LOOKUP_BATCH);
+    batch.forEach((id) => collectionLookups.delete(id));
+
+    await Promise.all(batch.map(async (id) => {
+      try {
+        // Kept out of the offline store so these don't push out the home rows
+        const details = await tmdb.get(`/movie/${id}`, {}, { ttl: TMDB_TTL.long, persist: false });
+        const collection = getTitleCollection({ ...details, media_type: "movie" });
+        if (!collection) return;
+
+        document.querySelectorAll(`.media-card[data-media-type="movie"][data-id="${id}"]`).forEach((card) => {
+          addCardCollectionLink(card, collection);
+        });
+      } catch (error) {
+        // Left unknown, so it's tried again next time the card is shown
+        console.error("Error loading movie collection:", error);
+      }
+    }));
+  }
+
+  collectionLookupRunning = false;
+}
+
+async function loadCollectionDetails(id) {
+  const container = document.getElementById("collection-content");
+  if (!container) return;
+
+  if (collectionView?.collection.id !== id) {
+    container.innerHTML = "";
+    collectionView = null;
+  }
+
+  try {
+    const collection = await tmdb.get(`/collection/${id}`, {}, { ttl: TMDB_TTL.long });
+    const parts = sortCollectionParts(collection.parts || []);
+    const progress = await loadCollectionProgress(parts.map((part) => part.id));
+
+    // Another page may have been opened while this one was loading
+    const route = parseRoute(lastSectionHash);
+    if (route.name !== "collection" || route.id !== id) return;
+
+    parts.forEach((part) => setTitleCollection(part.id, { id: collection.id, name: collection.name }));
+    collectionView = { collection, parts, progress };
+    renderCollection();
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  } catch (error) {
+    console.error("Error loading collection:", error);
+    handleTMDBError(error, "Couldn't load this collection");
+    container.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-layer-group"></i>
+        <p>We couldn't load this collection right now.</p>
+      </div>
+    `;
+  }
+}
+
+// Release order, with announced parts that have no date yet at the end
+function sortCollectionParts(parts) {
+  return parts
+    .filter((part) => !part.adult)
+    .map((part) => ({ ...part, media_type: "movie" }))
+    .sort((a, b) => {
+      if (!a.release_date || !b.release_date) return a.release_date ? -1 : b.release_date ? 1 : 0;
+      return a.release_date.localeCompare(b.release_date);
+    });
+}
+
+// Movie id -> { percent, completed } from continue_watching, which keeps
+// completed rows too (the Continue Watching row just leaves them out)
+async function loadCollectionProgress(ids) {
+  const progress = new Map();
+  if (!appState.user || ids.length === 0) return progress;
+
+  try {
+    const { data, error } = await supabase
+      .from("continue_watching")
+      .select("media_id, watch_progress, total_duration, completed")
+      .eq("user_id", appState.user.id)
+      .eq("media_type", "movie")
+      .in("media_id", ids);
+
+    if (error) throw error;
+    (data || []).forEach((row) => {
+      progress.set(String(row.media_id), {
+        percent: row.total_duration > 0 ? (row.watch_progress / row.total_duration) * 100 : 0,
+        completed: Boolean(row.completed)
+      });
+    });
+  } catch (error) {
+    console.error("Error loading collection progress:", error);
+  }
+
+  // Progress from this session may not have reached the server yet
+  appState.continueWatching.forEach((item) => {
+    if (item.media_type === "movie" && ids.includes(item.id)) {
+      progress.set(String(item.id), { percent: item.progress_percentage, completed: false });
+    }
+  });
+
+  return progress;
+}
+
+// Called by updateWatchProgress so closing the player updates the page
+function updateCollectionProgress(mediaItem, percent, completed) {
+  if (!collectionView || mediaItem.media_type !== "movie") return;
+  if (!collectionView.parts.some((part) => part.id === mediaItem.id)) return;
+
+  collectionView.progress.set(String(mediaItem.id), { percent, completed });
+  if (document.getElementById("collection-section")?.classList.contains("active")) {
+    renderCollection();
+  }
+}
+
+function getCollectionPartStatus(part) {
+  if (!part.release_date || new Date(part.release_date) > new Date()) return "unreleased";
+
+  const entry = collectionView.progress.get(String(part.id));
+  if (entry?.completed || entry?.percent >= COLLECTION_WATCHED_PERCENT) return "watched";
+  return entry ? "started" : "unwatched";
+}
+
+// The first released part that hasn't been finished, started ones included
+function getNextCollectionPart() {
+  return collectionView.parts.find((part) => {
+    const status = getCollectionPartStatus(part);
+    return status === "started" || status === "unwatched";
+  });
+}
+
+function renderCollection() {
+  const container = document.getElementById("collection-content");
+  if (!container || !collectionView) return;
+
+  const { collection, parts } = collectionView;
+  const statuses = parts.map(getCollectionPartStatus);
+  const released = statuses.filter((status) => status !== "unreleased").length;
+  const watched = statuses.filter((status) => status === "watched").length;
+  const years = parts
+    .map((part) => (part.release_date || "").split("-")[0])
+    .filter(Boolean);
+  const yearRange = years.length
+    ? (years[0] === years[years.length - 1] ? years[0] : `${years[0]}–${years[years.length - 1]}`)
+    : "";
+
+  container.innerHTML = `
+    <div class="details-hero">
+      <div class="details-backdrop" ${collection.backdrop_path ? `style="background-image: url(https://image.tmdb.org/t/p/original${collection.backdrop_path})"` : ''}></div>
+      <div class="details-hero-inner">
+        <img 
+          class="details-poster"
+          src="${collection.poster_path ? `https://image.tmdb.org/t/p/w500${collection.poster_path}` : 'https://via.placeholder.com/500x750?text=No+Image'}" 
+          alt="${collection.name}"
+          onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
+        >
+        <div class="details-info">
+          <h1 class="details-title">${collection.name}</h1>
+          <div class="details-meta">
+            <span>${parts.length} movie${parts.length === 1 ? '' : 's'}</span>
+            ${yearRange ? `<span>${yearRange}</span>` : ''}
+            ${appState.user && released ? `<span>${watched} of ${released} watched</span>` : ''}
+          </div>
+          <p class="details-overview">${collection.overview || 'No description available'}</p>
+          <div class="details-actions">
+            <button class="btn-hero-primary" id="collection-play-btn"></button>
+            <button class="hero-bookmark show" id="collection-bookmark-btn">
+              <i class="far fa-bookmark"></i>
+              <span>Bookmark Whole Collection</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <div class="details-block">
+      <div class="section-header">
+        <h2 class="section-title">Watch Order</h2>
+      </div>
+      <ol class="collection-parts">
+        ${parts.map((part, index) => renderCollectionPart(part, index, statuses[index])).join("")}
+      </ol>
+    </div>
+  `;
+
+  updateCollectionActions();
+
+  container.querySelectorAll(".collection-part").forEach((item) => {
+    const part = parts.find((candidate) => String(candidate.id) === item.dataset.id);
+
+    item.addEventListener("click", (e) => {
+      if (e.target.closest(".collection-part-play")) {
+        openPlayer(part);
+      } else if (e.target.closest(".bookmark-btn")) {
+        toggleBookmark(part, "movie");
+      } else {
+        openTitleDetails(part, "movie");
+      }
+    });
+
+    item.addEventListener("keypress", (e) => {
+      if (e.key === "Enter" && e.target === item) openTitleDetails(part, "movie");
+    });
+  });
+
+  document.getElementById("collection-play-btn")?.addEventListener("click", () => {
+    const next = getNextCollectionPart();
+    if (next) openPlayer(next);
+  });
+  document.getElementById("collection-bookmark-btn")?.addEventListener("click", bookmarkCollection);
+}
+
+function renderCollectionPart(part, index, status) {
+  const year = (part.release_date || "").split("-")[0];
+  const entry = collectionView.progress.get(String(part.id));
+  const overview = part.overview || "";
+  const statusLabels = {
+    watched: '<i class="fas fa-check-circle"></i> Watched',
+    started: `${Math.round(entry?.percent || 0)}% watched`,
+    unreleased: "Coming soon",
+    unwatched: ""
+  };
+
+  return `
+    <li class="collection-part ${status}" data-id="${part.id}" tabindex="0">
+      <span class="collection-part-number">${index + 1}</span>
+      <img 
+        class="collection-part-poster"
+        src="${part.poster_path ? `https://image.tmdb.org/t/p/w185${part.poster_path}` : 'https://via.placeholder.com/185x278?text=No+Image'}" 
+        alt="${part.title}"
+        loading="lazy"
+      >
+      <div class="collection-part-info">
+        <h3>${part.title}</h3>
+        <div class="collection-part-meta">
+          <span>${year || 'TBA'}</span>
+          ${part.vote_average ? `<span><i class="fas fa-star"></i> ${part.vote_average.toFixed(1)}</span>` : ''}
+          ${statusLabels[status] ? `<span class="collection-part-status">${statusLabels[status]}</span>` : ''}
+        </div>
+        ${overview ? `<p>${overview.length > 200 ? overview.substring(0, 200) + '...' : overview}</p>` : ''}
+        ${status === "started" ? `
+          <div class="collection-part-progress"><div style="width: ${Math.min(100, entry.percent)}%"></div></div>
+        ` : ''}
+      </div>
+      <div class="collection-part-actions">
+        <button class="bookmark-btn" data-id="${part.id}" hidden>
+          <i class="far fa-bookmark"></i>
+        </button>
+        ${status !== "unreleased" ? `
+          <button class="collection-part-play play-btn" aria-label="Play ${part.title}">
+            <i class="fas fa-play"></i>
+          </button>
+        ` : ''}
+      </div>
+    </li>
+  `;
+}
+
+// Play/bookmark state changes with approval and the list, not just on load
+function updateCollectionActions() {
+  if (!collectionView) return;
+
+  const playBtn = document.getElementById("collection-play-btn");
+  if (playBtn) {
+    const next = getNextCollectionPart();
+    const started = next && getCollectionPartStatus(next) === "started";
+
+    playBtn.disabled = !next;
+    if (!next) {
+      playBtn.innerHTML = '<i class="fas fa-check"></i> All Watched';
+    } else if (!appState.approved) {
+      playBtn.innerHTML = '<i class="fas fa-lock"></i> Premium Required';
+    } else {
+      playBtn.innerHTML = `<i class="fas fa-play"></i> ${started ? 'Resume' : 'Play'} ${next.title}`;
+    }
+  }
+
+  const bookmarkBtn = document.getElementById("collection-bookmark-btn");
+  if (bookmarkBtn) {
+    const allBookmarked = collectionView.parts.every((part) => isBookmarked(part.id));
+    bookmarkBtn.disabled = allBookmarked;
+    bookmarkBtn.classList.toggle("bookmarked", allBookmarked);
+    bookmarkBtn.querySelector("i").className = `${allBookmarked ? 'fas' : 'far'} fa-bookmark`;
+    bookmarkBtn.querySelector("span").textContent = allBookmarked ? "All in Your List" : "Bookmark Whole Collection";
+  }
+
+  document.querySelectorAll(".collection-part").forEach((item) => {
+    const bookmark = item.querySelector(".bookmark-btn");
+    if (bookmark) {
+      bookmark.hidden = !(appState.user && appState.approved);
+      setBookmarkButtonState(bookmark, isBookmarked(item.dataset.id));
+    }
+    const play = item.querySelector(".collection-part-play i");
+    if (play) play.className = `fas ${appState.approved ? 'fa-play' : 'fa-lock'}`;
+  });
+}
+
+// One optimistic update and one notification for the lot, instead of a
+// toggleBookmark (and a toast) per part
+function bookmarkCollection() {
+  if (!canManageLists()) return;
+
+  const { collection, parts } = collectionView;
+  // Added to the top of the list, still in watch order
+  const firstPosition = getFirstPosition(DEFAULT_LIST_ID);
+  const addedAt = new Date().toISOString();
+  const missing = parts
+    .filter((part) => !isBookmarked(part.id))
+    .map((part, index, all) => ({
+      ...part,
+      media_type: "movie",
+      position: firstPosition - all.length + index,
+      added_at: addedAt
+    }));
+  if (missing.length === 0) return;
+
+  appStore.set("bookmarks", (items) => [...missing, ...items]);
+  showNotification(`Added ${missing.length} movie${missing.length === 1 ? '' : 's'} from ${collection.name} to your list`, "success");
+
+  Promise.all(missing.map((part) => addListItemToSupabase(DEFAULT_LIST_ID, part))).then((results) => {
+    const dropped = missing.filter((part, index) => results[index].status === "dropped" && isBookmarked(part.id));
+    if (dropped.length === 0) return;
+
+    const droppedIds = new Set(dropped.map((part) => String(part.id)));
+    appStore.set("bookmarks", (items) => items.filter((item) => !droppedIds.has(String(item.id))));
+    showNotification(`Couldn't add ${dropped.length} of them to your list. Please try again.`, "error");
+  });
+}
+
+// The player sidebar links to the collection of the movie playing. Cards
+// from lists don't carry belongs_to_collection, so it may need the details.
+async function updatePlayerCollectionLink(mediaItem) {
+  const link = document.getElementById("player-collection-link");
+  if (!link) return;
+
+  link.hidden = true;
+  if (mediaItem.media_type !== "movie") return;
+
+  let collection = getTitleCollection(mediaItem);
+  if (collection === undefined) {
+    try {
+      const details = await tmdb.get(`/movie/${mediaItem.id}`, {}, { ttl: TMDB_TTL.long });
+      collection = getTitleCollection({ ...details, media_type: "movie" });
+    } catch (error) {
+      console.error("Error loading movie collection:", error);
+      return;
+    }
+  }
+
+  // The player may have moved on to something else meanwhile
+  if (!collection || !playerActive || appState.playback.mediaId !== mediaItem.id) return;
+
+  link.dataset.collectionId = collection.id;
+  link.innerHTML = `<i class="fas fa-layer-group"></i> ${collection.name}`;
+  link.hidden = false;
+}
+
+// ===================================
+// UPCOMING EPISODES
+// ===================================
+// #/upcoming?view=month&date=2026-03-01 is a calendar of air dates for the
+// TV shows in My List: the episodes of each show's latest and next season.
+// My List also badges shows with an episode out since the user's last visit.
+// Both keep what they loaded per show for a few minutes, so adding or
+// removing a bookmark only loads the show that changed.
+
+const LAST_VISIT_KEY = "nf_last_visit";
+const UPCOMING_VIEWS = ["week", "month"];
+const SHOW_LOOKUP_BATCH = 4;
+
+// Show id -> { value, loadedAt }, where value is the pending lookup
+const showAirings = new Map();
+const showSchedules = new Map();
+
+// The signed-in user's previous visit (a YYYY-MM-DD date), read once per load
+let previousVisit = { userId: null, date: null };
+// Bumped per render so a slow load can't replace a newer one
+let upcomingRequest = 0;
+
+function recordVisit(userId) {
+  let visits = {};
+  try {
+    visits = JSON.parse(localStorage.getItem(LAST_VISIT_KEY) || "{}");
+  } catch (error) {
+    visits = {};
+  }
+
+  previousVisit = { userId, date: visits[userId] || null };
+  visits[userId] = toDateKey(new Date());
+
+  try {
+    localStorage.setItem(LAST_VISIT_KEY, JSON.stringify(visits));
+  } catch (error) {
+    console.warn("Couldn't save last visit:", error);
+  }
+}
+
+// Local calendar dates, as TMDB air dates have no time or zone
+function toDateKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0")
+  ].join("-");
+}
+
+function parseDateKey(key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function readUpcomingParams(params = {}) {
+  const view = UPCOMING_VIEWS.includes(params.view) ? params.view : "week";
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(params.date || "") ? parseDateKey(params.date) : new Date();
+  return { view, date: Number.isNaN(date.getTime()) ? new Date() : date };
+}
+
+function getUpcomingRange(view, date) {
+  if (view === "week") {
+    const start = startOfWeek(date);
+    return { start, end: addDays(start, 6) };
+  }
+
+  // Whole weeks around the month, like a wall calendar
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  return { start: startOfWeek(first), end: addDays(startOfWeek(last), 6) };
+}
+
+function getTVBookmarks() {
+  return appState.bookmarks.filter((item) => item.media_type === "tv");
+}
+
+// next_episode_to_air and last_episode_to_air change as episodes air, so
+// these are only cached briefly
+function getShowAiringDetails(id) {
+  return tmdb.get(`/tv/${id}`, {}, { ttl: TMDB_TTL.short });
+}
+
+// Every dated episode of the show's latest and upcoming seasons
+async function loadShowSchedule(bookmark) {
+  const show = await getShowAiringDetails(bookmark.id);
+  const known = [show.last_episode_to_air, show.next_episode_to_air].filter(Boolean);
+  const seasonNumbers = [...new Set(known.map((episode) => episode.season_number))];
+
+  const seasons = await Promise.all(seasonNumbers.map((number) =>
+    tmdb.get(`/tv/${bookmark.id}/season/${number}`, {}, { ttl: TMDB_TTL.medium }).catch(() => null)
+  ));
+  const episodes = seasons.flatMap((season) => season?.episodes || []);
+
+  return {
+    show: { ...show, media_type: "tv" },
+    episodes: (episodes.length > 0 ? episodes : known).filter((episode) => episode.air_date)
+  };
+}
+
+function getShowLookup(cache, show, load) {
+  const key = String(show.id);
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.loadedAt < TMDB_TTL.short) return cached.value;
+
+  const entry = { value: load(show), loadedAt: Date.now() };
+  cache.set(key, entry);
+  // Failed lookups are tried again next time
+  entry.value.catch(() => {
+    if (cache.get(key) === entry) cache.delete(key);
+  });
+  return entry.value;
+}
+
+// Settled results in the order of shows, a few lookups at a time. Shows no
+// longer in the list are forgotten.
+async function loadShowLookups(cache, shows, load) {
+  const ids = new Set(shows.map((show) => String(show.id)));
+  [...cache.keys()].forEach((id) => {
+    if (!ids.has(id)) cache.delete(id);
+  });
+
+  const results = [];
+  for (let i = 0; i < shows.length; i += SHOW_LOOKUP_BATCH) {
+    results.push(...await Promise.allSettled(
+      shows.slice(i, i + SHOW_LOOKUP_BATCH).map((show) => getShowLookup(cache, show, load))
+    ));
+  }
+  return results;
+}
+
+async function loadUpcoming(params = {}) {
+  const container = document.getElementById("upcoming-content");
+  if (!container) return;
+
+  const request = ++upcomingRequest;
+  const { view, date } = readUpcomingParams(params);
+
+  if (!appState.user) {
+    container.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-calendar-alt"></i>
+        <p>Log in to see when new episodes of your shows air.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const shows = getTVBookmarks();
+  if (shows.length === 0) {
+    container.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-calendar-alt"></i>
+        <p>Add TV shows to My List to see their upcoming episodes here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const results = await loadShowLookups(showSchedules, shows, loadShowSchedule);
+  if (request !== upcomingRequest) return;
+
+  const schedules = results
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value);
+
+  if (schedules.length === 0) {
+    handleTMDBError(results[0].reason, "Couldn't load upcoming episodes");
+  }
+
+  renderUpcoming(view, date, schedules);
+}
+
+function renderUpcoming(view, date, schedules) {
+  const container = document.getElementById("upcoming-content");
+  if (!container) return;
+
+  const { start, end } = getUpcomingRange(view, date);
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  const todayKey = toDateKey(new Date());
+
+  const byDay = new Map();
+  schedules.forEach(({ show, episodes }) => {
+    episodes.forEach((episode) => {
+      if (episode.air_date < startKey || episode.air_date > endKey) return;
+      if (!byDay.has(episode.air_date)) byDay.set(episode.air_date, []);
+      byDay.get(episode.air_date).push({ show, episode });
+    });
+  });
+
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) days.push(day);
+
+  const weekdays = days.slice(0, 7).map((day) => day.toLocaleDateString("en-US", { weekday: "short" }));
+  const rangeLabel = view === "week"
+    ? `${start.toLocaleDateString("en-US", { month: "short", day: "numeric" })} – ${end.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}`
+    : date.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+  const nextUp = getNextAirings(schedules, todayKey);
+
+  container.innerHTML = `
+    <div class="upcoming-toolbar">
+      <div class="upcoming-nav">
+        <button class="upcoming-nav-btn" data-step="-1" aria-label="Previous ${view}">
+          <i class="fas fa-chevron-left"></i>
+        </button>
+        <button class="upcoming-today-btn">Today</button>
+        <button class="upcoming-nav-btn" data-step="1" aria-label="Next ${view}">
+          <i class="fas fa-chevron-right"></i>
+        </button>
+        <h3 class="upcoming-range">${rangeLabel}</h3>
+      </div>
+      <div class="genre-mode-toggle" role="group" aria-label="Calendar view">
+        ${UPCOMING_VIEWS.map((option) => `
+          <button class="genre-mode-btn ${option === view ? 'active' : ''}" data-view="${option}">
+            ${option === "week" ? "Week" : "Month"}
+          </button>
+        `).join("")}
+      </div>
+    </div>
+
+    <div class="upcoming-calendar ${view}">
+      ${view === "month" ? weekdays.map((weekday) => `<div class="upcoming-weekday">${weekday}</div>`).join("") : ''}
+      ${days.map((day) => {
+        const key = toDateKey(day);
+        const airings = byDay.get(key) || [];
+        const outside = view === "month" && day.getMonth() !== date.getMonth();
+
+        return `
+          <div class="upcoming-day ${key === todayKey ? 'today' : ''} ${outside ? 'outside' : ''}">
+            <div class="upcoming-day-label">
+              ${view === "week" ? `<span>${day.toLocaleDateString("en-US", { weekday: "short" })}</span>` : ''}
+              ${day.getDate()}
+            </div>
+            ${airings.map(({ show, episode }) => renderUpcomingEpisode(show, episode, todayKey)).join("")}
+          </div>
+        `;
+      }).join("")}
+    </div>
+
+    ${byDay.size === 0 ? `
+      <p class="upcoming-empty">Nothing from your list airs this ${view}.</p>
+    ` : ''}
+
+    ${nextUp.length > 0 ? `
+      <div class="upcoming-next">
+        <h3>Next up</h3>
+        <ul>
+          ${nextUp.map(({ show, episode }) => `
+            <li>
+              <button class="upcoming-next-item" data-show-id="${show.id}" data-date="${episode.air_date}">
+                <strong>${show.name}</strong>
+                <span>S${episode.season_number} E${episode.episode_number} · ${formatAirDate(episode.air_date)}</span>
+              </button>
+            </li>
+          `).join("")}
+        </ul>
+      </div>
+    ` : ''}
+  `;
+
+  container.querySelectorAll(".upcoming-nav-btn").forEach((button) => {
+    button.addEventListener("click", () => {
+      const step = parseInt(button.dataset.step, 10);
+      const target = view === "week"
+        ? addDays(date, step * 7)
+        : new Date(date.getFullYear(), date.getMonth() + step, 1);
+      navigate(buildSectionHash("upcoming", { view, date: toDateKey(target) }), { replace: true });
+    });
+  });
+
+  container.querySelector(".upcoming-today-btn")?.addEventListener("click", () => {
+    navigate(buildSectionHash("upcoming", view === "week" ? {} : { view }), { replace: true });
+  });
+
+  container.querySelectorAll("[data-view]").forEach((button) => {
+    button.addEventListener("click", () => {
+      if (button.dataset.view === view) return;
+      navigate(buildSectionHash("upcoming", { view: button.dataset.view, date: toDateKey(date) }), { replace: true });
+    });
+  });
+
+  container.querySelectorAll(".upcoming-episode").forEach((button) => {
+    button.addEventListener("click", () => openTitleDetails({ id: button.dataset.showId }, "tv"));
+  });
+
+  // Jumps the calendar to the week the episode airs
+  container.querySelectorAll(".upcoming-next-item").forEach((button) => {
+    button.addEventListener("click", () => {
+      navigate(buildSectionHash("upcoming", { view, date: button.dataset.date }), { replace: true });
+    });
+  });
+}
+
+function renderUpcomingEpisode(show, episode, todayKey) {
+  const isNew = isNewSinceLastVisit(episode.air_date, todayKey);
+
+  return `
+    <button class="upcoming-episode ${episode.air_date <= todayKey ? 'aired' : ''} ${isNew ? 'new' : ''}" data-show-id="${show.id}" title="${show.name}: ${episode.name || ''}">
+      <img 
+        src="${show.poster_path ? `https://image.tmdb.org/t/p/w92${show.poster_path}` : 'https://via.placeholder.com/92x138?text=No+Image'}" 
+        alt=""
+        loading="lazy"
+      >
+      <span class="upcoming-episode-info">
+        <span class="upcoming-show">${show.name}</span>
+        <span class="upcoming-episode-code">S${episode.season_number} E${episode.episode_number}${episode.name ? ` · ${episode.name}` : ''}</span>
+        ${isNew ? '<span class="new-episode-badge">New</span>' : ''}
+      </span>
+    </button>
+  `;
+}
+
+// Each show's next episode after today, soonest first
+function getNextAirings(schedules, todayKey) {
+  return schedules
+    .map(({ show, episodes }) => ({
+      show,
+      episode: episodes
+        .filter((episode) => episode.air_date > todayKey)
+        .sort((a, b) => a.air_date.localeCompare(b.air_date))[0]
+    }))
+    .filter(({ episode }) => episode)
+    .sort((a, b) => a.episode.air_date.localeCompare(b.episode.air_date));
+}
+
+function formatAirDate(key) {
+  return parseDateKey(key).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+}
+
+// Air dates have no time, so an episode out on the day of the last visit
+// still counts: it may well have aired after the user left
+function isNewSinceLastVisit(airDate, todayKey = toDateKey(new Date())) {
+  if (!previousVisit.date || previousVisit.userId !== appState.user?.id) return false;
+  return airDate >= previousVisit.date && airDate <= todayKey;
+}
+
+// Badges My List cards of shows with an episode out since the last visit
+async function markNewEpisodes() {
+  if (!previousVisit.date) return;
+
+  const bookmarks = getTVBookmarks();
+  const results = await loadShowLookups(showAirings, bookmarks, (bookmark) => getShowAiringDetails(bookmark.id));
+
+  results.forEach((result, index) => {
+    if (result.status !== "fulfilled") return;
+
+    const bookmark = bookmarks[index];
+    const episode = result.value.last_episode_to_air;
+    if (!episode?.air_date || !isNewSinceLastVisit(episode.air_date)) return;
+
+    const card = document.querySelector(`#mylist-grid .media-card[data-id="${bookmark.id}"][data-media-type="tv"]`);
+    const container = card?.querySelector(".card-image-container");
+    if (!container || container.querySelector(".new-episode-badge")) return;
+
+    const badge = document.createElement("span");
+    badge.className = "new-episode-badge";
+    badge.textContent = "New episode";
+    badge.title = `S${episode.season_number} E${episode.episode_number} aired ${formatAirDate(episode.air_date)}`;
+    container.appendChild(badge);
+  });
+}
+
+// ===================================
+// INFINITE SCROLL PAGINATION
+// ===================================
+
+// TMDB refuses to serve discover pages past 500
+const TMDB_MAX_PAGE = 500;
+
+const gridPagination = new Map();
+
+// Starts a grid over from page 1. fetchPage(page) must resolve to a TMDB
+// list response ({ results, total_pages }). Replacing the state object is
+// what discards responses still in flight for the previous filter.
+// onEmpty runs once the last page is in and the grid still has no cards.
+async function startPaginatedGrid(gridId, fetchPage, { onEmpty = null } = {}) {
+  const grid = document.getElementById(gridId);
+  if (!grid) return;
+
+  const state = { fetchPage, onEmpty, page: 0, totalPages: 1, loading: false };
+  gridPagination.set(gridId, state);
+
+  const marker = getGridLoadMoreMarker(grid);
+  marker.className = "grid-load-more";
+  marker.innerHTML = "";
+
+  await loadNextGridPage(gridId);
+}
+
+async function loadNextGridPage(gridId) {
+  const state = gridPagination.get(gridId);
+  if (!state || state.loading || state.page >= state.totalPages) return;
+
+  const grid = document.getElementById(gridId);
+  const marker = grid ? getGridLoadMoreMarker(grid) : null;
+
+  state.loading = true;
+  if (marker && state.page > 0) {
+    marker.className = "grid-load-more loading";
+    marker.innerHTML = '<div class="spinner"></div>';
+  }
+
+  try {
+    const data = await state.fetchPage(state.page + 1);
+    if (gridPagination.get(gridId) !== state) return;
+
+    state.page++;
+    state.totalPages = Math.min(data.total_pages || 1, TMDB_MAX_PAGE);
+    renderMediaCards(data.results, gridId, { append: state.page > 1 });
+
+    if (state.page >= state.totalPages && !grid?.querySelector(".media-card, .person-card")) {
+      state.onEmpty?.();
+    }
+  } finally {
+    state.loading = false;
+    if (gridPagination.get(gridId) === state) {
+      updateGridLoadMoreMarker(gridId);
+    }
+  }
+
+  // A short page (e.g. after client-side filtering) may leave the
+  // marker on screen, and the observer only fires on changes
+  if (marker && state.page < state.totalPages && isNearViewport(marker)) {
+    setTimeout(() => loadMoreForVisibleGrid(gridId), 200);
+  }
+}
+
+function getGridLoadMoreMarker(grid) {
+  let marker = grid.nextElementSibling;
+  if (!marker || !marker.classList.contains("grid-load-more")) {
+    marker = document.createElement("div");
+    marker.className = "grid-load-more";
+    marker.dataset.grid = grid.id;
+    grid.insertAdjacentElement("afterend", marker);
+    domCache.observers.get("pagination")?.observe(marker);
+  }
+  return marker;
+}
+
+function updateGridLoadMoreMarker(gridId) {
+  const state = gridPagination.get(gridId);
+  const grid = document.getElementById(gridId);
+  if (!state || !grid) return;
+
+  const marker = getGridLoadMoreMarker(grid);
+  const hasCards = grid.querySelector(".media-card");
+
+  if (state.page >= state.totalPages && hasCards) {
+    marker.className = "grid-load-more end";
+    marker.innerHTML = "<p><i class='fas fa-flag-checkered'></i> You've reached the end</p>";
+  } else {
+    marker.className = "grid-load-more";
+    marker.innerHTML = "";
+  }
+}
+
+function loadMoreForVisibleGrid(gridId) {
+  const grid = document.getElementById(gridId);
+  if (!grid || !grid.closest(".content-section.active")) return;
+
+  loadNextGridPage(gridId).catch((error) => {
+    console.error(`Error loading more titles for ${gridId}:`, error);
+    handleTMDBError(error, "Error loading more titles");
+  });
+}
+
+function isNearViewport(element, margin = 600) {
+  const rect = element.getBoundingClientRect();
+  return rect.top < window.innerHeight + margin && rect.bottom > -margin;
+}
+
+// FIXED: Media card with centralized approval check
+function createMediaCard(mediaItem, mediaType, index) {
+  const title = mediaItem.title || mediaItem.name;
+  const year = (mediaItem.release_date || mediaItem.first_air_date || "").split("-")[0];
+  const rating = mediaItem.vote_average ? mediaItem.vote_average.toFixed(1) : "N/A";
+  const collection = getTitleCollection({ ...mediaItem, media_type: mediaType });
+
+  const card = document.createElement("div");
+  card.className = "media-card hover-glow";
+  card.style.animationDelay = `${index * 50}ms`;
+  card.tabIndex = 0;
+  card.dataset.id = mediaItem.id;
+  card.dataset.mediaType = mediaType;
+  card.dataset.title = title;
+  
+  // Bookmark/play state is filled in by syncMediaCardState, which the
+  // store subscribers re-run whenever bookmarks or approval change
+  card.innerHTML = `
+    <div class="card-image-container">
+      <button class="bookmark-btn" data-id="${mediaItem.id}" hidden>
+        <i class="far fa-bookmark"></i>
+      </button>
+      <button class="list-add-btn" title="Add to list…" aria-label="Add to list" hidden>
+        <i class="fas fa-plus"></i>
+      </button>
+      <img 
+        data-src="${mediaItem.poster_path ? `https://image.tmdb.org/t/p/w500${mediaItem.poster_path}` : 'https://via.placeholder.com/500x750?text=No+Image'}" 
+        alt="${escapeHTML(title)}"
+        class="lazy"
+        loading="lazy"
+        onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
+      >
+      <div class="card-overlay">
+        <button class="play-btn hover-glow">
+          <i class="fas fa-play"></i>
+        </button>
+      </div>
+    </div>
+    <div class="card-info">
+      <h3 class="card-title">${escapeHTML(title)}</h3>
+      <div class="card-meta">
+        <span class="card-rating">
+          <i class="fas fa-star"></i>
+          ${rating}
+        </span>
+        <span>${year}</span>
+        <span>${mediaType === "tv" ? "TV" : "Movie"}</span>
+      </div>
+    </div>
+  `;
+
+  if (collection) {
+    addCardCollectionLink(card, collection);
+  }
+
+  const playBtn = card.querySelector('.play-btn');
+  if (playBtn) {
+    playBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (appState.approved) {
+        openPlayer({ ...mediaItem, media_type: mediaType });
+      } else {
+        showNotification("Premium access required to watch content", "error");
+        openPaymentModal();
+      }
+    });
+  }
+
+  // The card itself opens the details page; only the play button streams
+  card.addEventListener('click', debounce(() => {
+    openTitleDetails(mediaItem, mediaType);
+  }, 300));
+
+  card.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openTitleDetails(mediaItem, mediaType);
+    }
+  });
+
+  const bookmarkBtn = card.querySelector(".bookmark-btn");
+  if (bookmarkBtn) {
+    bookmarkBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (appState.approved) {
+        animateButton(bookmarkBtn);
+        toggleBookmark(mediaItem, mediaType);
+      } else {
+        showNotification("Subscribe to use bookmark feature", "error");
+        openPaymentModal();
+      }
+    });
+  }
+
+  card.querySelector(".list-add-btn")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openListPicker(mediaItem, mediaType);
+  });
+
+  syncMediaCardState(card);
+  return card;
+}
+
+function isBookmarked(mediaId) {
+  return appState.bookmarks.some((b) => String(b.id) === String(mediaId));
+}
+
+function syncMediaCardState(card) {
+  const approved = appState.approved;
+
+  const playBtn = card.querySelector(".play-btn");
+  if (playBtn) {
+    const icon = playBtn.querySelector("i");
+    if (icon) icon.className = `fas ${approved ? 'fa-play' : 'fa-lock'}`;
+    playBtn.title = approved
+      ? (card.classList.contains("continue-watching-card") ? "Continue watching" : `Play ${card.dataset.title}`)
+      : "Premium access required";
+  }
+
+  // FIXED: Only show bookmark for approved users
+  const bookmarkBtn = card.querySelector(".bookmark-btn");
+  if (bookmarkBtn) {
+    bookmarkBtn.hidden = !(appState.user && approved);
+    setBookmarkButtonState(bookmarkBtn, isBookmarked(card.dataset.id));
+  }
+
+  const listBtn = card.querySelector(".list-add-btn");
+  if (listBtn) listBtn.hidden = !(appState.user && approved);
+}
+
+function setBookmarkButtonState(button, bookmarked) {
+  const icon = button.querySelector("i");
+  if (icon) {
+    icon.className = `${bookmarked ? 'fas' : 'far'} fa-bookmark`;
+  }
+  button.classList.toggle("bookmarked", bookmarked);
+  button.title = bookmarked ? "Remove from List" : "Add to List";
+  button.setAttribute("aria-label", bookmarked ? "Remove from bookmarks" : "Add to bookmarks");
+}
+
+function setupLazyLoadingForGrid(grid) {
+  const imageObserver = domCache.observers.get('images');
+  if (imageObserver) {
+    grid.querySelectorAll('img.lazy').forEach(img => {
+      imageObserver.observe(img);
+    });
+  }
+}
+
+function animateButton(button) {
+  button.style.transform = "scale(0.9)";
+  setTimeout(() => {
+    button.style.transform = "scale(1)";
+  }, 150);
+}
+
+function loadBookmarks() {
+  const grid = document.getElementById("mylist-grid");
+  if (!grid) return;
+
+  unobserveCardCollections(grid);
+
+  const listId = getActiveListId();
+  const list = getList(listId);
+  const allItems = getListItems(listId);
+  const view = getMyListView();
+  const items = applyListView(allItems, view, {
+    query: myListQuery,
+    getGenreIds: getListItemGenreIds,
+    isWatched: isListItemWatched
+  });
+  const reorderable = view.sort === "custom" && !hasListFilters(view, myListQuery) && allItems.length > 1;
+
+  renderListTabs(listId);
+  renderListHeader(list, { shown: items.length, reorderable });
+  syncMyListToolbar(view, allItems);
+  grid.dataset.listId = listId;
+
+  if (allItems.length === 0) {
+    grid.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-${listId === DEFAULT_LIST_ID ? 'bookmark' : 'list'}"></i>
+        <p>${listId === DEFAULT_LIST_ID
+          ? 'No items in your list yet. Add some movies or TV shows!'
+          : 'Nothing here yet. Use "Add to list" on any title to add it.'}</p>
+      </div>
+    `;
+    return;
+  }
+
+  refreshMyListDetails(listId, allItems, view);
+
+  if (items.length === 0) {
+    grid.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-filter"></i>
+        <p>Nothing in this list matches.</p>
+        <button class="genre-btn" id="mylist-empty-clear">Clear filters</button>
+      </div>
+    `;
+    document.getElementById("mylist-empty-clear")?.addEventListener("click", clearMyListFilters);
+    return;
+  }
+
+  renderMediaCards(items, "mylist-grid");
+  observeCardCollections(grid);
+
+  grid.querySelectorAll(".media-card").forEach((card) => {
+    card.draggable = reorderable;
+
+    // The bookmark button already takes titles off the default list
+    if (listId === DEFAULT_LIST_ID) return;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "list-remove-btn";
+    removeBtn.title = `Remove from ${list.name}`;
+    removeBtn.setAttribute("aria-label", removeBtn.title);
+    removeBtn.innerHTML = `<i class="fas fa-times"></i>`;
+    removeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeFromList(listId, card.dataset.id);
+    });
+    card.querySelector(".card-image-container")?.appendChild(removeBtn);
+  });
+
+  markNewEpisodes();
+}
+
+function toggleBookmark(mediaItem, mediaType) {
+  if (!canManageLists()) return;
+
+  if (isBookmarked(mediaItem.id)) {
+    removeFromList(DEFAULT_LIST_ID, mediaItem.id);
+  } else {
+    addToList(DEFAULT_LIST_ID, mediaItem, mediaType);
+  }
+}
+
+// ===================================
+// CUSTOM LISTS
+// ===================================
+// Besides the default list (My List, which is what the bookmark buttons add
+// to) users can keep their own named lists. A list is a user_lists row (id,
+// name, description, cover_path, position) and its titles are user_list_items
+// rows in `position` order. Positions are floats, so dragging a title only
+// rewrites the one that moved; a list is renumbered when two neighbours get
+// too close to fit anything between them.
+
+const DEFAULT_LIST_ID = "default";
+const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: "My List", description: "", cover_path: null, share_slug: null, position: 0 };
+const MAX_COVER_CHOICES = 18;
+
+// What the list modal is showing: the "Add to list" picker for a title,
+// or the editor for a new or existing list
+let listModalState = null;
+
+function setupCustomLists() {
+  document.getElementById("list-modal-close")?.addEventListener("click", closeListModal);
+  document.querySelector("#list-modal .list-modal-overlay")?.addEventListener("click", closeListModal);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && document.getElementById("list-modal")?.classList.contains("active")) {
+      closeListModal();
+    }
+  });
+
+  setupListReordering();
+}
+
+function toListItem(row) {
+  return {
+    id: row.media_id,
+    media_type: row.media_type,
+    title: row.title,
+    name: row.title,
+    poster_path: row.poster_path,
+    vote_average: row.vote_average || 0,
+    release_date: row.release_date || "",
+    first_air_date: row.first_air_date || "",
+    added_at: row.added_at,
+    position: row.position ?? 0,
+    ...(row.genre_ids ? { genre_ids: row.genre_ids } : {})
+  };
+}
+
+function compareListItems(a, b) {
+  return (a.position ?? 0) - (b.position ?? 0) || String(b.added_at || "").localeCompare(String(a.added_at || ""));
+}
+
+function setListRows(listRows, itemRows) {
+  const lists = listRows
+    .map((row) => ({
+      id: row.id,
+      name: row.name,
+      description: row.description || "",
+      cover_path: row.cover_path || null,
+      share_slug: row.share_slug || null,
+      position: row.position ?? 0
+    }))
+    .sort((a, b) => (b.id === DEFAULT_LIST_ID) - (a.id === DEFAULT_LIST_ID) || a.position - b.position);
+
+  const items = {};
+  itemRows.forEach((row) => {
+    (items[row.list_id] ||= []).push(toListItem(row));
+  });
+  Object.values(items).forEach((listItems) => listItems.sort(compareListItems));
+
+  const { [DEFAULT_LIST_ID]: bookmarks = [], ...others } = items;
+  appStore.set("lists", lists);
+  appStore.set("listItems", others);
+  appStore.set("bookmarks", bookmarks);
+}
+
+// The default list is always there, even before its row has been loaded
+function getLists() {
+  return appState.lists.some((list) => list.id === DEFAULT_LIST_ID)
+    ? appState.lists
+    : [DEFAULT_LIST, ...appState.lists];
+}
+
+function getList(listId) {
+  return getLists().find((list) => list.id === listId);
+}
+
+function getListItems(listId) {
+  return listId === DEFAULT_LIST_ID ? appState.bookmarks : appState.listItems[listId] || [];
+}
+
+function setListItems(listId, update) {
+  if (listId === DEFAULT_LIST_ID) {
+    appStore.set("bookmarks", update);
+    return;
+  }
+  appStore.set("listItems", (all) => ({ ...all, [listId]: update(all[listId] || []) }));
+}
 
-  continueWatching.forEach((item, index) => {
-    const card = createContinueWatchingCard(item, index);
-    fragment.appendChild(card);
-  });
+function isInList(listId, mediaId) {
+  return getListItems(listId).some((item) => String(item.id) === String(mediaId));
+}
 
-  grid.appendChild(fragment);
-  setupLazyLoadingForGrid(grid);
+// New titles go to the top of a list
+function getFirstPosition(listId) {
+  return getListItems(listId)[0]?.position ?? 0;
 }
 
-// FIXED: Use centralized approval check
-function createContinueWatchingCard(mediaItem, index) {
+function getListLabel(listId) {
+  return listId === DEFAULT_LIST_ID ? "your list" : `"${escapeHTML(getList(listId)?.name)}"`;
+}
+
+function getListCoverUrl(list) {
+  const path = list.cover_path || getListItems(list.id).find((item) => item.poster_path)?.poster_path;
+  return path ? `https://image.tmdb.org/t/p/w185${path}` : null;
+}
+
+function canManageLists() {
+  if (!appState.user) {
+    showNotification("Please log in to manage your list", "error");
+    return false;
+  }
+
+  if (!appState.approved) {
+    showNotification("Subscribe to use bookmark feature", "error");
+    openPaymentModal();
+    return false;
+  }
+
+  return true;
+}
+
+// Optimistic: cards, the hero button and the list pages follow via the store
+// subscribers straight away and are rolled back if the server refuses.
+// A write that is merely queued offline is not a failure.
+function addToList(listId, mediaItem, mediaType) {
   const title = mediaItem.title || mediaItem.name;
-  const progressPercent = Math.min(mediaItem.progress_percentage || 0, 100);
+  const sameId = (item) => String(item.id) === String(mediaItem.id);
+  const item = {
+    ...mediaItem,
+    media_type: mediaType,
+    // Details pages have genres rather than genre_ids
+    genre_ids: mediaItem.genre_ids || mediaItem.genres?.map((genre) => genre.id),
+    position: getFirstPosition(listId) - 1,
+    added_at: new Date().toISOString()
+  };
 
-  const card = document.createElement("div");
-  card.className = "media-card continue-watching-card hover-glow";
-  card.style.animationDelay = `${index * 50}ms`;
-  card.tabIndex = 0;
-  
-  const playIcon = isUserApproved ? 'fa-play' : 'fa-lock';
-  const playTitle = isUserApproved ? 'Continue watching' : 'Premium access required';
-  
-  card.innerHTML = `
-    <div class="card-image-container">
-      <button class="remove-continue-btn" 
-              data-id="${mediaItem.id}"
-              title="Remove from Continue Watching"
-              aria-label="Remove from continue watching">
-        <i class="fas fa-times"></i>
+  setListItems(listId, (items) => [item, ...items]);
+  showNotification(`Added to ${getListLabel(listId)}`, "success");
+
+  addListItemToSupabase(listId, item).then(({ status }) => {
+    if (status !== "dropped" || !isInList(listId, item.id)) return;
+    setListItems(listId, (items) => items.filter((other) => !sameId(other)));
+    showNotification(`Couldn't add "${title}" to ${getListLabel(listId)}. Please try again.`, "error");
+  });
+}
+
+function removeFromList(listId, mediaId) {
+  const sameId = (item) => String(item.id) === String(mediaId);
+  const index = getListItems(listId).findIndex(sameId);
+  if (index === -1) return;
+
+  const removed = getListItems(listId)[index];
+  const title = removed.title || removed.name;
+
+  setListItems(listId, (items) => items.filter((item) => !sameId(item)));
+  showNotification(`Removed from ${getListLabel(listId)}`, "success");
+
+  removeListItemFromSupabase(listId, mediaId).then(({ status }) => {
+    // Added back in the meantime, or the list is gone: nothing to undo
+    if (status !== "dropped" || isInList(listId, mediaId) || !getList(listId)) return;
+    setListItems(listId, (items) => [...items.slice(0, index), removed, ...items.slice(index)]);
+    showNotification(`Couldn't remove "${title}" from ${getListLabel(listId)}, so it's been put back. Please try again.`, "error");
+  });
+}
+
+function toListItemRow(listId, item) {
+  return {
+    user_id: appState.user.id,
+    list_id: listId,
+    media_id: item.id,
+    media_type: item.media_type,
+    title: item.title || item.name,
+    poster_path: item.poster_path,
+    vote_average: item.vote_average,
+    release_date: item.release_date || null,
+    first_air_date: item.first_air_date || null,
+    genre_ids: item.genre_ids || null,
+    position: item.position,
+    added_at: item.added_at
+  };
+}
+
+function addListItemToSupabase(listId, item) {
+  // Adding then removing the same title before it syncs cancels out
+  return writeQueue.enqueue({
+    table: "user_list_items",
+    action: "insert",
+    key: `list-item:${appState.user.id}:${listId}:${item.id}`,
+    coalesce: "cancel",
+    ignoreDuplicate: true,
+    values: toListItemRow(listId, item)
+  });
+}
+
+function removeListItemFromSupabase(listId, mediaId) {
+  return writeQueue.enqueue({
+    table: "user_list_items",
+    action: "delete",
+    key: `list-item:${appState.user.id}:${listId}:${mediaId}`,
+    coalesce: "cancel",
+    match: { user_id: appState.user.id, list_id: listId, media_id: mediaId }
+  });
+}
+
+// Only the latest position of a title matters, so queued moves coalesce
+function updateListItemPosition(listId, mediaId, position) {
+  return writeQueue.enqueue({
+    table: "user_list_items",
+    action: "update",
+    key: `list-position:${appState.user.id}:${listId}:${mediaId}`,
+    values: { position },
+    match: { user_id: appState.user.id, list_id: listId, media_id: mediaId }
+  });
+}
+
+// null when there's no room left between the two
+function getPositionBetween(before, after) {
+  if (!before && !after) return 0;
+  if (!before) return (after.position ?? 0) - 1;
+  if (!after) return (before.position ?? 0) + 1;
+
+  const position = ((before.position ?? 0) + (after.position ?? 0)) / 2;
+  return position > (before.position ?? 0) && position < (after.position ?? 0) ? position : null;
+}
+
+function moveListItem(listId, mediaId, toIndex) {
+  const items = getListItems(listId);
+  const from = items.findIndex((item) => String(item.id) === String(mediaId));
+  const target = Math.max(0, Math.min(toIndex, items.length - 1));
+  if (from === -1 || from === target) return;
+
+  const reordered = items.filter((_, index) => index !== from);
+  const position = getPositionBetween(reordered[target - 1], reordered[target]);
+  reordered.splice(target, 0, { ...items[from], position });
+
+  const next = position === null
+    ? reordered.map((item, index) => ({ ...item, position: index }))
+    : reordered;
+  const changed = next.filter((item) => item.position !== items.find((old) => old.id === item.id)?.position);
+
+  setListItems(listId, () => next);
+
+  Promise.all(changed.map((item) => updateListItemPosition(listId, item.id, item.position))).then((results) => {
+    if (!results.some(({ status }) => status === "dropped")) return;
+    // Only undo if nothing else has changed the list since
+    if (getListItems(listId) === next) setListItems(listId, () => items);
+    showNotification("Couldn't save the new order. Please try again.", "error");
+  });
+}
+
+function createList({ name, description, cover_path }) {
+  const list = {
+    id: crypto.randomUUID(),
+    name,
+    description,
+    cover_path,
+    position: Math.max(0, ...getLists().map((other) => other.position)) + 1
+  };
+
+  appStore.set("lists", (lists) => [...lists, list]);
+  showNotification(`Created "${escapeHTML(name)}"`, "success");
+
+  writeQueue.enqueue({
+    table: "user_lists",
+    action: "insert",
+    key: `list:${appState.user.id}:${list.id}`,
+    coalesce: "cancel",
+    values: { user_id: appState.user.id, ...list, created_at: new Date().toISOString() }
+  }).then(({ status }) => {
+    if (status !== "dropped" || !getList(list.id)) return;
+    appStore.set("lists", (lists) => lists.filter((other) => other.id !== list.id));
+    appStore.set("listItems", ({ [list.id]: _dropped, ...others }) => others);
+    showNotification(`Couldn't create "${escapeHTML(name)}". Please try again.`, "error");
+  });
+
+  return list;
+}
+
+// Always sends every editable field, since queued edits to a list coalesce
+function updateList(listId, { name, description, cover_path }) {
+  const previous = getList(listId);
+  const changes = { name, description, cover_path };
+
+  appStore.set("lists", () => getLists().map((list) => (list.id === listId ? { ...list, ...changes } : list)));
+
+  writeQueue.enqueue({
+    table: "user_lists",
+    action: "update",
+    key: `list-details:${appState.user.id}:${listId}`,
+    values: { ...changes, updated_at: new Date().toISOString() },
+    match: { user_id: appState.user.id, id: listId }
+  }).then(({ status }) => {
+    if (status !== "dropped" || !getList(listId)) return;
+    appStore.set("lists", (lists) => lists.map((list) => (list.id === listId ? previous : list)));
+    showNotification(`Couldn't save the changes to "${escapeHTML(previous.name)}". Please try again.`, "error");
+  });
+}
+
+function deleteList(listId) {
+  if (listId === DEFAULT_LIST_ID) return;
+
+  const list = getList(listId);
+  const items = getListItems(listId);
+  if (!list) return;
+
+  appStore.set("lists", (lists) => lists.filter((other) => other.id !== listId));
+  appStore.set("listItems", ({ [listId]: _deleted, ...others }) => others);
+  showNotification(`Deleted "${escapeHTML(list.name)}"`, "success");
+
+  const route = parseRoute(lastSectionHash);
+  if (route.section === "mylist" && route.params.list === listId) {
+    navigate("#/mylist", { replace: true });
+  }
+
+  writeQueue.enqueue({
+    table: "user_list_items",
+    action: "delete",
+    match: { user_id: appState.user.id, list_id: listId }
+  });
+  writeQueue.enqueue({
+    table: "user_lists",
+    action: "delete",
+    key: `list:${appState.user.id}:${listId}`,
+    coalesce: "cancel",
+    match: { user_id: appState.user.id, id: listId }
+  }).then(({ status }) => {
+    if (status !== "dropped" || getList(listId)) return;
+    appStore.set("lists", (lists) => [...lists, list].sort((a, b) => a.position - b.position));
+    appStore.set("listItems", (all) => ({ ...all, [listId]: items }));
+    showNotification(`Couldn't delete "${escapeHTML(list.name)}". Please try again.`, "error");
+  });
+}
+
+// #/mylist is the default list, #/mylist?list=<id> one of the others
+function getActiveListId() {
+  const route = parseRoute(lastSectionHash);
+  const listId = route.section === "mylist" ? route.params.list : null;
+  return listId && getList(listId) ? listId : DEFAULT_LIST_ID;
+}
+
+function renderListTabs(activeListId) {
+  const tabs = document.getElementById("list-tabs");
+  if (!tabs) return;
+
+  tabs.innerHTML = `
+    ${getLists().map((list) => {
+      const cover = getListCoverUrl(list);
+      return `
+        <a href="${buildListHash(list.id)}" class="list-tab ${list.id === activeListId ? 'active' : ''}">
+          ${cover
+            ? `<img class="list-tab-cover" src="${cover}" alt="">`
+            : `<span class="list-tab-cover"><i class="fas fa-list"></i></span>`}
+          <span class="list-tab-name">${escapeHTML(list.name)}</span>
+          <span class="list-tab-count">${getListItems(list.id).length}</span>
+        </a>
+      `;
+    }).join("")}
+    <button class="list-tab list-tab-new" id="new-list-btn">
+      <i class="fas fa-plus"></i> New list
+    </button>
+  `;
+
+  document.getElementById("new-list-btn")?.addEventListener("click", () => {
+    if (canManageLists()) openListEditor(null);
+  });
+}
+
+function renderListHeader(list, { shown, reorderable = false } = {}) {
+  const header = document.getElementById("list-header");
+  if (!header) return;
+
+  const count = getListItems(list.id).length;
+  const filtered = shown !== undefined && shown !== count;
+  const cover = getListCoverUrl(list);
+
+  header.innerHTML = `
+    <div class="list-header-cover">
+      ${cover ? `<img src="${cover}" alt="">` : `<i class="fas fa-list"></i>`}
+    </div>
+    <div class="list-header-info">
+      <h3>${escapeHTML(list.name)}</h3>
+      ${list.description ? `<p>${escapeHTML(list.description)}</p>` : ''}
+      <span class="list-header-meta">
+        ${filtered ? `Showing ${shown} of ${count}` : `${count} title${count === 1 ? '' : 's'}`}${reorderable ? ' · Drag to reorder' : ''}
+      </span>
+      ${list.share_slug ? `
+        <div class="list-share">
+          <input type="text" id="list-share-link" value="${getSharedListUrl(list.share_slug)}" readonly aria-label="Share link">
+          <button class="genre-btn" id="copy-share-link-btn">
+            <i class="fas fa-link"></i> Copy link
+          </button>
+        </div>
+      ` : ''}
+    </div>
+    <div class="list-header-actions">
+      <button class="genre-btn ${list.share_slug ? 'active' : ''}" id="share-list-btn" aria-pressed="${Boolean(list.share_slug)}">
+        <i class="fas fa-share-alt"></i> ${list.share_slug ? 'Stop sharing' : 'Share'}
       </button>
-      <img 
-        data-src="https://image.tmdb.org/t/p/w500${mediaItem.poster_path}" 
-        alt="${title}"
-        class="lazy"
-        loading="lazy"
-        onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
-      >
-      <div class="card-overlay">
-        <button class="play-btn hover-glow" title="${playTitle}">
-          <i class="fas ${playIcon}"></i>
-        </button>
+      <button class="genre-btn" id="edit-list-btn">
+        <i class="fas fa-pen"></i> Edit
+      </button>
+    </div>
+  `;
+
+  document.getElementById("edit-list-btn")?.addEventListener("click", () => {
+    if (canManageLists()) openListEditor(list.id);
+  });
+
+  document.getElementById("share-list-btn")?.addEventListener("click", () => {
+    if (canManageLists()) setListSharing(list.id, !list.share_slug);
+  });
+
+  document.getElementById("copy-share-link-btn")?.addEventListener("click", () => {
+    copyShareLink(document.getElementById("list-share-link"));
+  });
+}
+
+// Titles are dragged within the grid; the cards move as the pointer passes
+// over them and the order is saved on drop. Alt+Left/Right does the same
+// from the keyboard.
+function setupListReordering() {
+  const grid = document.getElementById("mylist-grid");
+  if (!grid) return;
+
+  let dragged = null;
+
+  grid.addEventListener("dragstart", (e) => {
+    const card = e.target.closest?.(".media-card[draggable='true']");
+    if (!card) return;
+
+    dragged = card;
+    card.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", card.dataset.id);
+  });
+
+  grid.addEventListener("dragover", (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+
+    const target = e.target.closest(".media-card");
+    if (!target || target === dragged) return;
+
+    const rect = target.getBoundingClientRect();
+    const after = e.clientX > rect.left + rect.width / 2;
+    grid.insertBefore(dragged, after ? target.nextSibling : target);
+  });
+
+  grid.addEventListener("drop", (e) => {
+    if (dragged) e.preventDefault();
+  });
+
+  grid.addEventListener("dragend", (e) => {
+    if (!dragged) return;
+
+    const card = dragged;
+    dragged = null;
+    card.classList.remove("dragging");
+
+    // Cancelled with Esc or dropped outside the grid: put the cards back
+    if (e.dataTransfer?.dropEffect === "none") {
+      loadBookmarks();
+      return;
+    }
+
+    const index = [...grid.querySelectorAll(".media-card")].indexOf(card);
+    moveListItem(grid.dataset.listId, card.dataset.id, index);
+  });
+
+  grid.addEventListener("keydown", (e) => {
+    if (!e.altKey || (e.key !== "ArrowLeft" && e.key !== "ArrowRight")) return;
+
+    const card = e.target.closest(".media-card[draggable='true']");
+    if (!card) return;
+
+    e.preventDefault();
+    const listId = grid.dataset.listId;
+    const index = getListItems(listId).findIndex((item) => String(item.id) === card.dataset.id);
+    moveListItem(listId, card.dataset.id, index + (e.key === "ArrowLeft" ? -1 : 1));
+    grid.querySelector(`.media-card[data-id="${card.dataset.id}"]`)?.focus();
+  });
+}
+
+function openListModal() {
+  const modal = document.getElementById("list-modal");
+  if (!modal) return;
+
+  modal.classList.add("active");
+  setTimeout(() => {
+    modal.classList.add("show");
+  }, 50);
+}
+
+function closeListModal() {
+  const modal = document.getElementById("list-modal");
+  if (!modal) return;
+
+  listModalState = null;
+  modal.classList.remove("show");
+  setTimeout(() => {
+    modal.classList.remove("active");
+  }, 300);
+}
+
+function openListPicker(mediaItem, mediaType) {
+  if (!canManageLists()) return;
+
+  listModalState = { mediaItem, mediaType };
+  renderListPicker();
+  openListModal();
+}
+
+function renderListPicker() {
+  const content = document.getElementById("list-modal-content");
+  if (!content || !listModalState?.mediaItem) return;
+
+  const { mediaItem, mediaType } = listModalState;
+
+  content.innerHTML = `
+    <h2 id="list-modal-title">Add to list</h2>
+    <p class="list-modal-subtitle">${mediaItem.title || mediaItem.name}</p>
+    <div class="list-picker-options">
+      ${getLists().map((list) => `
+        <label class="list-picker-option">
+          <input type="checkbox" data-list-id="${list.id}" ${isInList(list.id, mediaItem.id) ? 'checked' : ''}>
+          <span class="list-picker-name">${escapeHTML(list.name)}</span>
+          <span class="list-picker-count">${getListItems(list.id).length}</span>
+        </label>
+      `).join("")}
+    </div>
+    <button class="genre-btn list-picker-new">
+      <i class="fas fa-plus"></i> New list
+    </button>
+  `;
+
+  content.querySelectorAll(".list-picker-option input").forEach((checkbox) => {
+    checkbox.addEventListener("change", () => {
+      const listId = checkbox.dataset.listId;
+      if (checkbox.checked) {
+        addToList(listId, mediaItem, mediaType);
+      } else {
+        removeFromList(listId, mediaItem.id);
+      }
+
+      const count = checkbox.closest(".list-picker-option").querySelector(".list-picker-count");
+      if (count) count.textContent = getListItems(listId).length;
+    });
+  });
+
+  content.querySelector(".list-picker-new")?.addEventListener("click", () => {
+    openListEditor(null, { mediaItem, mediaType });
+  });
+}
+
+// `pending` is the title the picker was open for; it goes into the new list
+function openListEditor(listId, pending = null) {
+  listModalState = { listId, pending };
+  renderListEditor();
+  openListModal();
+  document.querySelector("#list-editor-form input[name='name']")?.focus();
+}
+
+function renderListEditor() {
+  const content = document.getElementById("list-modal-content");
+  if (!content || !listModalState) return;
+
+  const { listId, pending } = listModalState;
+  const list = listId ? getList(listId) : null;
+  const items = list ? getListItems(list.id) : pending ? [pending.mediaItem] : [];
+  const posters = [...new Set(items.map((item) => item.poster_path).filter(Boolean))].slice(0, MAX_COVER_CHOICES);
+  const coverPath = list?.cover_path || "";
+
+  content.innerHTML = `
+    <form class="list-editor" id="list-editor-form">
+      <h2 id="list-modal-title">${list ? 'Edit list' : 'New list'}</h2>
+      <label class="list-editor-field">
+        <span>Name</span>
+        <input type="text" name="name" maxlength="60" placeholder="Weekend movies" required>
+      </label>
+      <label class="list-editor-field">
+        <span>Description</span>
+        <textarea name="description" maxlength="300" rows="3" placeholder="Optional"></textarea>
+      </label>
+      <fieldset class="list-editor-covers">
+        <legend>Cover</legend>
+        <label class="list-cover-option">
+          <input type="radio" name="cover" value="" ${coverPath ? '' : 'checked'}>
+          <span class="list-cover-auto">First title</span>
+        </label>
+        ${posters.map((path) => `
+          <label class="list-cover-option">
+            <input type="radio" name="cover" value="${path}" ${path === coverPath ? 'checked' : ''}>
+            <img src="https://image.tmdb.org/t/p/w185${path}" alt="">
+          </label>
+        `).join("")}
+      </fieldset>
+      <div class="list-editor-actions">
+        ${list && list.id !== DEFAULT_LIST_ID ? `<button type="button" class="list-delete-btn">Delete list</button>` : ''}
+        <button type="submit" class="btn-hero-primary">${list ? 'Save' : 'Create list'}</button>
       </div>
-      <div class="progress-bar">
-        <div class="progress-fill" style="width: ${progressPercent}%"></div>
+    </form>
+  `;
+
+  const form = document.getElementById("list-editor-form");
+  form.elements.name.value = list?.name || "";
+  form.elements.description.value = list?.description || "";
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+
+    const name = form.elements.name.value.trim();
+    if (!name) return;
+
+    const values = {
+      name,
+      description: form.elements.description.value.trim(),
+      cover_path: form.querySelector("input[name='cover']:checked")?.value || null
+    };
+
+    if (list) {
+      updateList(list.id, values);
+      closeListModal();
+      return;
+    }
+
+    const created = createList(values);
+    closeListModal();
+
+    if (pending) {
+      addToList(created.id, pending.mediaItem, pending.mediaType);
+    } else {
+      navigate(buildListHash(created.id));
+    }
+  });
+
+  // Deleting takes a second click on the same button
+  const deleteBtn = form.querySelector(".list-delete-btn");
+  deleteBtn?.addEventListener("click", () => {
+    if (!deleteBtn.classList.contains("confirming")) {
+      deleteBtn.classList.add("confirming");
+      deleteBtn.textContent = "Delete for good?";
+      return;
+    }
+    closeListModal();
+    deleteList(list.id);
+  });
+}
+
+// ===================================
+// SHARED LISTS
+// ===================================
+// A list can be shared through #/shared/<slug>. The slug is random and only
+// lives in user_lists.share_slug while sharing is on, so stopping sharing
+// kills the link for good; sharing again makes a new one. Visitors may not
+// be signed in, so the page is its own screen outside the app shell, and
+// the list is read through the get_shared_list(share_slug) RPC, which
+// returns { name, description, cover_path, items } for a shared list and
+// null otherwise (user_lists itself is only readable by its owner).
+//
+// The database side all of this relies on:
+//   - user_lists.share_slug: text, nullable, unique. RLS on user_lists and
+//     user_list_items stays owner-only (user_id = auth.uid()) for every
+//     operation, so shared lists are never readable through the tables.
+//   - get_shared_list(share_slug text) returns jsonb, security definer with
+//     search_path = public, executable by anon and authenticated:
+//
+//       select jsonb_build_object(
+//         'name', l.name, 'description', l.description, 'cover_path', l.cover_path,
+//         'items', coalesce((
+//           select jsonb_agg(jsonb_build_object(
+//             'media_id', i.media_id, 'media_type', i.media_type, 'title', i.title,
+//             'poster_path', i.poster_path, 'vote_average', i.vote_average,
+//             'release_date', i.release_date, 'first_air_date', i.first_air_date,
+//             'position', i.position, 'added_at', i.added_at))
+//           from user_list_items i
+//           where i.user_id = l.user_id and i.list_id = l.id), '[]'::jsonb))
+//       from user_lists l
+//       where l.share_slug is not null and l.share_slug = get_shared_list.share_slug;
+//
+//     It only ever matches one slug exactly (no listing, no prefix search)
+//     and returns nothing that identifies the owner (user_id, email).
+//   - Stopping sharing sets share_slug to null, after which the function
+//     returns null for the old slug. Slugs are 128 random bits (see
+//     createShareSlug), so a link can be passed on but not guessed.
+// The rows come from another user, so the page treats them as untrusted
+// (see isValidSharedItem).
+
+// TMDB lookups in flight at once when copying a shared list
+const SHARED_COPY_BATCH = 6;
+
+// 16 random bytes, base64url
+function createShareSlug() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function getSharedListUrl(slug) {
+  return `${location.origin}${location.pathname}${buildSharedListHash(slug)}`;
+}
+
+function setListSharing(listId, shared) {
+  const list = getList(listId);
+  if (!list || shared === Boolean(list.share_slug)) return;
+
+  const previous = list.share_slug;
+  const slug = shared ? createShareSlug() : null;
+
+  appStore.set("lists", () => getLists().map((other) => (other.id === listId ? { ...other, share_slug: slug } : other)));
+  showNotification(shared
+    ? `Anyone with the link can now see ${getListLabel(listId)}`
+    : `The link to ${getListLabel(listId)} no longer works`, "success");
+
+  writeQueue.enqueue({
+    table: "user_lists",
+    action: "update",
+    key: `list-share:${appState.user.id}:${listId}`,
+    values: { share_slug: slug, updated_at: new Date().toISOString() },
+    match: { user_id: appState.user.id, id: listId }
+  }).then(({ status }) => {
+    if (status !== "dropped" || getList(listId)?.share_slug !== slug) return;
+    appStore.set("lists", (lists) => lists.map((other) => (other.id === listId ? { ...other, share_slug: previous } : other)));
+    showNotification(shared ? "Couldn't share the list. Please try again." : "Couldn't stop sharing the list. Please try again.", "error");
+  });
+}
+
+async function copyShareLink(input) {
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showNotification("Link copied", "success");
+  } catch (error) {
+    // No clipboard access (e.g. not https): leave it selected to copy by hand
+    input.select();
+    showNotification("Press Ctrl+C to copy the link", "warning");
+  }
+}
+
+function setupSharedListScreen() {
+  document.getElementById("shared-list-leave-btn")?.addEventListener("click", () => {
+    if (appState.user) {
+      navigate(lastSectionHash || "#/home");
+    } else {
+      // Signing in lands on Home rather than back on the shared list
+      history.replaceState(null, "", "#/home");
+      hideSharedListScreen();
+      showUnauthenticatedUI();
+    }
+  });
+}
+
+async function showSharedListScreen(slug) {
+  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
+  const screen = document.getElementById("shared-list-screen");
+  const grid = document.getElementById("shared-list-grid");
+  if (!screen || !grid) return;
+
+  if (auth) auth.style.display = "none";
+  if (header) header.style.display = "none";
+  if (content) content.style.display = "none";
+  screen.hidden = false;
+  window.scrollTo({ top: 0 });
+
+  if (rotationInterval) {
+    clearInterval(rotationInterval);
+    rotationInterval = null;
+  }
+
+  const leaveBtn = document.getElementById("shared-list-leave-btn");
+  if (leaveBtn) {
+    leaveBtn.innerHTML = appState.user
+      ? `<i class="fas fa-arrow-left"></i> Back to OnlyBinge`
+      : `<i class="fas fa-sign-in-alt"></i> Sign in to watch`;
+  }
+
+  renderSharedListHeader(null);
+  grid.innerHTML = `<div class="loading-spinner"></div>`;
+
+  let list;
+  try {
+    const { data, error } = await supabase.rpc("get_shared_list", { share_slug: slug });
+    if (error) throw error;
+    list = data;
+  } catch (error) {
+    console.error("Error loading shared list:", error);
+    list = undefined;
+  }
+
+  // Another link may have been opened while this one was loading
+  const route = parseRoute(location.hash);
+  if (route.name !== "shared" || route.slug !== slug) return;
+
+  if (!list) {
+    grid.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-${list === null ? 'unlink' : 'exclamation-triangle'}"></i>
+        <p>${list === null
+          ? "This list isn't shared anymore, or the link is wrong."
+          : "Couldn't load this list. Please try again later."}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const items = (list.items || []).map(toListItem).filter(isValidSharedItem).sort(compareListItems);
+  renderSharedListHeader(list, items);
+
+  if (items.length === 0) {
+    grid.innerHTML = `
+      <div class="no-content">
+        <i class="fas fa-list"></i>
+        <p>This list is empty.</p>
       </div>
+    `;
+    return;
+  }
+
+  grid.innerHTML = "";
+  items.forEach((item) => {
+    grid.appendChild(createOfflineCard(item, () => openSharedListItem(item)));
+  });
+}
+
+// Someone else wrote these rows, so anything that isn't plainly a TMDB
+// title is left out. Titles are escaped when the cards are drawn, and copies
+// are re-fetched from TMDB rather than trusted.
+function isValidSharedItem(item) {
+  return Number.isInteger(item.id) &&
+    (item.media_type === "movie" || item.media_type === "tv") &&
+    (!item.poster_path || /^\/[\w-]+\.\w+$/.test(item.poster_path)) &&
+    [item.release_date, item.first_air_date].every((date) => !date || /^\d{4}-\d{2}-\d{2}$/.test(date));
+}
+
+function getSharedListCover(list) {
+  return /^\/[\w-]+\.\w+$/.test(list.cover_path || "") ? list.cover_path : null;
+}
+
+function hideSharedListScreen() {
+  const screen = document.getElementById("shared-list-screen");
+  if (!screen || screen.hidden) return;
+
+  screen.hidden = true;
+  if (!appState.user) return;
+
+  const { 'main-header': header, 'main-content': content } = domCache.elements;
+  if (header) header.style.display = "flex";
+  if (content) content.style.display = "block";
+}
+
+function renderSharedListHeader(list, items = []) {
+  const header = document.getElementById("shared-list-header");
+  if (!header) return;
+
+  if (!list) {
+    header.innerHTML = "";
+    return;
+  }
+
+  const cover = getSharedListCover(list) || items.find((item) => item.poster_path)?.poster_path;
+
+  header.innerHTML = `
+    <div class="list-header-cover">
+      ${cover ? `<img src="https://image.tmdb.org/t/p/w185${cover}" alt="">` : `<i class="fas fa-list"></i>`}
     </div>
-    <div class="card-info">
-      <h3 class="card-title">${title}</h3>
-      <div class="card-meta">
-        <span class="continue-progress">${Math.round(progressPercent)}% watched</span>
-        <span>${mediaItem.media_type === "tv" ? "TV" : "Movie"}</span>
-      </div>
+    <div class="list-header-info">
+      <h3>${escapeHTML(list.name)}</h3>
+      ${list.description ? `<p>${escapeHTML(list.description)}</p>` : ''}
+      <span class="list-header-meta">${items.length} title${items.length === 1 ? '' : 's'} · Shared list</span>
     </div>
+    ${appState.user ? `
+      <button class="genre-btn" id="copy-shared-list-btn">
+        <i class="fas fa-copy"></i> Copy to my lists
+      </button>
+    ` : ''}
   `;
 
-  const playBtn = card.querySelector('.play-btn');
-  if (playBtn) {
-    playBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      if (isUserApproved) {
-        openPlayer({ 
-          ...mediaItem, 
-          media_type: mediaItem.media_type,
-          resumeSeason: mediaItem.season,
-          resumeEpisode: mediaItem.episode
-        });
-      } else {
-        showNotification("Premium access required to watch content", "error");
-        openPaymentModal();
+  // Once copied, the same button opens the copy
+  let copy = null;
+  const copyBtn = document.getElementById("copy-shared-list-btn");
+  copyBtn?.addEventListener("click", async () => {
+    if (copy) {
+      navigate(buildListHash(copy.id));
+      return;
+    }
+    if (copyBtn.disabled || !canManageLists()) return;
+
+    copyBtn.disabled = true;
+    copyBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> Copying…`;
+    copy = await copySharedList(list, items);
+    copyBtn.disabled = false;
+    copyBtn.innerHTML = copy
+      ? `<i class="fas fa-check"></i> View copy`
+      : `<i class="fas fa-copy"></i> Copy to my lists`;
+  });
+}
+
+// Each title is fetched from TMDB again and saved from that, so nothing the
+// list's owner wrote into the rows ends up in the copier's lists
+async function loadSharedCopyItems(items) {
+  const copied = [];
+
+  for (let i = 0; i < items.length; i += SHARED_COPY_BATCH) {
+    const batch = await Promise.all(items.slice(i, i + SHARED_COPY_BATCH).map(async (item) => {
+      try {
+        const details = await tmdb.get(`/${item.media_type}/${item.id}`, {}, { ttl: TMDB_TTL.long });
+        return {
+          id: item.id,
+          media_type: item.media_type,
+          title: details.title,
+          name: details.name,
+          poster_path: details.poster_path,
+          vote_average: details.vote_average || 0,
+          release_date: details.release_date || "",
+          first_air_date: details.first_air_date || "",
+          genre_ids: (details.genres || []).map((genre) => genre.id)
+        };
+      } catch (error) {
+        console.error(`Error loading shared title ${item.media_type}/${item.id}:`, error);
+        return null;
       }
-    });
+    }));
+    copied.push(...batch);
   }
 
-  card.addEventListener('click', debounce(() => {
-    if (isUserApproved) {
-      openPlayer({ 
-        ...mediaItem, 
-        media_type: mediaItem.media_type,
-        resumeSeason: mediaItem.season,
-        resumeEpisode: mediaItem.episode
-      });
-    } else {
-      showNotification("Premium access required to watch content", "error");
-      openPaymentModal();
-    }
-  }, 300));
+  return copied.filter(Boolean);
+}
 
-  const removeBtn = card.querySelector(".remove-continue-btn");
-  if (removeBtn) {
-    removeBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      removeContinueWatching(mediaItem.id);
-    });
+async function copySharedList(list, items) {
+  const fetched = await loadSharedCopyItems(items);
+  if (items.length > 0 && fetched.length === 0) {
+    showNotification("Couldn't load the titles in this list. Please try again.", "error");
+    return null;
+  }
+  if (fetched.length < items.length) {
+    showNotification(`${items.length - fetched.length} of the titles couldn't be loaded and weren't copied.`, "warning");
   }
 
-  return card;
-}
+  const copy = createList({
+    name: list.name,
+    description: list.description || "",
+    cover_path: getSharedListCover(list)
+  });
 
-async function removeContinueWatching(mediaId) {
-  if (!currentUser) return;
+  const addedAt = new Date().toISOString();
+  const copiedItems = fetched.map((item, index) => ({ ...item, position: index, added_at: addedAt }));
+  setListItems(copy.id, () => copiedItems);
 
-  try {
-    const { error } = await supabase
-      .from("continue_watching")
-      .delete()
-      .eq("user_id", currentUser.id)
-      .eq("media_id", mediaId);
+  Promise.all(copiedItems.map((item) => addListItemToSupabase(copy.id, item))).then((results) => {
+    const dropped = copiedItems.filter((item, index) => results[index].status === "dropped" && isInList(copy.id, item.id));
+    if (dropped.length === 0) return;
 
-    if (error) throw error;
+    const droppedIds = new Set(dropped.map((item) => String(item.id)));
+    setListItems(copy.id, (current) => current.filter((item) => !droppedIds.has(String(item.id))));
+    showNotification(`Couldn't copy ${dropped.length} of the titles. Please try again.`, "error");
+  });
 
-    continueWatching = continueWatching.filter(item => item.id !== mediaId);
-    renderContinueWatching();
-    showNotification("Removed from Continue Watching", "success");
-  } catch (error) {
-    console.error("Error removing from continue watching:", error);
-    showNotification("Failed to remove item", "error");
+  return copy;
+}
+
+function openSharedListItem(item) {
+  if (!appState.user) {
+    showNotification(`Sign in to watch ${escapeHTML(item.title)}`, "warning");
+    return;
   }
+  openTitleDetails(item, item.media_type);
 }
 
-async function updateWatchProgress(mediaItem, currentTime, duration) {
-  if (!currentUser || !mediaItem || currentTime < 60) return;
+// ===================================
+// MY LIST VIEW
+// ===================================
+// Sort, filters and a text search for the list pages (see list-view.js).
+// The sort and filters are remembered per user and apply to every list;
+// the search text is not. Titles can only be dragged in the custom order
+// with nothing filtered out, where the positions on screen are the real ones.
+//
+// List items store genre_ids, but older ones don't. Their genres are looked
+// up on TMDB once the genre menu or a genre filter is used, and written back
+// to the rows so that happens once per title. "Watched" means the title is
+// in the watch history, i.e. it was played for over 30 seconds.
+
+const MY_LIST_VIEW_KEY = "nf_mylist_view";
+const GENRE_LOOKUP_BATCH = 6;
+
+let myListQuery = "";
+// titleKey() -> genre ids for items saved without them
+const listGenreIds = new Map();
+// titleKey()s asked about in user_watch_history, and the watched ones
+const watchedChecked = new Set();
+const watchedTitles = new Set();
+
+function setupMyListToolbar() {
+  const form = document.getElementById("mylist-toolbar");
+  if (!form) return;
+
+  form.elements.sort.innerHTML = Object.entries(LIST_SORTS)
+    .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+    .join("");
+
+  form.addEventListener("submit", (e) => e.preventDefault());
+
+  form.addEventListener("change", (e) => {
+    if (e.target.name === "q") return;
+    saveMyListView(readListView({
+      sort: form.elements.sort.value,
+      type: form.elements.type.value,
+      genre: form.elements.genre.value,
+      status: form.elements.status.value
+    }));
+    loadBookmarks();
+  });
+
+  form.elements.q.addEventListener("input", debounce(() => {
+    myListQuery = form.elements.q.value;
+    loadBookmarks();
+  }, 200));
 
-  try {
-    const progressPercent = duration > 0 ? (currentTime / duration) * 100 : 0;
-    const completed = progressPercent > 90;
+  form.elements.genre.addEventListener("focus", loadMyListGenreChoices);
 
-    const { error } = await supabase
-      .from("continue_watching")
-      .upsert({
-        user_id: currentUser.id,
-        media_id: mediaItem.id,
-        media_type: mediaItem.media_type,
-        title: mediaItem.title || mediaItem.name,
-        poster_path: mediaItem.poster_path,
-        watch_progress: Math.floor(currentTime),
-        total_duration: Math.floor(duration),
-        last_watched_at: new Date().toISOString(),
-        completed: completed,
-        season: mediaItem.media_type === 'tv' ? currentSeason : null,
-        episode: mediaItem.media_type === 'tv' ? currentEpisode : null
-      }, { 
-        onConflict: 'user_id,media_id',
-        returning: 'minimal' 
-      });
+  document.getElementById("mylist-clear")?.addEventListener("click", clearMyListFilters);
+}
 
-    if (error) throw error;
+function getMyListView() {
+  if (!appState.user) return readListView();
+  try {
+    const saved = JSON.parse(localStorage.getItem(MY_LIST_VIEW_KEY) || "{}");
+    return readListView(saved[appState.user.id]);
   } catch (error) {
-    console.error("Error updating watch progress:", error);
+    return readListView();
   }
 }
 
-function showUnauthenticatedUI() {
-  const { 'auth-container': auth, 'main-header': header, 'main-content': content } = domCache.elements;
-  
-  if (auth) auth.style.display = "flex";
-  if (header) header.style.display = "none";
-  if (content) content.style.display = "none";
+function saveMyListView(view) {
+  if (!appState.user) return;
+  try {
+    const saved = JSON.parse(localStorage.getItem(MY_LIST_VIEW_KEY) || "{}");
+    saved[appState.user.id] = view;
+    localStorage.setItem(MY_LIST_VIEW_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn("Couldn't save the list view:", error);
+  }
 }
 
-function showHomeSection() {
-  document.querySelectorAll(".content-section").forEach((s) => s.classList.remove("active"));
-  document.getElementById("home-section")?.classList.add("active");
-  
-  document.querySelectorAll(".nav-link").forEach((l) => l.classList.remove("active"));
-  document.querySelector('[data-section="home"]')?.classList.add("active");
+// Keeps the sort, which isn't a filter
+function clearMyListFilters() {
+  saveMyListView({ ...DEFAULT_LIST_VIEW, sort: getMyListView().sort });
+  myListQuery = "";
+  loadBookmarks();
 }
 
-function loadSectionContent(section) {
-  showLoadingForSection(section);
-  
-  switch (section) {
-    case "home":
-      Promise.all([
-        loadFeaturedContent(),
-        loadTrending(),
-        loadPopularMovies(),
-        loadPopularTVShows()
-      ]).then(() => {
-        renderContinueWatching();
-      }).finally(() => {
-        hideLoadingForSection(section);
-        const homeSection = document.getElementById("home-section");
-        if (homeSection && homeSection.classList.contains('active') && featuredQueue.length >= 2) {
-          // Make sure any existing rotation is cleared first
-          if (rotationInterval) {
-            clearInterval(rotationInterval);
-            rotationInterval = null;
-          }
-          // Start rotation after a short delay
-          setTimeout(() => {
-            startRotation();
-          }, 1000);
-        }
-      });
-      break;
-    case "movies":
-      loadMovies("all").finally(() => hideLoadingForSection(section));
-      break;
-    case "tv":
-      loadTVShows("all").finally(() => hideLoadingForSection(section));
-      break;
-    case "bollywood":
-      loadBollywoodMovies("all").finally(() => hideLoadingForSection(section));
-      break;
-    case "mylist":
-      loadBookmarks();
-      hideLoadingForSection(section);
-      break;
-    case "about":
-      // About section is static, just hide loading and setup animations
-      hideLoadingForSection(section);
-      setupScrollAnimations();
-      break;
+function syncMyListToolbar(view, items) {
+  const form = document.getElementById("mylist-toolbar");
+  if (!form) return;
+
+  form.hidden = items.length === 0;
+  form.elements.sort.value = view.sort;
+  form.elements.type.value = view.type;
+  form.elements.status.value = view.status;
+  if (form.elements.q.value !== myListQuery) form.elements.q.value = myListQuery;
+
+  // The saved genre stays selectable while the genre names load
+  const genreSelect = form.elements.genre;
+  if (view.genre && !genreSelect.querySelector(`option[value="${view.genre}"]`)) {
+    genreSelect.insertAdjacentHTML("beforeend", `<option value="${view.genre}">${getGenreName(view.genre) || 'Genre'}</option>`);
   }
-}
+  genreSelect.value = view.genre;
 
-async function loadBollywoodMovies(genre) {
-  try {
-    let url = "https://api.themoviedb.org/3/discover/movie?sort_by=vote_average.desc&vote_count.gte=100&with_original_language=hi";
-    
-    if (genre !== "all") {
-      url += `&with_genres=${genre}`;
-    }
+  const clearBtn = document.getElementById("mylist-clear");
+  if (clearBtn) clearBtn.hidden = !hasListFilters(view, myListQuery);
+}
 
-    const response = await fetchWithTimeout(url, {
-      headers: {
-        Authorization: `Bearer ${TMDB_TOKEN}`,
-        "Content-Type": "application/json;charset=utf-8",
-      },
-    });
+function getListItemGenreIds(item) {
+  return item.genre_ids || listGenreIds.get(titleKey(item));
+}
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    
-    // Filter out adult content and ensure Hindi language
-    const bollywoodMovies = data.results.filter(movie => 
-      !movie.adult && 
-      movie.original_language === 'hi' &&
-      movie.vote_count >= 100
-    );
-    
-    renderMediaCards(bollywoodMovies, "bollywood-grid");
-  } catch (error) {
-    console.error("Error loading Bollywood movies:", error);
-    showNotification("Error loading Bollywood movies", "error");
-  }
+function isListItemWatched(item) {
+  return watchedTitles.has(titleKey(item)) || sessionWatchHistory.some((entry) =>
+    entry.user_id === appState.user?.id &&
+    String(entry.media_id) === String(item.id) &&
+    entry.media_type === item.media_type
+  );
 }
 
-function showLoadingForSection(section) {
-  const sectionElement = document.getElementById(`${section}-section`);
-  if (sectionElement && !sectionElement.querySelector('.loading-indicator')) {
-    const loadingDiv = document.createElement('div');
-    loadingDiv.className = 'loading-indicator';
-    loadingDiv.innerHTML = '<div class="spinner"></div><p>Loading content...</p>';
-    sectionElement.appendChild(loadingDiv);
+// Returns whether anything new was learned
+async function resolveListGenres(items) {
+  if (!appState.user) return false;
+  const missing = items.filter((item) => !getListItemGenreIds(item));
+
+  for (let i = 0; i < missing.length; i += GENRE_LOOKUP_BATCH) {
+    await Promise.all(missing.slice(i, i + GENRE_LOOKUP_BATCH).map(async (item) => {
+      try {
+        // Kept out of the offline store, which is for the home rows
+        const details = await tmdb.get(`/${item.media_type}/${item.id}`, {}, { ttl: TMDB_TTL.long, persist: false });
+        const genreIds = (details.genres || []).map((genre) => genre.id);
+        listGenreIds.set(titleKey(item), genreIds);
+        saveListItemGenres(item, genreIds);
+      } catch (error) {
+        // Not asked again this session
+        listGenreIds.set(titleKey(item), []);
+      }
+    }));
   }
+
+  return missing.length > 0;
 }
 
-function hideLoadingForSection(section) {
-  const sectionElement = document.getElementById(`${section}-section`);
-  const loadingIndicator = sectionElement?.querySelector('.loading-indicator');
-  if (loadingIndicator) {
-    loadingIndicator.remove();
-  }
+// Every list the title is in, so it's never looked up again
+function saveListItemGenres(item, genreIds) {
+  writeQueue.enqueue({
+    table: "user_list_items",
+    action: "update",
+    key: `list-genres:${appState.user.id}:${item.media_type}:${item.id}`,
+    values: { genre_ids: genreIds },
+    match: { user_id: appState.user.id, media_id: item.id, media_type: item.media_type }
+  });
 }
 
-async function fetchWithTimeout(url, options = {}, timeout = 10000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  
+async function resolveWatchedTitles(items) {
+  const missing = items.filter((item) => !watchedChecked.has(titleKey(item)));
+  if (!appState.user || missing.length === 0) return false;
+
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    });
-    clearTimeout(id);
-    return response;
+    const { data, error } = await supabase
+      .from("user_watch_history")
+      .select("media_id, media_type")
+      .eq("user_id", appState.user.id)
+      .in("media_id", [...new Set(missing.map((item) => item.id))]);
+
+    if (error) throw error;
+    (data || []).forEach((row) => watchedTitles.add(titleKey({ id: row.media_id, media_type: row.media_type })));
+    missing.forEach((item) => watchedChecked.add(titleKey(item)));
+    return true;
   } catch (error) {
-    clearTimeout(id);
-    throw error;
+    console.error("Error loading watched titles:", error);
+    return false;
   }
 }
 
-async function loadFeaturedContent() {
-  try {
-    const response = await fetchWithTimeout(
-      "https://api.themoviedb.org/3/movie/popular?language=en-US&page=1",
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
+// Fills the genre menu with the genres of the titles in the list, and
+// redraws the list if it was filtered on something that just loaded
+async function refreshMyListDetails(listId, items, view) {
+  const [genresChanged, watchedChanged] = await Promise.all([
+    view.genre ? resolveListGenres(items) : false,
+    view.status ? resolveWatchedTitles(items) : false
+  ]);
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    
-    const currentYear = new Date().getFullYear();
-    const filteredResults = data.results.filter(movie => {
-      const releaseYear = movie.release_date ? parseInt(movie.release_date.split('-')[0]) : 0;
-      return movie.adult === false && 
-             movie.vote_average >= 7.0 && 
-             releaseYear >= 2020;
-    });
-    
-    featuredQueue = filteredResults.slice(0, 5);
-    
-    if (featuredQueue.length > 0) {
-      featuredIndex = Math.floor(Math.random() * featuredQueue.length);
-      featuredMedia = featuredQueue[featuredIndex];
-      updateHeroSection(featuredMedia);
-      
-      // FIXED: Start rotation immediately if we have enough items
-      if (featuredQueue.length >= 2) {
-        // Clear any existing interval first
-        if (rotationInterval) {
-          clearInterval(rotationInterval);
-          rotationInterval = null;
-        }
-        // Start rotation with a small delay to ensure DOM is ready
-        setTimeout(() => {
-          startRotation();
-        }, 500);
-      }
-    }
-  } catch (error) {
-    console.error("Error loading featured content:", error);
+  // Another list may have been opened while this one was loading
+  if (getActiveListId() !== listId || !document.getElementById("mylist-section")?.classList.contains("active")) return;
+
+  await renderMyListGenres(items);
+
+  if ((genresChanged && view.genre) || watchedChanged) {
+    loadBookmarks();
   }
 }
 
-function startRotation() {
-  if (rotationInterval || featuredQueue.length < 2) return;
-  
-  rotationInterval = setInterval(() => {
-    rotateFeatured();
-  }, 5000);
+// The genre menu starts with the genres already known and fills in the
+// rest when it's opened
+async function loadMyListGenreChoices() {
+  const listId = getActiveListId();
+  const items = getListItems(listId);
+  if (!(await resolveListGenres(items)) || getActiveListId() !== listId) return;
+
+  await renderMyListGenres(items);
 }
 
-function rotateFeatured() {
-  if (featuredQueue.length < 2) return;
-  
-  const heroContent = document.querySelector('.hero-content');
-  const heroBackdrop = document.querySelector('.hero-backdrop');
-  
-  if (heroContent) heroContent.style.opacity = '0';
-  if (heroBackdrop) heroBackdrop.style.opacity = '0';
-  
-  setTimeout(() => {
-    featuredIndex = (featuredIndex + 1) % featuredQueue.length;
-    featuredMedia = featuredQueue[featuredIndex];
-    updateHeroSection(featuredMedia);
-    
-    if (heroContent) heroContent.style.opacity = '1';
-    if (heroBackdrop) heroBackdrop.style.opacity = '0.3';
-  }, 800);
+async function renderMyListGenres(items) {
+  const select = document.querySelector("#mylist-toolbar select[name='genre']");
+  if (!select) return;
+
+  const names = new Map();
+  const lists = await Promise.allSettled([getGenreList("movie"), getGenreList("tv")]);
+  lists.forEach((result) => {
+    (result.value || []).forEach((genre) => names.set(genre.id, genre.name));
+  });
+
+  const ids = new Set(items.flatMap((item) => getListItemGenreIds(item) || []));
+  const selected = getMyListView().genre;
+  if (selected) ids.add(Number(selected));
+
+  select.innerHTML = `
+    <option value="">All genres</option>
+    ${[...ids]
+      .map((id) => ({ id, name: names.get(id) || getGenreName(id) }))
+      .filter((genre) => genre.name)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((genre) => `<option value="${genre.id}">${genre.name}</option>`)
+      .join("")}
+  `;
+  select.value = selected;
 }
 
-// FIXED: Hero section with centralized approval check
-function updateHeroSection(media) {
-  const heroBackdrop = document.querySelector('.hero-backdrop');
-  const heroTitle = document.getElementById('hero-title');
-  const heroMeta = document.getElementById('hero-meta');
-  const heroDescription = document.getElementById('hero-description');
-  const heroWatchBtn = document.getElementById('hero-watch-btn');
-  const heroBookmarkBtn = document.getElementById('hero-bookmark-btn-new');
+// ===================================
+// HISTORY IMPORT
+// ===================================
+// The Import tab of the account modal. Files are read by history-import.js;
+// this part looks the rows up on TMDB, lets the user settle the uncertain
+// ones and saves the rest: watchlists to My List (the default list), watches
+// to user_watch_history. Every row of the file ends up in the report.
+// The report is shown as soon as the writes are queued, like any other
+// change to the list; a batch the server later rejects is rolled back and
+// its rows are marked in the report.
+//
+// Rows carrying a TMDB id (Trakt) or an IMDb id (IMDb, most of Trakt) are
+// looked up directly; the others are searched by title and year.
+
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_MATCH_BATCH = 4;
+// Rows per queued insert
+const IMPORT_WRITE_BATCH = 100;
+// Keeps user_watch_history lookups within a sensible URL length
+const HISTORY_LOOKUP_BATCH = 100;
+
+const IMPORT_SOURCES = { letterboxd: "Letterboxd", imdb: "IMDb", trakt: "Trakt" };
+
+const IMPORT_OUTCOMES = {
+  list: "Added to My List",
+  history: "Added to watch history",
+  "in-list": "Already in My List",
+  "in-history": "Already in watch history",
+  skipped: "Skipped",
+  unmatched: "No match found",
+  "lookup-failed": "Couldn't be looked up",
+  failed: "Couldn't be saved",
+  "over-limit": `Over the ${MAX_IMPORT_ROWS} title limit`
+};
+
+// stage: "idle" | "matching" | "review" | "saving" | "report"
+let importState = { stage: "idle" };
+let importRun = 0;
+
+function setupHistoryImport() {
+  const panel = document.getElementById("import-panel");
+  if (!panel) return;
+
+  panel.addEventListener("change", (e) => {
+    if (e.target.id === "import-file-input") {
+      const [file] = e.target.files;
+      e.target.value = "";
+      if (file) startImport(file);
+      return;
+    }
+
+    const index = e.target.closest("[data-row]")?.dataset.row;
+    if (index === undefined || importState.stage !== "review") return;
+    importState.rows[index].choice = e.target.value;
+    updateImportButton();
+  });
+
+  panel.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-action]")?.dataset.action;
+    if (action === "save") saveImport();
+    if (action === "download") downloadImportReport();
+    if (action === "restart") resetImport();
+  });
 
-  if (heroBackdrop && media.backdrop_path) {
-    heroBackdrop.style.backgroundImage = `url(https://image.tmdb.org/t/p/original${media.backdrop_path})`;
-    heroBackdrop.style.opacity = '0.3';
-  }
+  renderImportPanel();
+}
 
-  if (heroTitle) {
-    heroTitle.textContent = media.title || media.name;
-  }
+function resetImport(error = "") {
+  importRun++;
+  importState = { stage: "idle", error };
+  renderImportPanel();
+}
 
-  if (heroMeta) {
-    const rating = media.vote_average ? media.vote_average.toFixed(1) : 'N/A';
-    const year = (media.release_date || media.first_air_date || '').split('-')[0];
-    const mediaType = media.media_type === 'tv' ? 'TV Show' : 'Movie';
-    
-    const genres = media.genre_ids ? 
-      media.genre_ids.slice(0, 2).map(id => getGenreName(id)).filter(Boolean).join(', ') : 
-      'Action, Adventure';
-    
-    heroMeta.innerHTML = `
-      <span class="hero-rating"><i class="fas fa-star"></i> ${rating}</span>
-      <span>${year || 'N/A'}</span>
-      <span>${genres || mediaType}</span>
-    `;
-  }
+async function startImport(file) {
+  if (!canManageLists()) return;
 
-  if (heroDescription) {
-    const description = media.overview || 'No description available';
-    heroDescription.textContent = description.length > 250 
-      ? description.substring(0, 250) + '...' 
-      : description;
+  let parsed;
+  try {
+    parsed = parseImportFile(file.name, await file.text());
+  } catch (error) {
+    if (!(error instanceof ImportFormatError)) console.error("Error reading import file:", error);
+    resetImport(error instanceof ImportFormatError ? error.message : "This file couldn't be read.");
+    return;
   }
 
-  // FIXED: Hero watch button based on centralized approval
-  if (heroWatchBtn) {
-    if (isUserApproved) {
-      heroWatchBtn.innerHTML = '<i class="fas fa-play"></i> Watch Now';
-      heroWatchBtn.onclick = () => {
-        openPlayer({ ...media, media_type: media.media_type || 'movie' });
-      };
-    } else {
-      heroWatchBtn.innerHTML = '<i class="fas fa-lock"></i> Premium Required';
-      heroWatchBtn.onclick = () => {
-        showNotification("Subscribe to unlock premium content", "error");
-        openPaymentModal();
-      };
-    }
+  if (parsed.rows.length === 0) {
+    resetImport("There are no titles in this file.");
+    return;
   }
 
-  // FIXED: Bookmark button with approval check
-  if (heroBookmarkBtn && currentUser) {
-    const isBookmarked = bookmarks.some(b => b.id === media.id);
-    const icon = heroBookmarkBtn.querySelector('i');
-    const span = heroBookmarkBtn.querySelector('span');
-    
-    heroBookmarkBtn.classList.add('show');
-    
-    if (isBookmarked) {
-      icon.className = 'fas fa-bookmark';
-      heroBookmarkBtn.classList.add('bookmarked');
-      if (span) span.textContent = 'Remove from List';
-    } else {
-      icon.className = 'far fa-bookmark';
-      heroBookmarkBtn.classList.remove('bookmarked');
-      if (span) span.textContent = 'Add to List';
-    }
-    
-    heroBookmarkBtn.onclick = () => {
-      if (isUserApproved) {
-        toggleBookmark(media, media.media_type || 'movie', heroBookmarkBtn);
-      } else {
-        showNotification("Subscribe to use bookmark feature", "error");
-        openPaymentModal();
-      }
-    };
-  } else if (heroBookmarkBtn) {
-    heroBookmarkBtn.classList.remove('show');
+  const run = ++importRun;
+  importState = {
+    stage: "matching",
+    userId: appState.user.id,
+    fileName: file.name,
+    source: parsed.source,
+    done: 0,
+    rows: parsed.rows.map((row, index) => ({
+      ...row,
+      outcome: row.skip ? "skip" : index >= MAX_IMPORT_ROWS ? "over-limit" : null
+    }))
+  };
+  renderImportPanel();
+
+  const pending = importState.rows.filter((row) => !row.outcome);
+  for (let i = 0; i < pending.length; i += IMPORT_MATCH_BATCH) {
+    await Promise.all(pending.slice(i, i + IMPORT_MATCH_BATCH).map(async (row) => {
+      Object.assign(row, await matchImportRow(row));
+    }));
+
+    // Cancelled, or another file was picked meanwhile
+    if (run !== importRun) return;
+    importState.done = Math.min(i + IMPORT_MATCH_BATCH, pending.length);
+    updateImportProgress();
   }
-}
 
-function getGenreName(id) {
-  const genreMap = {
-    28: 'Action', 12: 'Adventure', 16: 'Animation', 35: 'Comedy', 80: 'Crime',
-    99: 'Documentary', 18: 'Drama', 10751: 'Family', 14: 'Fantasy', 36: 'History',
-    27: 'Horror', 10402: 'Music', 9648: 'Mystery', 10749: 'Romance', 878: 'Sci-Fi',
-    10770: 'TV Movie', 53: 'Thriller', 10752: 'War', 37: 'Western', 10759: 'Action',
-    10765: 'Sci-Fi'
-  };
-  return genreMap[id] || '';
+  importState.stage = "review";
+  renderImportPanel();
 }
 
-async function loadTrending() {
+// Returns { status, match, candidates }, status being "matched",
+// "ambiguous", "unmatched" or "error"
+async function matchImportRow(row) {
   try {
-    const response = await fetchWithTimeout(
-      "https://api.themoviedb.org/3/trending/all/week",
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
+    if (row.tmdbId) {
+      try {
+        const details = await tmdb.get(`/${row.mediaType}/${row.tmdbId}`, {}, { ttl: TMDB_TTL.long });
+        return { status: "matched", match: toImportMatch(details, row.mediaType), candidates: [] };
+      } catch (error) {
+        // A stale id: try the other ways
+        if (!(error instanceof TMDBNotFoundError)) throw error;
       }
-    );
+    }
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    renderMediaCards(data.results.slice(0, 12), "trending-grid");
+    if (row.imdbId) {
+      const found = await tmdb.get(`/find/${row.imdbId}`, { external_source: "imdb_id" }, { ttl: TMDB_TTL.long });
+      const results = [
+        ...(found.movie_results || []).map((item) => toImportMatch(item, "movie")),
+        ...(found.tv_results || []).map((item) => toImportMatch(item, "tv"))
+      ];
+      // An IMDb id is exact, so one hit needs no further checks
+      if (results.length === 1) return { status: "matched", match: results[0], candidates: [] };
+      if (results.length > 1) return pickMatch(row, results);
+    }
+
+    if (!row.title) return { status: "unmatched", match: null, candidates: [] };
+
+    const path = row.mediaType ? `/search/${row.mediaType}` : "/search/multi";
+    const params = { query: row.title };
+    if (row.year && row.mediaType === "movie") params.year = row.year;
+    if (row.year && row.mediaType === "tv") params.first_air_date_year = row.year;
+
+    let data = await tmdb.get(path, params, { ttl: TMDB_TTL.long });
+    // Years differ between sites now and then, so retry without one
+    if (data.results.length === 0 && (params.year || params.first_air_date_year)) {
+      data = await tmdb.get(path, { query: row.title }, { ttl: TMDB_TTL.long });
+    }
+
+    return pickMatch(row, data.results.map((item) => toImportMatch(item, item.media_type || row.mediaType)));
   } catch (error) {
-    console.error("Error loading trending:", error);
-    showNotification("Error loading trending content", "error");
+    console.error(`Error matching import row ${row.line}:`, error);
+    return { status: "error", match: null, candidates: [] };
   }
 }
 
-async function loadPopularMovies() {
-  try {
-    const response = await fetchWithTimeout(
-      "https://api.themoviedb.org/3/movie/popular",
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
+// Just what a list item needs; details pages have genres rather than genre_ids
+function toImportMatch(item, mediaType) {
+  return {
+    id: item.id,
+    media_type: mediaType,
+    title: item.title,
+    name: item.name,
+    original_title: item.original_title,
+    original_name: item.original_name,
+    poster_path: item.poster_path,
+    vote_average: item.vote_average,
+    release_date: item.release_date,
+    first_air_date: item.first_air_date,
+    genre_ids: item.genre_ids || item.genres?.map((genre) => genre.id)
+  };
+}
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    renderMediaCards(data.results.slice(0, 12), "popular-movies-grid");
-  } catch (error) {
-    console.error("Error loading popular movies:", error);
-    showNotification("Error loading popular movies", "error");
+// What a row will be imported as, or null if it won't be
+function getImportChoice(row) {
+  if (row.outcome) return null;
+  if (row.status === "matched") return row.match;
+  if (row.status === "ambiguous" && row.choice !== undefined && row.choice !== "skip") {
+    return row.candidates[row.choice];
   }
+  return null;
 }
 
-async function loadPopularTVShows() {
-  try {
-    const response = await fetchWithTimeout(
-      "https://api.themoviedb.org/3/tv/popular",
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
+async function saveImport() {
+  const state = importState;
+  if (state.stage !== "review" || state.userId !== appState.user?.id || !canManageLists()) return;
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    renderMediaCards(data.results.slice(0, 12), "popular-tv-grid");
-  } catch (error) {
-    console.error("Error loading popular TV shows:", error);
-    showNotification("Error loading popular TV shows", "error");
-  }
+  state.stage = "saving";
+  renderImportPanel();
+
+  state.rows.forEach((row) => {
+    if (row.outcome) return;
+    if (row.status === "unmatched") row.outcome = "unmatched";
+    if (row.status === "error") row.outcome = "lookup-failed";
+    if (row.status === "ambiguous" && !getImportChoice(row)) row.outcome = "skipped";
+  });
+
+  const chosen = state.rows.filter(getImportChoice);
+  importListRows(chosen.filter((row) => row.target === "list"));
+  await importHistoryRows(chosen.filter((row) => row.target === "history"));
+
+  if (state !== importState) return;
+  state.stage = "report";
+  renderImportPanel();
+
+  const added = state.rows.filter((row) => row.outcome === "list" || row.outcome === "history").length;
+  showNotification(`Imported ${added} of ${state.rows.length} titles`, added > 0 ? "success" : "warning");
 }
 
-async function loadMovies(genre) {
-  try {
-    let url = "https://api.themoviedb.org/3/discover/movie?sort_by=popularity.desc";
-    if (genre !== "all") {
-      url += `&with_genres=${genre}`;
-    }
+// Titles keep the file's order, at the top of My List
+function importListRows(rows) {
+  const seen = new Set(getListItems(DEFAULT_LIST_ID).map(titleKey));
+  const fresh = [];
 
-    const response = await fetchWithTimeout(url, {
-      headers: {
-        Authorization: `Bearer ${TMDB_TOKEN}`,
-        "Content-Type": "application/json;charset=utf-8",
-      },
+  rows.forEach((row) => {
+    const match = getImportChoice(row);
+    if (seen.has(titleKey(match))) {
+      row.outcome = "in-list";
+      return;
+    }
+    seen.add(titleKey(match));
+    fresh.push(row);
+  });
+  if (fresh.length === 0) return;
+
+  const now = new Date().toISOString();
+  const first = getFirstPosition(DEFAULT_LIST_ID);
+  const items = fresh.map((row, index) => ({
+    ...getImportChoice(row),
+    position: first - fresh.length + index,
+    added_at: row.date || now
+  }));
+  setListItems(DEFAULT_LIST_ID, (current) => [...items, ...current]);
+  fresh.forEach((row) => { row.outcome = "list"; });
+
+  // Another tab may have added some of them since, which is fine
+  for (let i = 0; i < items.length; i += IMPORT_WRITE_BATCH) {
+    const batch = items.slice(i, i + IMPORT_WRITE_BATCH);
+    const batchRows = fresh.slice(i, i + IMPORT_WRITE_BATCH);
+
+    writeQueue.enqueue({
+      table: "user_list_items",
+      action: "upsert",
+      values: batch.map((item) => toListItemRow(DEFAULT_LIST_ID, item)),
+      options: { onConflict: "user_id,list_id,media_id", ignoreDuplicates: true }
+    }).then(({ status }) => {
+      if (status !== "dropped") return;
+      const dropped = new Set(batch.map(titleKey));
+      setListItems(DEFAULT_LIST_ID, (current) => current.filter((item) => !dropped.has(titleKey(item))));
+      markImportRowsFailed(batchRows);
     });
-
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    renderMediaCards(data.results, "movies-grid");
-  } catch (error) {
-    console.error("Error loading movies:", error);
-    showNotification("Error loading movies", "error");
   }
 }
 
-async function loadTVShows(genre) {
+// A watch already in the history on the same day (or at all, for rows
+// without a date) is left out, so importing the same file twice is harmless
+async function importHistoryRows(rows) {
+  if (rows.length === 0) return;
+
+  const watchKey = (entry, day) => [entry.media_type, entry.media_id, entry.season ?? "", entry.episode ?? "", day].join(":");
+  const existing = new Set();
+
   try {
-    let url = "https://api.themoviedb.org/3/discover/tv?sort_by=popularity.desc";
-    if (genre !== "all") {
-      url += `&with_genres=${genre}`;
+    const ids = [...new Set(rows.map((row) => getImportChoice(row).id))];
+    for (let i = 0; i < ids.length; i += HISTORY_LOOKUP_BATCH) {
+      const { data, error } = await supabase
+        .from("user_watch_history")
+        .select("media_id, media_type, season, episode, watched_at")
+        .eq("user_id", appState.user.id)
+        .in("media_id", ids.slice(i, i + HISTORY_LOOKUP_BATCH));
+
+      if (error) throw error;
+      (data || []).forEach((entry) => {
+        existing.add(watchKey(entry, ""));
+        existing.add(watchKey(entry, String(entry.watched_at || "").slice(0, 10)));
+      });
+    }
+  } catch (error) {
+    console.error("Error checking watch history for import:", error);
+    rows.forEach((row) => { row.outcome = "failed"; });
+    return;
+  }
+  sessionWatchHistory.forEach((entry) => {
+    existing.add(watchKey(entry, ""));
+    existing.add(watchKey(entry, entry.watched_at.slice(0, 10)));
+  });
+
+  const now = new Date().toISOString();
+  const fresh = [];
+  rows.forEach((row) => {
+    const match = getImportChoice(row);
+    const values = {
+      user_id: appState.user.id,
+      media_id: match.id,
+      media_type: match.media_type,
+      title: match.title || match.name,
+      season: row.season ?? null,
+      episode: row.episode ?? null,
+      duration: 0,
+      watched_at: row.date || now
+    };
+    const key = watchKey(values, row.date ? row.date.slice(0, 10) : "");
+    if (existing.has(key)) {
+      row.outcome = "in-history";
+      return;
     }
+    existing.add(key);
+    fresh.push({ row, values });
+  });
 
-    const response = await fetchWithTimeout(url, {
-      headers: {
-        Authorization: `Bearer ${TMDB_TOKEN}`,
-        "Content-Type": "application/json;charset=utf-8",
-      },
+  for (let i = 0; i < fresh.length; i += IMPORT_WRITE_BATCH) {
+    const batch = fresh.slice(i, i + IMPORT_WRITE_BATCH);
+    batch.forEach(({ row, values }) => {
+      row.outcome = "history";
+      sessionWatchHistory.push(values);
     });
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    renderMediaCards(data.results, "tv-grid");
-  } catch (error) {
-    console.error("Error loading TV shows:", error);
-    showNotification("Error loading TV shows", "error");
+    writeQueue.enqueue({
+      table: "user_watch_history",
+      action: "insert",
+      values: batch.map(({ values }) => values)
+    }).then(({ status }) => {
+      if (status !== "dropped") return;
+      const dropped = new Set(batch.map(({ values }) => values));
+      sessionWatchHistory = sessionWatchHistory.filter((entry) => !dropped.has(entry));
+      markImportRowsFailed(batch.map(({ row }) => row));
+    });
+  }
+
+  // Imported watches are older than most, and the history is read newest first
+  sessionWatchHistory.sort((a, b) => new Date(b.watched_at) - new Date(a.watched_at));
+}
+
+// For a queued batch the server rejected after the report was shown
+function markImportRowsFailed(rows) {
+  rows.forEach((row) => { row.outcome = "failed"; });
+  showNotification(`${rows.length} imported title${rows.length === 1 ? '' : 's'} couldn't be saved`, "error");
+
+  if (importState.stage === "report" && importState.rows.includes(rows[0])) {
+    renderImportPanel();
   }
 }
 
-function renderMediaCards(mediaItems, gridId) {
-  const grid = document.getElementById(gridId);
-  if (!grid) return;
+function renderImportPanel() {
+  const panel = document.getElementById("import-panel");
+  if (!panel) return;
 
-  while (grid.firstChild) {
-    grid.removeChild(grid.firstChild);
+  // Signed out, or someone else signed in, since the import began
+  if (importState.userId && importState.userId !== appState.user?.id) {
+    importRun++;
+    importState = { stage: "idle" };
   }
 
-  if (!mediaItems || mediaItems.length === 0) {
-    grid.innerHTML = "<p class='no-content'>No content available</p>";
+  const state = importState;
+
+  if (state.stage === "idle") {
+    panel.innerHTML = `
+      <div class="import-intro">
+        <h3>Import from other services</h3>
+        <p>Bring your watchlist and watch history over from a Letterboxd CSV, an IMDb list or ratings CSV, or a Trakt JSON export. Watchlists go to My List; watched titles go to your watch history.</p>
+      </div>
+      ${state.error ? `<p class="import-error"><i class="fas fa-exclamation-circle"></i> ${escapeHTML(state.error)}</p>` : ''}
+      <label class="btn-save-profile import-file-btn">
+        <i class="fas fa-file-import"></i> Choose a file
+        <input type="file" id="import-file-input" accept=".csv,.json,text/csv,application/json" hidden>
+      </label>
+    `;
     return;
   }
 
-  const fragment = document.createDocumentFragment();
+  if (state.stage === "matching" || state.stage === "saving") {
+    const pending = state.rows.filter((row) => !row.skip && row.outcome !== "over-limit").length;
+    panel.innerHTML = `
+      <div class="import-progress">
+        <i class="fas fa-spinner fa-spin"></i>
+        <p id="import-progress-text">${state.stage === "saving"
+          ? 'Saving your titles…'
+          : `Matching titles… ${state.done} of ${pending}`}</p>
+      </div>
+      ${state.stage === "matching" ? '<div class="setting-actions"><button class="btn-secondary" data-action="restart">Cancel</button></div>' : ''}
+    `;
+    return;
+  }
 
-  mediaItems.forEach((item, index) => {
-    const mediaType = item.media_type || (item.first_air_date ? "tv" : "movie");
-    const card = createMediaCard(item, mediaType, index);
-    fragment.appendChild(card);
-  });
+  if (state.stage === "review") {
+    renderImportReview(panel);
+    return;
+  }
 
-  grid.appendChild(fragment);
-  setupLazyLoadingForGrid(grid);
+  renderImportReport(panel);
 }
 
-// FIXED: Media card with centralized approval check
-function createMediaCard(mediaItem, mediaType, index) {
-  const title = mediaItem.title || mediaItem.name;
-  const year = (mediaItem.release_date || mediaItem.first_air_date || "").split("-")[0];
-  const rating = mediaItem.vote_average ? mediaItem.vote_average.toFixed(1) : "N/A";
-  const isBookmarked = bookmarks.some((b) => b.id === mediaItem.id);
+function updateImportProgress() {
+  const text = document.getElementById("import-progress-text");
+  const pending = importState.rows.filter((row) => !row.skip && row.outcome !== "over-limit").length;
+  if (text) text.textContent = `Matching titles… ${importState.done} of ${pending}`;
+}
 
-  // FIXED: Use centralized approval check
-  const playIcon = isUserApproved ? 'fa-play' : 'fa-lock';
-  const playTitle = isUserApproved ? `Play ${title}` : 'Premium access required';
+function renderImportReview(panel) {
+  const { rows, fileName, source } = importState;
+  const count = (test) => rows.filter(test).length;
+  const ambiguous = rows.map((row, index) => ({ row, index })).filter(({ row }) => !row.outcome && row.status === "ambiguous");
 
-  const card = document.createElement("div");
-  card.className = "media-card hover-glow";
-  card.style.animationDelay = `${index * 50}ms`;
-  card.tabIndex = 0;
-  
-  // FIXED: Only show bookmark for approved users
-  const bookmarkButton = (currentUser && isUserApproved) ? `
-    <button class="bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" 
-            data-id="${mediaItem.id}"
-            title="${isBookmarked ? 'Remove from List' : 'Add to List'}"
-            aria-label="${isBookmarked ? 'Remove from bookmarks' : 'Add to bookmarks'}">
-      <i class="${isBookmarked ? 'fas' : 'far'} fa-bookmark"></i>
-    </button>
-  ` : '';
-  
-  card.innerHTML = `
-    <div class="card-image-container">
-      ${bookmarkButton}
-      <img 
-        data-src="https://image.tmdb.org/t/p/w500${mediaItem.poster_path}" 
-        alt="${title}"
-        class="lazy"
-        loading="lazy"
-        onerror="this.src='https://via.placeholder.com/500x750?text=No+Image'"
-      >
-      <div class="card-overlay">
-        <button class="play-btn hover-glow" title="${playTitle}">
-          <i class="fas ${playIcon}"></i>
-        </button>
-      </div>
+  panel.innerHTML = `
+    <div class="import-intro">
+      <h3>${escapeHTML(fileName)}</h3>
+      <p>${IMPORT_SOURCES[source]} export · ${rows.length} title${rows.length === 1 ? '' : 's'}</p>
     </div>
-    <div class="card-info">
-      <h3 class="card-title">${title}</h3>
-      <div class="card-meta">
-        <span class="card-rating">
-          <i class="fas fa-star"></i>
-          ${rating}
-        </span>
-        <span>${year}</span>
-        <span>${mediaType === "tv" ? "TV" : "Movie"}</span>
+    <ul class="import-counts">
+      <li><strong>${count((row) => !row.outcome && row.status === "matched")}</strong> matched</li>
+      <li><strong>${ambiguous.length}</strong> to check</li>
+      <li><strong>${count((row) => !row.outcome && (row.status === "unmatched" || row.status === "error"))}</strong> not found</li>
+      <li><strong>${count((row) => row.outcome)}</strong> can't be imported</li>
+    </ul>
+    ${ambiguous.length > 0 ? `
+      <p class="import-hint">These could be more than one title. Pick the right one, or skip it.</p>
+      <div class="import-review">
+        ${ambiguous.map(({ row, index }) => `
+          <fieldset class="import-review-row" data-row="${index}">
+            <legend>${escapeHTML(row.title)}${row.year ? ` (${row.year})` : ''} <span>${row.target === "list" ? 'to My List' : 'to watch history'}</span></legend>
+            ${row.candidates.map((candidate, choice) => `
+              <label class="import-candidate">
+                <input type="radio" name="import-choice-${index}" value="${choice}" ${String(row.choice) === String(choice) ? 'checked' : ''}>
+                ${candidate.poster_path
+                  ? `<img src="https://image.tmdb.org/t/p/w92${candidate.poster_path}" alt="" loading="lazy">`
+                  : '<span class="import-candidate-poster"><i class="fas fa-film"></i></span>'}
+                <span class="import-candidate-info">
+                  <strong>${escapeHTML(candidate.title || candidate.name)}</strong>
+                  <span>${getCandidateYear(candidate) || 'Unknown year'} · ${candidate.media_type === "tv" ? 'TV show' : 'Movie'}${getOriginalTitle(candidate) ? ` · ${escapeHTML(getOriginalTitle(candidate))}` : ''}</span>
+                </span>
+              </label>
+            `).join("")}
+            <label class="import-candidate import-candidate-skip">
+              <input type="radio" name="import-choice-${index}" value="skip" ${row.choice === undefined || row.choice === "skip" ? 'checked' : ''}>
+              <span>Skip this one</span>
+            </label>
+          </fieldset>
+        `).join("")}
       </div>
+    ` : ''}
+    <div class="setting-actions">
+      <button class="btn-save-profile" id="import-save-btn" data-action="save"></button>
+      <button class="btn-secondary" data-action="restart">Start over</button>
     </div>
   `;
+  updateImportButton();
+}
 
-  const playBtn = card.querySelector('.play-btn');
-  if (playBtn) {
-    playBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      if (isUserApproved) {
-        openPlayer({ ...mediaItem, media_type: mediaType });
-      } else {
-        showNotification("Premium access required to watch content", "error");
-        openPaymentModal();
-      }
-    });
-  }
+// Tells apart titles that share a name, e.g. remakes of foreign films
+function getOriginalTitle(candidate) {
+  const original = candidate.original_title || candidate.original_name;
+  return original && original !== (candidate.title || candidate.name) ? original : "";
+}
 
-  card.addEventListener('click', debounce(() => {
-    if (isUserApproved) {
-      openPlayer({ ...mediaItem, media_type: mediaType });
-    } else {
-      showNotification("Premium access required to watch content", "error");
-      openPaymentModal();
-    }
-  }, 300));
+function updateImportButton() {
+  const button = document.getElementById("import-save-btn");
+  if (!button) return;
 
-  card.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      if (isUserApproved) {
-        openPlayer({ ...mediaItem, media_type: mediaType });
-      } else {
-        showNotification("Premium access required to watch content", "error");
-        openPaymentModal();
-      }
-    }
-  });
+  const total = importState.rows.filter(getImportChoice).length;
+  button.disabled = total === 0;
+  button.innerHTML = `<i class="fas fa-file-import"></i> Import ${total} title${total === 1 ? '' : 's'}`;
+}
+
+function renderImportReport(panel) {
+  const { rows, fileName } = importState;
+  const totals = Object.keys(IMPORT_OUTCOMES)
+    .map((outcome) => ({ outcome, count: rows.filter((row) => getImportOutcome(row) === outcome).length }))
+    .concat([{ outcome: "skip", count: rows.filter((row) => row.outcome === "skip").length }])
+    .filter(({ count }) => count > 0);
+
+  panel.innerHTML = `
+    <div class="import-intro">
+      <h3>Import finished</h3>
+      <p>${escapeHTML(fileName)}</p>
+    </div>
+    <ul class="import-counts">
+      ${totals.map(({ outcome, count }) => `
+        <li class="import-outcome-${outcome}"><strong>${count}</strong> ${outcome === "skip" ? 'Not supported' : IMPORT_OUTCOMES[outcome]}</li>
+      `).join("")}
+    </ul>
+    <div class="import-report" role="table" aria-label="Import report">
+      ${rows.map((row) => {
+        const match = row.match || getImportedMatch(row);
+        return `
+          <div class="import-report-row import-outcome-${getImportOutcome(row)}" role="row">
+            <span class="import-report-line" role="cell">${row.line}</span>
+            <span class="import-report-title" role="cell">
+              ${escapeHTML(row.title || 'Untitled')}${row.year ? ` (${row.year})` : ''}
+              ${match && (match.title || match.name) !== row.title ? `<small>as ${escapeHTML(match.title || match.name)}</small>` : ''}
+            </span>
+            <span class="import-report-outcome" role="cell">${escapeHTML(getImportOutcomeLabel(row))}</span>
+          </div>
+        `;
+      }).join("")}
+    </div>
+    <div class="setting-actions">
+      <button class="btn-secondary" data-action="download"><i class="fas fa-download"></i> Download report</button>
+      <button class="btn-secondary" data-action="restart"><i class="fas fa-file-import"></i> Import another file</button>
+    </div>
+  `;
+}
+
+function getImportOutcome(row) {
+  return row.outcome || "skipped";
+}
+
+function getImportOutcomeLabel(row) {
+  return row.outcome === "skip" ? row.skip : IMPORT_OUTCOMES[getImportOutcome(row)];
+}
+
+function getImportedMatch(row) {
+  return row.status === "ambiguous" && row.choice !== undefined && row.choice !== "skip"
+    ? row.candidates[row.choice]
+    : null;
+}
+
+function downloadImportReport() {
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const lines = [
+    ["Line", "Title", "Year", "Result", "Matched title", "TMDB id", "Type"],
+    ...importState.rows.map((row) => {
+      const match = row.match || getImportedMatch(row);
+      return [row.line, row.title, row.year, getImportOutcomeLabel(row), match?.title || match?.name, match?.id, match?.media_type];
+    })
+  ].map((fields) => fields.map(quote).join(","));
+
+  const url = URL.createObjectURL(new Blob([lines.join("\r\n")], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${importState.fileName.replace(/\.[^.]+$/, "")}-import-report.csv`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ===================================
+// SEARCH SUGGESTIONS
+// ===================================
+// The dropdown under the search box. Suggestions come from the same
+// search/multi call the results page makes, so Enter reuses the cached
+// response. With an empty box it lists the user's recent searches.
+
+const MAX_SUGGESTIONS = 8;
+const MAX_RECENT_SEARCHES = 8;
+
+// Loaded from user_search_history once per user, then kept current locally
+let recentSearches = { userId: null, queries: [] };
+let suggestionItems = [];
+let activeSuggestion = -1;
+// Bumped per request so a slow response can't replace a newer list
+let suggestionsRequest = 0;
+
+async function loadSearchSuggestions(query) {
+  const request = ++suggestionsRequest;
+
+  try {
+    const data = await tmdb.get("/search/multi", { query });
+    if (request !== suggestionsRequest) return;
+
+    const matches = data.results
+      .filter((item) => !item.adult && (
+        item.media_type === "person" ||
+        ((item.media_type === "movie" || item.media_type === "tv") && item.poster_path)
+      ))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((item) => (item.media_type === "person"
+        ? { kind: "person", person: item }
+        : { kind: "title", media: item }));
+
+    renderSuggestions([...matches, { kind: "all", query }]);
+  } catch (error) {
+    // Enter still runs the full search, which reports the error
+    console.error("Error loading search suggestions:", error);
+  }
+}
 
-  const bookmarkBtn = card.querySelector(".bookmark-btn");
-  if (bookmarkBtn) {
-    bookmarkBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      if (isUserApproved) {
-        animateButton(bookmarkBtn);
-        toggleBookmark(mediaItem, mediaType, bookmarkBtn);
-      } else {
-        showNotification("Subscribe to use bookmark feature", "error");
-        openPaymentModal();
-      }
-    });
+async function showRecentSearches() {
+  const request = ++suggestionsRequest;
+  const queries = await getRecentSearches();
+
+  const searchInput = document.getElementById("main-search-input");
+  if (request !== suggestionsRequest || searchInput?.value.trim()) return;
+
+  if (queries.length === 0) {
+    closeSuggestions();
+    return;
   }
 
-  return card;
+  renderSuggestions(queries.map((query) => ({ kind: "recent", query })), "Recent searches");
 }
 
-function setupLazyLoadingForGrid(grid) {
-  const imageObserver = domCache.observers.get('images');
-  if (imageObserver) {
-    grid.querySelectorAll('img.lazy').forEach(img => {
-      imageObserver.observe(img);
-    });
+async function getRecentSearches() {
+  const user = appState.user;
+  if (!user) return [];
+  if (recentSearches.userId === user.id) return recentSearches.queries;
+
+  try {
+    const { data, error } = await supabase
+      .from("user_search_history")
+      .select("query, searched_at")
+      .eq("user_id", user.id)
+      .order("searched_at", { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    recentSearches = { userId: user.id, queries: uniqueQueries((data || []).map((row) => row.query)) };
+    return recentSearches.queries;
+  } catch (error) {
+    console.error("Error loading recent searches:", error);
+    return [];
   }
 }
 
-function animateButton(button) {
-  button.style.transform = "scale(0.9)";
-  setTimeout(() => {
-    button.style.transform = "scale(1)";
-  }, 150);
+function rememberRecentSearch(query) {
+  if (recentSearches.userId !== appState.user?.id) return;
+  recentSearches.queries = uniqueQueries([query, ...recentSearches.queries]);
 }
 
-function loadBookmarks() {
-  const grid = document.getElementById("mylist-grid");
-  if (!grid) return;
+// Newest first, ignoring case and stray whitespace
+function uniqueQueries(queries) {
+  const seen = new Set();
+  return queries
+    .map((query) => (query || "").trim())
+    .filter((query) => {
+      const key = query.toLowerCase();
+      if (!query || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_RECENT_SEARCHES);
+}
 
-  if (bookmarks.length === 0) {
-    grid.innerHTML = `
-      <div class="no-content">
-        <i class="fas fa-bookmark"></i>
-        <p>No items in your list yet. Add some movies or TV shows!</p>
-      </div>
-    `;
-    return;
-  }
+function renderSuggestions(items, heading = "") {
+  const list = document.getElementById("search-suggestions");
+  if (!list) return;
 
-  renderMediaCards(bookmarks, "mylist-grid");
+  suggestionItems = items;
+  activeSuggestion = -1;
+
+  list.innerHTML = `
+    ${heading ? `<li class="suggestion-heading" role="presentation">${heading}</li>` : ''}
+    ${items.map((item, index) => `
+      <li class="suggestion-item suggestion-${item.kind}" id="search-suggestion-${index}" role="option" aria-selected="false" data-index="${index}">
+        ${renderSuggestionContent(item)}
+      </li>
+    `).join("")}
+  `;
+
+  openSuggestions();
 }
 
-function toggleBookmark(mediaItem, mediaType, button) {
-  if (!currentUser) {
-    showNotification("Please log in to manage your list", "error");
-    return;
+function renderSuggestionContent(item) {
+  if (item.kind === "recent") {
+    return `<i class="fas fa-history suggestion-icon"></i><span class="suggestion-title">${escapeHTML(item.query)}</span>`;
   }
 
-  // FIXED: Check approval before allowing bookmark
-  if (!isUserApproved) {
-    showNotification("Subscribe to use bookmark feature", "error");
-    openPaymentModal();
-    return;
+  if (item.kind === "all") {
+    return `<i class="fas fa-search suggestion-icon"></i><span class="suggestion-title">See all results for "${escapeHTML(item.query)}"</span>`;
   }
 
-  const index = bookmarks.findIndex((b) => b.id === mediaItem.id);
-  const icon = button.querySelector("i");
+  if (item.kind === "person") {
+    const { person } = item;
+    return `
+      <img class="suggestion-thumb round" 
+           src="${person.profile_path ? `https://image.tmdb.org/t/p/w92${person.profile_path}` : 'https://via.placeholder.com/92x92?text=%20'}" 
+           alt="" loading="lazy">
+      <span class="suggestion-text">
+        <span class="suggestion-title">${person.name}</span>
+        <span class="suggestion-meta">${person.known_for_department || 'Person'}</span>
+      </span>
+    `;
+  }
 
-  if (index > -1) {
-    bookmarks.splice(index, 1);
-    showNotification("Removed from your list", "success");
-    removeBookmarkFromSupabase(mediaItem.id);
-    
-    if (icon) {
-      icon.className = "far fa-bookmark";
-    }
-    button.classList.remove("bookmarked");
-    button.title = "Add to List";
+  const { media } = item;
+  const year = (media.release_date || media.first_air_date || "").split("-")[0];
+  return `
+    <img class="suggestion-thumb" src="https://image.tmdb.org/t/p/w92${media.poster_path}" alt="" loading="lazy">
+    <span class="suggestion-text">
+      <span class="suggestion-title">${media.title || media.name}</span>
+      <span class="suggestion-meta">${[year, media.media_type === "tv" ? "TV" : "Movie"].filter(Boolean).join(" · ")}</span>
+    </span>
+  `;
+}
+
+function openSuggestions() {
+  const list = document.getElementById("search-suggestions");
+  const searchInput = document.getElementById("main-search-input");
+  if (!list || !searchInput || suggestionItems.length === 0) return;
+
+  list.hidden = false;
+  searchInput.setAttribute("aria-expanded", "true");
+}
+
+function closeSuggestions() {
+  const list = document.getElementById("search-suggestions");
+  const searchInput = document.getElementById("main-search-input");
+  if (!list || !searchInput) return;
+
+  list.hidden = true;
+  searchInput.setAttribute("aria-expanded", "false");
+  setActiveSuggestion(-1);
+}
+
+function setActiveSuggestion(index) {
+  activeSuggestion = index;
+  document.querySelectorAll("#search-suggestions .suggestion-item").forEach((option, optionIndex) => {
+    option.classList.toggle("active", optionIndex === index);
+    option.setAttribute("aria-selected", String(optionIndex === index));
+  });
+
+  const searchInput = document.getElementById("main-search-input");
+  if (index >= 0) {
+    searchInput?.setAttribute("aria-activedescendant", `search-suggestion-${index}`);
   } else {
-    bookmarks.push({ ...mediaItem, media_type: mediaType });
-    showNotification("Added to your list", "success");
-    addBookmarkToSupabase(mediaItem, mediaType);
-    
-    if (icon) {
-      icon.className = "fas fa-bookmark";
-    }
-    button.classList.add("bookmarked");
-    button.title = "Remove from List";
+    searchInput?.removeAttribute("aria-activedescendant");
   }
+}
 
-  if (document.getElementById("mylist-section")?.classList.contains("active")) {
-    loadBookmarks();
-  }
-  
-  if (featuredMedia && featuredMedia.id === mediaItem.id) {
-    updateHeroSection(featuredMedia);
+function handleSuggestionKeys(e) {
+  const list = document.getElementById("search-suggestions");
+  const isOpen = list && !list.hidden;
+  const count = suggestionItems.length;
+
+  switch (e.key) {
+    case "ArrowDown":
+    case "ArrowUp":
+      e.preventDefault();
+      if (!isOpen) {
+        openSuggestions();
+        return;
+      }
+      if (count === 0) return;
+      if (e.key === "ArrowDown") {
+        setActiveSuggestion(activeSuggestion + 1 >= count ? 0 : activeSuggestion + 1);
+      } else {
+        setActiveSuggestion(activeSuggestion <= 0 ? count - 1 : activeSuggestion - 1);
+      }
+      break;
+    case "Enter": {
+      e.preventDefault();
+      if (isOpen && activeSuggestion >= 0) {
+        selectSuggestion(suggestionItems[activeSuggestion]);
+        return;
+      }
+      const query = e.target.value.trim();
+      if (query) {
+        clearTimeout(searchDebounce);
+        selectSuggestion({ kind: "all", query });
+      }
+      break;
+    }
+    case "Escape":
+      if (isOpen) {
+        e.preventDefault();
+        closeSuggestions();
+      } else {
+        e.target.blur();
+      }
+      break;
   }
 }
 
-async function addBookmarkToSupabase(mediaItem, mediaType) {
-  try {
-    const { error } = await supabase.from("user_bookmarks").insert({
-      user_id: currentUser.id,
-      media_id: mediaItem.id,
-      media_type: mediaType,
-      title: mediaItem.title || mediaItem.name,
-      poster_path: mediaItem.poster_path,
-      vote_average: mediaItem.vote_average,
-      release_date: mediaItem.release_date || null,
-      first_air_date: mediaItem.first_air_date || null,
-      added_at: new Date().toISOString(),
-    });
+function selectSuggestion(item) {
+  if (!item) return;
 
-    if (error) throw error;
-  } catch (error) {
-    console.error("Error adding bookmark to Supabase:", error);
+  const searchInput = document.getElementById("main-search-input");
+  // A response still on its way shouldn't reopen the dropdown
+  suggestionsRequest++;
+  closeSuggestions();
+
+  if (item.kind === "title") {
+    searchInput?.blur();
+    openTitleDetails(item.media, item.media.media_type);
+  } else if (item.kind === "person") {
+    searchInput?.blur();
+    openPersonDetails(item.person.id);
+  } else {
+    if (searchInput) searchInput.value = item.query;
+    performSearch(item.query);
   }
 }
 
-async function removeBookmarkFromSupabase(mediaId) {
-  try {
-    const { error } = await supabase
-      .from("user_bookmarks")
-      .delete()
-      .eq("user_id", currentUser.id)
-      .eq("media_id", mediaId);
+// ===================================
+// SEARCH RESULTS
+// ===================================
+// #/search?q=dune&type=movie&year=2021&rating=7. Each tab pages through its
+// own TMDB search endpoint. Year is sent to TMDB where the endpoint supports
+// it; the rating filter (and the year on the All tab) is applied per page.
+
+const SEARCH_TYPES = {
+  all: { endpoint: "/search/multi", label: "results" },
+  movie: { endpoint: "/search/movie", label: "movies", mediaType: "movie", yearParam: "primary_release_year" },
+  tv: { endpoint: "/search/tv", label: "TV shows", mediaType: "tv", yearParam: "first_air_date_year" },
+  person: { endpoint: "/search/person", label: "people", mediaType: "person" }
+};
+const SEARCH_RATINGS = ["5", "6", "7", "8"];
+
+let lastRecordedSearch = null;
+// Bumped per search so slow tab counts can't land on a newer search
+let searchCountsRequest = 0;
+
+function readSearchFilters(params = {}) {
+  const filters = {};
+  if (SEARCH_TYPES[params.type] && params.type !== "all") filters.type = params.type;
+  if (/^\d{4}$/.test(params.year || "")) filters.year = params.year;
+  if (SEARCH_RATINGS.includes(params.rating)) filters.rating = params.rating;
+  return filters;
+}
 
-    if (error) throw error;
-  } catch (error) {
-    console.error("Error removing bookmark from Supabase:", error);
-  }
+// Merges a change into the current search's filters; empty values clear
+function updateSearchFilters(changes) {
+  const route = parseRoute(location.hash);
+  if (route.name !== "search" || !route.query) return;
+
+  const filters = readSearchFilters({ ...readSearchFilters(route.params), ...changes });
+  navigate(buildSearchHash(route.query, filters), { replace: true });
+}
+
+function getSearchParams(query, filters, type = filters.type || "all") {
+  const { yearParam } = SEARCH_TYPES[type];
+  return {
+    query,
+    page: 1,
+    ...(yearParam && filters.year ? { [yearParam]: filters.year } : {})
+  };
 }
 
-async function performSearch(query) {
+function matchesSearchFilters(item, filters) {
+  if (!filters.year && !filters.rating) return true;
+  // People have no year or rating, so any filter leaves them out
+  if (item.media_type === "person") return false;
+
+  const year = (item.release_date || item.first_air_date || "").split("-")[0];
+  if (filters.year && year !== filters.year) return false;
+  if (filters.rating && (item.vote_average || 0) < parseInt(filters.rating, 10)) return false;
+  return true;
+}
+
+async function fetchSearchPage(query, filters, page) {
+  const { endpoint, mediaType } = SEARCH_TYPES[filters.type || "all"];
+  const data = await tmdb.get(endpoint, { ...getSearchParams(query, filters), page });
+
+  const results = data.results
+    .map((item) => ({ ...item, media_type: mediaType || item.media_type }))
+    .filter((item) => !item.adult && ["movie", "tv", "person"].includes(item.media_type))
+    .filter((item) => matchesSearchFilters(item, filters));
+
+  return { ...data, results };
+}
+
+async function performSearch(query, { fromRouter = false, filters = {} } = {}) {
   if (!query.trim()) {
-    showHomeSection();
+    if (!fromRouter) navigate("#/home");
     return;
   }
 
   try {
     showLoadingForSection("search");
-    
-    const response = await fetchWithTimeout(
-      `https://api.themoviedb.org/3/search/multi?query=${encodeURIComponent(query)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
-
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    const results = data.results.filter(
-      (item) => !item.adult && (item.media_type === "movie" || item.media_type === "tv") && item.poster_path
-    );
 
-    if (currentUser) {
+    // Switching tabs or filters is the same search, so it's only recorded once
+    if (appState.user && query !== lastRecordedSearch) {
+      lastRecordedSearch = query;
       recordSearchHistory(query);
     }
 
     document.querySelectorAll(".content-section").forEach((s) => s.classList.remove("active"));
     document.getElementById("search-section")?.classList.add("active");
-    renderMediaCards(results, "search-grid");
-    
+    document.querySelectorAll(".nav-link").forEach((l) => l.classList.remove("active"));
+
+    const heading = document.getElementById("search-heading");
+    if (heading) heading.textContent = `Results for "${query}"`;
+    syncSearchControls(filters);
+    updateSearchCounts(query, filters);
+
+    if (!fromRouter) {
+      syncSearchRoute(query, filters);
+    }
+
+    // Filtered pages can come back empty while later ones still match, so
+    // "no results" waits until every page has been looked at
+    await startPaginatedGrid("search-grid", (page) => fetchSearchPage(query, filters, page), {
+      onEmpty: () => renderSearchEmptyState(query, filters)
+    });
+
     setTimeout(() => {
       const searchSection = document.getElementById("search-section");
       if (searchSection) {
         const headerHeight = document.querySelector('.main-header')?.offsetHeight || 80;
         const targetPosition = searchSection.offsetTop - headerHeight - 20;
-        
+
         window.scrollTo({
           top: targetPosition,
           behavior: 'smooth'
         });
       }
     }, 100);
-    
+
   } catch (error) {
     console.error("Error searching:", error);
-    showNotification("Error performing search", "error");
+    handleTMDBError(error, "Error performing search");
   } finally {
     hideLoadingForSection("search");
   }
 }
 
-async function recordSearchHistory(query) {
-  try {
-    const { error } = await supabase.from("user_search_history").insert({
-      user_id: currentUser.id,
-      query: query,
-      searched_at: new Date().toISOString(),
-    });
+function syncSearchControls(filters) {
+  const type = filters.type || "all";
 
-    if (error) throw error;
-  } catch (error) {
-    console.error("Error recording search history:", error);
+  document.querySelectorAll("#search-tabs .search-tab").forEach((tab) => {
+    const active = tab.dataset.type === type;
+    tab.classList.toggle("active", active);
+    tab.setAttribute("aria-selected", String(active));
+  });
+
+  const form = document.getElementById("search-filters");
+  if (form) {
+    form.elements.year.value = filters.year || "";
+    form.elements.rating.value = filters.rating || "";
+    // Year and rating don't apply to people
+    form.elements.year.disabled = type === "person";
+    form.elements.rating.disabled = type === "person";
+  }
+}
+
+// Uses page 1 of every tab, which is also what opening that tab fetches first.
+// TMDB can't filter search by rating, so its totals would overstate what's
+// shown; the counts are left off while a rating is set.
+async function updateSearchCounts(query, filters) {
+  const request = ++searchCountsRequest;
+  document.querySelectorAll("#search-tabs .tab-count").forEach((count) => {
+    count.textContent = "";
+  });
+  if (filters.rating) return;
+
+  const types = ["movie", "tv", "person"];
+  const totals = await Promise.all(types.map((type) =>
+    tmdb.get(SEARCH_TYPES[type].endpoint, getSearchParams(query, filters, type))
+      .then((data) => data.total_results || 0)
+      .catch(() => null)
+  ));
+  if (request !== searchCountsRequest) return;
+
+  const counts = Object.fromEntries(types.map((type, index) => [type, totals[index]]));
+  const filtered = filters.year || filters.rating;
+  counts.all = (counts.movie || 0) + (counts.tv || 0) + (filtered ? 0 : counts.person || 0);
+
+  document.querySelectorAll("#search-tabs .search-tab").forEach((tab) => {
+    const count = counts[tab.dataset.type];
+    const badge = tab.querySelector(".tab-count");
+    if (badge) badge.textContent = count === null ? "" : count.toLocaleString();
+  });
+}
+
+function renderSearchEmptyState(query, filters) {
+  const grid = document.getElementById("search-grid");
+  if (!grid) return;
+
+  const type = filters.type || "all";
+  const filtered = Boolean(filters.year || filters.rating);
+
+  grid.innerHTML = `
+    <div class="no-content search-empty">
+      <i class="fas fa-search"></i>
+      <p>No ${SEARCH_TYPES[type].label} found for "${escapeHTML(query)}"${filtered ? ' with these filters' : ''}.</p>
+      <div class="search-empty-actions">
+        ${filters.year ? `<button class="genre-btn" data-clear="year">Any year</button>` : ''}
+        ${filters.rating ? `<button class="genre-btn" data-clear="rating">Any rating</button>` : ''}
+        ${type !== "all" ? `<button class="genre-btn" data-clear="type">Search everything</button>` : ''}
+      </div>
+      <div class="search-spelling" id="search-spelling" hidden></div>
+    </div>
+  `;
+
+  grid.querySelectorAll("[data-clear]").forEach((button) => {
+    button.addEventListener("click", () => updateSearchFilters({ [button.dataset.clear]: "" }));
+  });
+
+  // With filters set, those are the likelier reason nothing matched
+  if (!filtered) {
+    showSpellingSuggestions(query, filters);
   }
 }
 
-async function recordWatchHistory(mediaItem, season = null, episode = null, duration = 0) {
+async function showSpellingSuggestions(query, filters) {
+  let suggestions;
   try {
-    const { error } = await supabase.from("user_watch_history").insert({
-      user_id: currentUser.id,
-      media_id: mediaItem.id,
-      media_type: mediaItem.media_type,
-      title: mediaItem.title || mediaItem.name,
-      season: season,
-      episode: episode,
-      duration: duration,
-      watched_at: new Date().toISOString(),
+    suggestions = await findSpellingSuggestions(query);
+  } catch (error) {
+    console.error("Error finding spelling suggestions:", error);
+    return;
+  }
+
+  const container = document.getElementById("search-spelling");
+  if (!container || parseRoute(location.hash).query !== query || suggestions.length === 0) return;
+
+  container.hidden = false;
+  container.innerHTML = `
+    <span>Did you mean</span>
+    ${suggestions.map((suggestion) => `<button class="search-spelling-btn">${suggestion}</button>`).join("")}
+  `;
+
+  container.querySelectorAll(".search-spelling-btn").forEach((button) => {
+    button.addEventListener("click", () => {
+      const searchInput = document.getElementById("main-search-input");
+      if (searchInput) searchInput.value = button.textContent;
+      navigate(buildSearchHash(button.textContent, filters));
     });
+  });
+}
 
-    if (error) throw error;
-  } catch (error) {
-    console.error("Error recording watch history:", error);
+// TMDB has no "did you mean", so search for the start of the first word
+// and keep the titles and names closest to what was typed
+async function findSpellingSuggestions(query) {
+  const typed = normalizeSearchText(query);
+  const firstWord = typed.split(" ")[0] || "";
+  if (firstWord.length < 3) return [];
+
+  const prefix = firstWord.slice(0, Math.max(3, Math.ceil(firstWord.length / 2)));
+  const data = await tmdb.get("/search/multi", { query: prefix });
+  const maxDistance = Math.max(2, Math.floor(typed.length / 4));
+
+  const candidates = new Map();
+  data.results.forEach((item) => {
+    const name = item.title || item.name;
+    if (!name || item.adult) return;
+
+    const normalized = normalizeSearchText(name);
+    const distance = Math.min(
+      levenshteinDistance(typed, normalized),
+      levenshteinDistance(typed, normalized.replace(/^the /, ""))
+    );
+    if (distance > 0 && distance <= maxDistance && !candidates.has(normalized)) {
+      candidates.set(normalized, { name, distance, popularity: item.popularity || 0 });
+    }
+  });
+
+  return [...candidates.values()]
+    .sort((a, b) => a.distance - b.distance || b.popularity - a.popularity)
+    .slice(0, 3)
+    .map((candidate) => candidate.name);
+}
+
+function normalizeSearchText(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function recordSearchHistory(query) {
+  rememberRecentSearch(query);
+  return writeQueue.enqueue({
+    table: "user_search_history",
+    action: "insert",
+    values: {
+      user_id: appState.user.id,
+      query: query,
+      searched_at: new Date().toISOString(),
+    }
+  });
+}
+
+function recordWatchHistory(mediaItem, season = null, episode = null, duration = 0) {
+  const values = {
+    user_id: appState.user.id,
+    media_id: mediaItem.id,
+    media_type: mediaItem.media_type,
+    title: mediaItem.title || mediaItem.name,
+    season: season,
+    episode: episode,
+    duration: duration,
+    watched_at: new Date().toISOString(),
+  };
+
+  sessionWatchHistory.unshift(values);
+  return writeQueue.enqueue({
+    table: "user_watch_history",
+    action: "insert",
+    values
+  });
+}
+
+// ===================================
+// OFFLINE WRITE QUEUE
+// ===================================
+
+// Turns a queued write description into the actual Supabase call
+async function runQueuedWrite({ table, action, values, match = {}, options, ignoreDuplicate = false }) {
+  let query = supabase.from(table);
+
+  query = action === "delete" ? query.delete() : query[action](values, options);
+
+  // Deletes and updates are scoped by `match`; inserts and upserts leave it empty
+  Object.entries(match).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+
+  const { error, status } = await query;
+
+  // unique_violation: the row is already there (double click, another tab,
+  // or a replay of a write whose response got lost), which is what we wanted
+  if (error && ignoreDuplicate && error.code === "23505") return;
+
+  if (error) throw Object.assign(error, { status });
+}
+
+// Network failures come back from supabase-js with status 0
+function isRetryableWriteError(error) {
+  if (!navigator.onLine) return true;
+  const status = error?.status || 0;
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+function setupWriteQueueSync() {
+  window.addEventListener("online", () => writeQueue.flush());
+  window.addEventListener("offline", () => renderSyncIndicator(appState.sync));
+  appStore.subscribe("sync", renderSyncIndicator);
+
+  // Another tab may have changed the list. Only take the server's copy when
+  // nothing local is still waiting to be written, or it would undo our edits.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState !== "visible") return;
+    if (appState.user && navigator.onLine && writeQueue.pending === 0) {
+      loadBookmarksFromSupabase();
+    }
+  });
+}
+
+function renderSyncIndicator({ pending, syncing }) {
+  const indicator = document.getElementById("sync-indicator");
+  if (!indicator) return;
+
+  indicator.hidden = pending === 0;
+  if (pending === 0) return;
+
+  const offline = !navigator.onLine;
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  indicator.classList.toggle("offline", offline);
+  if (syncing && !offline) {
+    indicator.innerHTML = '<i class="fas fa-sync-alt fa-spin"></i> Syncing';
+    indicator.title = `Saving ${changes}`;
+  } else {
+    indicator.innerHTML = `<i class="fas fa-cloud-upload-alt"></i> ${pending}`;
+    indicator.title = offline
+      ? `You're offline. ${changes} will sync when you reconnect.`
+      : `${changes} waiting to sync`;
   }
 }
 
 // FIXED: Centralized approval check in openPlayer
-function openPlayer(mediaItem) {
-  if (!currentUser) {
+function openPlayer(mediaItem, { fromRouter = false } = {}) {
+  if (!appState.user) {
     showNotification("Please log in to stream content", "error");
     return;
   }
 
   // FIXED: Immediate approval check with clear feedback
-  if (!isUserApproved) {
+  if (!appState.approved) {
     showNotification("Premium access required to watch content. Please subscribe to continue.", "error");
     openPaymentModal();
     return;
   }
 
-  currentMediaType = mediaItem.media_type;
-  currentMediaId = mediaItem.id;
-  currentMediaTitle = mediaItem.title || mediaItem.name;
-  currentMediaData = mediaItem;
+  appStore.set("playback", {
+    mediaType: mediaItem.media_type,
+    mediaId: mediaItem.id,
+    title: mediaItem.title || mediaItem.name,
+    media: mediaItem,
+    season: mediaItem.media_type === "tv" ? mediaItem.resumeSeason || 1 : 1,
+    episode: mediaItem.media_type === "tv" ? mediaItem.resumeEpisode || 1 : 1
+  });
 
-  document.getElementById("player-title").textContent = currentMediaTitle;
+  document.getElementById("player-title").textContent = appState.playback.title;
   document.getElementById("player-description").textContent = mediaItem.overview || "No description available";
 
   const ratingValue = document.getElementById("player-rating-value");
@@ -2126,18 +7728,16 @@ function openPlayer(mediaItem) {
   }
 
   if (playerType) {
-    playerType.textContent = currentMediaType === "tv" ? "TV Show" : "Movie";
+    playerType.textContent = appState.playback.mediaType === "tv" ? "TV Show" : "Movie";
   }
 
   const tvControls = document.getElementById("tv-controls");
   if (tvControls) {
-    tvControls.style.display = currentMediaType === "tv" ? "flex" : "none";
+    tvControls.style.display = appState.playback.mediaType === "tv" ? "flex" : "none";
   }
 
-  if (currentMediaType === "tv") {
-    currentSeason = mediaItem.resumeSeason || 1;
-    currentEpisode = mediaItem.resumeEpisode || 1;
-    loadSeasons(currentMediaId);
+  if (appState.playback.mediaType === "tv") {
+    loadSeasons(appState.playback.mediaId);
   }
 
   buildEmbedSources();
@@ -2158,49 +7758,66 @@ function openPlayer(mediaItem) {
       playerModal.classList.add("opened");
     }, 50);
   }
+
+  playerActive = true;
+  if (!fromRouter) {
+    pushPlayerRoute();
+  }
+
+  updatePlayerCollectionLink(mediaItem);
 }
 
 function trackPlayerProgress() {
-  if (!currentUser || !currentMediaData) return;
+  if (!appState.user || !appState.playback.media) return;
   
   const iframe = domCache.elements['video-frame'];
   if (!iframe || !iframe.src) return;
   
   const currentTime = watchStartTime ? (new Date() - watchStartTime) / 1000 : 0;
-  const estimatedDuration = currentMediaType === 'movie' ? 7200 : 2700;
+  const estimatedDuration = appState.playback.mediaType === 'movie' ? 7200 : 2700;
   
   if (currentTime > 60) {
-    updateWatchProgress(currentMediaData, currentTime, estimatedDuration);
+    updateWatchProgress(appState.playback.media, currentTime, estimatedDuration);
   }
 }
 
-function closePlayer() {
-  if (watchStartTime && currentUser && currentMediaData) {
+function closePlayer({ fromRouter = false } = {}) {
+  let watchRecorded = false;
+
+  if (watchStartTime && appState.user && appState.playback.media) {
     const watchEndTime = new Date();
     const watchDuration = (watchEndTime - watchStartTime) / 1000;
     
     if (watchDuration > 30) {
       const mediaItem = {
-        id: currentMediaId,
-        media_type: currentMediaType,
-        title: currentMediaTitle,
+        id: appState.playback.mediaId,
+        media_type: appState.playback.mediaType,
+        title: appState.playback.title,
       };
       recordWatchHistory(
         mediaItem,
-        currentMediaType === 'tv' ? currentSeason : null,
-        currentMediaType === 'tv' ? currentEpisode : null,
+        appState.playback.mediaType === 'tv' ? appState.playback.season : null,
+        appState.playback.mediaType === 'tv' ? appState.playback.episode : null,
         watchDuration
       );
+      watchRecorded = true;
       
-      const estimatedDuration = currentMediaType === 'movie' ? 7200 : 2700;
-      updateWatchProgress(currentMediaData, watchDuration, estimatedDuration);
+      const estimatedDuration = appState.playback.mediaType === 'movie' ? 7200 : 2700;
+      updateWatchProgress(appState.playback.media, watchDuration, estimatedDuration);
       
       // Update watch time stats and check badges
-      updateWatchTimeStats(currentMediaType, watchDuration, currentMediaData.genre_ids);
+      updateWatchTimeStats(appState.playback.mediaType, watchDuration, appState.playback.media.genre_ids);
     }
   }
 
   cleanupPlayer();
+
+  playerActive = false;
+  if (fromRouter) {
+    playerHistoryPushed = false;
+  } else {
+    leavePlayerRoute();
+  }
   
   const playerModal = domCache.elements['player-modal'];
   if (playerModal) {
@@ -2212,7 +7829,10 @@ function closePlayer() {
   }
   
   if (document.getElementById('home-section')?.classList.contains('active')) {
-    loadContinueWatching().then(() => renderContinueWatching());
+    loadContinueWatching();
+    if (watchRecorded) {
+      loadBecauseYouWatched();
+    }
   }
 }
 
@@ -2227,28 +7847,29 @@ function cleanupPlayer() {
     iframe.src = 'about:blank';
   }
   
-  if (currentMediaType === 'tv') {
-    currentSeason = 1;
-    currentEpisode = 1;
+  if (appState.playback.mediaType === 'tv') {
+    appStore.patch("playback", { season: 1, episode: 1 });
   }
   
   watchStartTime = null;
 }
 
 function buildEmbedSources() {
-  if (currentMediaType === "movie") {
+  const { mediaType, mediaId, season, episode } = appState.playback;
+
+  if (mediaType === "movie") {
     embedSources = [
-      { name: "Source 1", url: `https://111movies.com/movie/${currentMediaId}` },
-      { name: "Source 2", url: `https://player.videasy.net/movie/${currentMediaId}` },
-      { name: "Source 3", url: `https://vidsrc.xyz/embed/movie/${currentMediaId}` },
-      { name: "Source 4", url: `https://vidsrc.me/embed/movie/${currentMediaId}` },
+      { name: "Source 1", url: `https://111movies.com/movie/${mediaId}` },
+      { name: "Source 2", url: `https://player.videasy.net/movie/${mediaId}` },
+      { name: "Source 3", url: `https://vidsrc.xyz/embed/movie/${mediaId}` },
+      { name: "Source 4", url: `https://vidsrc.me/embed/movie/${mediaId}` },
     ];
-  } else if (currentMediaType === "tv") {
+  } else if (mediaType === "tv") {
     embedSources = [
-      { name: "Source 1", url: `https://111movies.com/tv/${currentMediaId}/${currentSeason}/${currentEpisode}` },
-      { name: "Source 2", url: `https://player.videasy.net/tv/${currentMediaId}/${currentSeason}/${currentEpisode}` },
-      { name: "Source 3", url: `https://vidsrc.xyz/embed/tv/${currentMediaId}/${currentSeason}/${currentEpisode}` },
-      { name: "Source 4", url: `https://vidsrc.me/embed/tv/${currentMediaId}/${currentSeason}/${currentEpisode}` },
+      { name: "Source 1", url: `https://111movies.com/tv/${mediaId}/${season}/${episode}` },
+      { name: "Source 2", url: `https://player.videasy.net/tv/${mediaId}/${season}/${episode}` },
+      { name: "Source 3", url: `https://vidsrc.xyz/embed/tv/${mediaId}/${season}/${episode}` },
+      { name: "Source 4", url: `https://vidsrc.me/embed/tv/${mediaId}/${season}/${episode}` },
     ];
   }
 }
@@ -2355,19 +7976,7 @@ function hideVideoLoadingState() {
 
 async function loadSeasons(showId) {
   try {
-    const response = await fetchWithTimeout(
-      `https://api.themoviedb.org/3/tv/${showId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
-
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const data = await tmdb.get(`/tv/${showId}`, {}, { ttl: TMDB_TTL.long });
     const seasons = data.seasons.filter((season) => season.season_number > 0);
 
     const seasonSelect = document.getElementById("season-select");
@@ -2379,44 +7988,35 @@ async function loadSeasons(showId) {
       const option = document.createElement("option");
       option.value = season.season_number;
       option.textContent = `Season ${season.season_number}`;
-      if (season.season_number === currentSeason) {
+      if (season.season_number === appState.playback.season) {
         option.selected = true;
       }
       seasonSelect.appendChild(option);
     });
 
     seasonSelect.addEventListener("change", debounce((e) => {
-      currentSeason = parseInt(e.target.value);
-      currentEpisode = 1;
+      appStore.patch("playback", { season: parseInt(e.target.value), episode: 1 });
       reloadTVContent();
     }, 300));
 
-    await loadEpisodes(showId, currentSeason);
+    await loadEpisodes(showId, appState.playback.season);
   } catch (error) {
     console.error("Error loading seasons:", error);
-    showNotification("Error loading seasons", "error");
+    handleTMDBError(error, "Error loading seasons");
   }
 }
 
 async function loadEpisodes(showId, seasonNumber) {
   try {
-    const response = await fetchWithTimeout(
-      `https://api.themoviedb.org/3/tv/${showId}/season/${seasonNumber}`,
-      {
-        headers: {
-          Authorization: `Bearer ${TMDB_TOKEN}`,
-          "Content-Type": "application/json;charset=utf-8",
-        },
-      }
-    );
-
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
+    const data = await tmdb.get(`/tv/${showId}/season/${seasonNumber}`, {}, { ttl: TMDB_TTL.long });
     renderEpisodeCards(data.episodes);
   } catch (error) {
     console.error("Error loading episodes:", error);
-    showNotification("Error loading episodes", "error");
+    if (error instanceof TMDBNotFoundError) {
+      renderEpisodeCards([]);
+      return;
+    }
+    handleTMDBError(error, "Error loading episodes");
   }
 }
 
@@ -2435,7 +8035,7 @@ function renderEpisodeCards(episodes) {
 
   episodes.forEach((episode, index) => {
     const episodeCard = document.createElement("div");
-    episodeCard.className = `episode-card hover-glow ${episode.episode_number === currentEpisode ? "active" : ""}`;
+    episodeCard.className = `episode-card hover-glow ${episode.episode_number === appState.playback.episode ? "active" : ""}`;
     episodeCard.style.animationDelay = `${index * 50}ms`;
     
     episodeCard.innerHTML = `
@@ -2452,7 +8052,7 @@ function renderEpisodeCards(episodes) {
     episodeCard.addEventListener("click", debounce(() => {
       document.querySelectorAll(".episode-card").forEach((card) => card.classList.remove("active"));
       episodeCard.classList.add("active");
-      currentEpisode = episode.episode_number;
+      appStore.patch("playback", { episode: episode.episode_number });
       reloadTVContent();
     }, 300));
 
@@ -2470,6 +8070,7 @@ function reloadTVContent() {
   populateSourceButtons();
   loadSource(0);
   watchStartTime = new Date();
+  replacePlayerRoute();
 }
 
 function showNotification(message, type = "success") {
@@ -2555,10 +8156,7 @@ window.addEventListener('beforeunload', () => {
 window.NekoFlix = {
   closePlayer,
   showNotification,
-  toggleBookmark: (mediaItem, mediaType) => {
-    const dummyButton = document.createElement('button');
-    toggleBookmark(mediaItem, mediaType, dummyButton);
-  }
+  toggleBookmark
 };
 
 // Mobile menu toggle functionality
@@ -2589,16 +8187,15 @@ if (mobileMenuToggle && mobileNavOverlay && mainNav) {
         icon.className = 'fas fa-bars';
     });
     
-    // Close menu when clicking a nav link
-    document.querySelectorAll('.main-nav .nav-link').forEach(link => {
-        link.addEventListener('click', () => {
-            if (window.innerWidth <= 768) {
-                mainNav.classList.remove('active');
-                mobileNavOverlay.classList.remove('active');
-                const icon = mobileMenuToggle.querySelector('i');
-                icon.className = 'fas fa-bars';
-            }
-        });
+    // Close menu when clicking a nav link (delegated, the regional links
+    // are added after this runs)
+    mainNav.addEventListener('click', (e) => {
+        if (e.target.closest('.nav-link') && window.innerWidth <= 768) {
+            mainNav.classList.remove('active');
+            mobileNavOverlay.classList.remove('active');
+            const icon = mobileMenuToggle.querySelector('i');
+            icon.className = 'fas fa-bars';
+        }
     });
 }
 
@@ -2621,11 +8218,7 @@ function setupAboutSection() {
       document.body.classList.remove('about-page-active');
       
       // Navigate to home
-      document.querySelectorAll(".content-section").forEach((s) => s.classList.remove("active"));
-      document.getElementById("home-section")?.classList.add("active");
-      
-      document.querySelectorAll(".nav-link").forEach((l) => l.classList.remove("active"));
-      document.querySelector('[data-section="home"]')?.classList.add("active");
+      navigate("#/home");
     });
   }
   
@@ -2786,14 +8379,14 @@ function showHeartAnimation() {
 // ===================================
 
 async function loadUserProfile() {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   try {
     // Get or create profile
     let { data: profile, error } = await supabase
       .from('user_profiles')
       .select('*')
-      .eq('user_id', currentUser.id)
+      .eq('user_id', appState.user.id)
       .single();
 
     if (error && error.code === 'PGRST116') {
@@ -2801,8 +8394,8 @@ async function loadUserProfile() {
       const { data: newProfile, error: insertError } = await supabase
         .from('user_profiles')
         .insert({
-          user_id: currentUser.id,
-          display_name: currentUser.email.split('@')[0],
+          user_id: appState.user.id,
+          display_name: appState.user.email.split('@')[0],
           created_at: new Date().toISOString()
         })
         .select()
@@ -2865,7 +8458,7 @@ function populateProfileUI(profile) {
   // Settings tab
   const settingsEmail = document.getElementById('settings-email');
   if (settingsEmail) {
-    settingsEmail.textContent = currentUser.email;
+    settingsEmail.textContent = appState.user.email;
   }
   
   const settingsMemberSince = document.getElementById('settings-member-since');
@@ -2880,31 +8473,32 @@ function populateProfileUI(profile) {
   
   const settingsStatus = document.getElementById('settings-subscription-status');
   if (settingsStatus) {
-    const statusText = isUserApproved ? 'Active' : 'Payment Required';
-    const statusClass = isUserApproved ? 'active' : 'pending';
+    const statusText = appState.approved ? 'Active' : 'Payment Required';
+    const statusClass = appState.approved ? 'active' : 'pending';
     settingsStatus.textContent = statusText;
     settingsStatus.className = `subscription-status ${statusClass}`;
   }
 }
 
 async function loadUserStats() {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   try {
     // Get profile stats
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
       .select('*')
-      .eq('user_id', currentUser.id)
+      .eq('user_id', appState.user.id)
       .single();
     
     if (profileError) throw profileError;
     
     // Get bookmark count
     const { count: bookmarkCount, error: bookmarkError } = await supabase
-      .from('user_bookmarks')
+      .from('user_list_items')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id)
+      .eq('list_id', DEFAULT_LIST_ID);
     
     if (bookmarkError) throw bookmarkError;
     
@@ -2912,7 +8506,7 @@ async function loadUserStats() {
     const { count: badgeCount, error: badgeError } = await supabase
       .from('user_badges')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id);
     
     if (badgeError) throw badgeError;
     
@@ -2934,7 +8528,7 @@ async function loadUserStats() {
 }
 
 async function loadUserBadges() {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   try {
     // Get all badge definitions
@@ -2949,7 +8543,7 @@ async function loadUserBadges() {
     const { data: earnedBadges, error: earnedError } = await supabase
       .from('user_badges')
       .select('*')
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id);
     
     if (earnedError) throw earnedError;
     
@@ -2957,15 +8551,16 @@ async function loadUserBadges() {
     const { data: profile, error: profileError } = await supabase
       .from('user_profiles')
       .select('*')
-      .eq('user_id', currentUser.id)
+      .eq('user_id', appState.user.id)
       .single();
     
     if (profileError) throw profileError;
     
     const { count: bookmarkCount } = await supabase
-      .from('user_bookmarks')
+      .from('user_list_items')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id)
+      .eq('list_id', DEFAULT_LIST_ID);
     
     // Render badges
     const badgesGrid = document.getElementById('badges-grid');
@@ -3118,7 +8713,7 @@ function hexToRgb(hex) {
 }
 
 async function updateLoginStreak(profile) {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   try {
     const today = new Date().toISOString().split('T')[0];
@@ -3147,7 +8742,7 @@ async function updateLoginStreak(profile) {
           consecutive_days: newStreak,
           last_login_date: today
         })
-        .eq('user_id', currentUser.id);
+        .eq('user_id', appState.user.id);
       
       // Check for badges after streak update
       await checkAndAwardBadges();
@@ -3158,14 +8753,14 @@ async function updateLoginStreak(profile) {
 }
 
 async function updateWatchTimeStats(mediaType, duration, genreIds = []) {
-  if (!currentUser || !duration || duration < 60) return;
+  if (!appState.user || !duration || duration < 60) return;
   
   try {
     // Get current profile
     const { data: profile, error: fetchError } = await supabase
       .from('user_profiles')
       .select('*')
-      .eq('user_id', currentUser.id)
+      .eq('user_id', appState.user.id)
       .single();
     
     if (fetchError) throw fetchError;
@@ -3206,13 +8801,13 @@ async function updateWatchTimeStats(mediaType, duration, genreIds = []) {
     await supabase
       .from('user_profiles')
       .update(updates)
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id);
     
     // Record session
     await supabase
       .from('watch_sessions')
       .insert({
-        user_id: currentUser.id,
+        user_id: appState.user.id,
         session_date: new Date().toISOString(),
         session_hour: currentHour,
         watch_duration: Math.floor(duration),
@@ -3229,11 +8824,11 @@ async function updateWatchTimeStats(mediaType, duration, genreIds = []) {
 }
 
 async function checkAndAwardBadges() {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   try {
     const { error } = await supabase.rpc('check_and_award_badges', {
-      p_user_id: currentUser.id
+      p_user_id: appState.user.id
     });
     
     if (error) throw error;
@@ -3249,7 +8844,7 @@ async function checkAndAwardBadges() {
 }
 
 async function saveUserProfile() {
-  if (!currentUser) return;
+  if (!appState.user) return;
   
   const saveBtn = document.getElementById('save-profile-btn');
   const originalText = saveBtn.innerHTML;
@@ -3282,7 +8877,7 @@ async function saveUserProfile() {
     const { error } = await supabase
       .from('user_profiles')
       .update(updates)
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id);
     
     if (error) throw error;
     
@@ -3298,7 +8893,7 @@ async function saveUserProfile() {
 }
 
 async function uploadAvatar(file) {
-  if (!currentUser || !file) return;
+  if (!appState.user || !file) return;
   
   try {
     const validTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
@@ -3315,7 +8910,7 @@ async function uploadAvatar(file) {
     showNotification('Uploading avatar...', 'warning');
     
     const fileExt = file.name.split('.').pop();
-    const fileName = `${currentUser.id}/avatar.${fileExt}`;
+    const fileName = `${appState.user.id}/avatar.${fileExt}`;
     
     const { error: uploadError } = await supabase.storage
       .from('avatars')
@@ -3332,7 +8927,7 @@ async function uploadAvatar(file) {
     const { error: updateError } = await supabase
       .from('user_profiles')
       .update({ avatar_url: avatarUrl })
-      .eq('user_id', currentUser.id);
+      .eq('user_id', appState.user.id);
     
     if (updateError) throw updateError;
     
@@ -3424,7 +9019,7 @@ function setupProfileSystem() {
   if (changePasswordBtn) {
     changePasswordBtn.addEventListener('click', () => {
       showNotification('Password reset email sent!', 'success');
-      supabase.auth.resetPasswordForEmail(currentUser.email);
+      supabase.auth.resetPasswordForEmail(appState.user.email);
     });
   }
 }
@@ -0,0 +1,256 @@
+// ===================================
+// TMDB CLIENT
+// ===================================
+// One place that owns TMDB auth, default language/region params, in-memory
+// response caching, retries with backoff and de-duplication of identical
+// in-flight requests. Callers get typed errors so they can react properly.
+//
+// With a persistentCache ({ getResponse, putResponse }, see offline-cache.js)
+// every response is also written to disk. Callers that pass onRevalidate get
+// the stored copy straight away while a fresh one is fetched behind it, and
+// any call falls back to the stored copy when the network is unreachable.
+// persist: false keeps a response out of the store, for bulk lookups that
+// would otherwise push the rows and hero the store is there for out of it.
+
+const TMDB_BASE_URL = "https://api.themoviedb.org/3";
+
+export class TMDBError extends Error {
+  constructor(message, { status = 0, path = "" } = {}) {
+    super(message);
+    this.name = "TMDBError";
+    this.status = status;
+    this.path = path;
+  }
+}
+
+export class TMDBAuthError extends TMDBError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TMDBAuthError";
+  }
+}
+
+export class TMDBRateLimitError extends TMDBError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "TMDBRateLimitError";
+    this.retryAfter = details.retryAfter || 0;
+  }
+}
+
+export class TMDBNotFoundError extends TMDBError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TMDBNotFoundError";
+  }
+}
+
+export class TMDBTimeoutError extends TMDBError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TMDBTimeoutError";
+  }
+}
+
+// Cache lifetimes in milliseconds, picked per call site
+export const TMDB_TTL = {
+  short: 5 * 60 * 1000,
+  medium: 30 * 60 * 1000,
+  long: 6 * 60 * 60 * 1000
+};
+
+export function createTMDBClient({
+  token,
+  language = "en-US",
+  region = null,
+  timeout = 10000,
+  retries = 2,
+  retryDelay = 500,
+  maxRetryDelay = 10000,
+  defaultTtl = TMDB_TTL.short,
+  maxCacheEntries = 200,
+  persistentCache = null
+} = {}) {
+  const cache = new Map();
+  const inflight = new Map();
+
+  function buildUrl(path, params = {}) {
+    const url = new URL(TMDB_BASE_URL + (path.startsWith("/") ? path : `/${path}`));
+    const merged = { language, ...params };
+    if (region && !("region" in params)) {
+      merged.region = region;
+    }
+
+    Object.keys(merged)
+      .sort()
+      .forEach((key) => {
+        const value = merged[key];
+        if (value !== undefined && value !== null && value !== "") {
+          url.searchParams.set(key, value);
+        }
+      });
+
+    return url.toString();
+  }
+
+  function readCache(key) {
+    const entry = cache.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      cache.delete(key);
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  function writeCache(key, data, ttl) {
+    if (ttl <= 0) return;
+    cache.delete(key);
+    cache.set(key, { data, expires: Date.now() + ttl });
+
+    // Map keeps insertion order, so the first key is the oldest entry
+    while (cache.size > maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function fetchOnce(url, path) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json;charset=utf-8",
+        },
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new TMDBTimeoutError(`TMDB request timed out after ${timeout}ms`, { path });
+      }
+      throw new TMDBError(error.message || "Network error", { path });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const details = { status: response.status, path };
+
+    if (response.status === 401 || response.status === 403) {
+      throw new TMDBAuthError("TMDB rejected the API token", details);
+    }
+
+    if (response.status === 404) {
+      throw new TMDBNotFoundError(`TMDB resource not found: ${path}`, details);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get("Retry-After"), 10);
+      throw new TMDBRateLimitError("TMDB rate limit reached", {
+        ...details,
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : 0
+      });
+    }
+
+    throw new TMDBError(`HTTP ${response.status}`, details);
+  }
+
+  function isRetryable(error) {
+    if (error instanceof TMDBAuthError || error instanceof TMDBNotFoundError) {
+      return false;
+    }
+    // Network failures (status 0), timeouts, rate limits and 5xx are worth another try
+    return error.status === 0 || error.status === 429 || error.status >= 500;
+  }
+
+  async function fetchWithRetries(url, path) {
+    let attempt = 0;
+
+    while (true) {
+      try {
+        return await fetchOnce(url, path);
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) {
+          throw error;
+        }
+
+        // Retry-After comes from the server, so a huge value mustn't stall the caller
+        const backoff = Math.min(
+          error instanceof TMDBRateLimitError && error.retryAfter
+            ? error.retryAfter * 1000
+            : retryDelay * 2 ** attempt + Math.random() * 100,
+          maxRetryDelay
+        );
+
+        attempt++;
+        await new Promise((resolve) => setTimeout(resolve, backoff));
+      }
+    }
+  }
+
+  function request(url, path, ttl, persist = true) {
+    if (inflight.has(url)) {
+      return inflight.get(url);
+    }
+
+    const pending = fetchWithRetries(url, path)
+      .then((data) => {
+        writeCache(url, data, ttl);
+        if (persist) persistentCache?.putResponse(url, data);
+        return data;
+      })
+      .catch(async (error) => {
+        // Offline or TMDB down: an old answer beats an empty row
+        if (persistentCache && isRetryable(error)) {
+          const persisted = await persistentCache.getResponse(url);
+          if (persisted) return persisted.data;
+        }
+        throw error;
+      })
+      .finally(() => {
+        inflight.delete(url);
+      });
+
+    inflight.set(url, pending);
+    return pending;
+  }
+
+  async function get(path, params = {}, { ttl = defaultTtl, force = false, onRevalidate = null, persist = true } = {}) {
+    const url = buildUrl(path, params);
+
+    if (!force) {
+      const cached = readCache(url);
+      if (cached !== undefined) return cached;
+    }
+
+    if (persistentCache && onRevalidate && !force) {
+      const persisted = await persistentCache.getResponse(url);
+      if (persisted) {
+        request(url, path, ttl)
+          .then((fresh) => {
+            if (JSON.stringify(fresh) !== JSON.stringify(persisted.data)) {
+              onRevalidate(fresh);
+            }
+          })
+          .catch((error) => {
+            console.warn(`Background refresh failed for ${path}:`, error);
+          });
+        return persisted.data;
+      }
+    }
+
+    return request(url, path, ttl, persist);
+  }
+
+  function clearCache() {
+    cache.clear();
+  }
+
+  return { get, buildUrl, clearCache };
+}
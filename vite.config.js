@@ -1,7 +1,33 @@
 import { defineConfig } from 'vite';
+import { readFileSync, readdirSync } from 'node:fs';
+
+// Builds service-worker.js with this build's hashed file names filled in,
+// so the worker precaches exactly what was just deployed
+function serviceWorker() {
+  return {
+    name: 'onlybinge-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const publicFiles = readdirSync(new URL('./public', import.meta.url));
+      const precache = [
+        '/',
+        ...Object.keys(bundle).filter((file) => !file.endsWith('.map')),
+        ...publicFiles
+      ].map((file) => (file.startsWith('/') ? file : `/${file}`));
+
+      const source = readFileSync(new URL('./service-worker.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(precache))
+        .replace('self.__BUILD_VERSION', JSON.stringify(Date.now().toString(36)));
+
+      this.emitFile({ type: 'asset', fileName: 'service-worker.js', source });
+    }
+  };
+}
 
 export default defineConfig({
   base: '/',
+  plugins: [serviceWorker()],
   build: {
     outDir: 'dist',
     rollupOptions: {
@@ -10,4 +36,4 @@ export default defineConfig({
       }
     }
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,257 @@
+// ===================================
+// OFFLINE WRITE QUEUE (outbox)
+// ===================================
+// Supabase mutations (bookmarks, watch progress, history) are written to an
+// IndexedDB outbox first and replayed strictly in order, so nothing is lost
+// when the connection drops mid-session or the tab is closed while offline.
+//
+// Each entry is a plain description of the write ({ table, action, values,
+// match, options }) that the app's `execute` callback turns into a real
+// request. Entries may carry a coalescing `key`: a newer entry replaces any
+// pending one with the same key, and with coalesce: "cancel" the two cancel
+// out instead (an add followed by a remove never needs to reach the server).
+//
+// enqueue() resolves with the entry's outcome once it settles in this
+// session: "sent", "coalesced" (superseded before it was sent) or "dropped"
+// (rejected by the server with a non-retryable error). While offline it
+// simply stays pending.
+//
+// Entries belong to whoever getOwner() returned when they were queued, and
+// only the current owner's entries are counted or sent. Writes left behind
+// when someone signs out wait for them to sign in again instead of being
+// replayed under the next person's session.
+
+import { openDatabase, promisifyRequest, promisifyTransaction } from "./offline-cache.js";
+
+const OUTBOX_STORE = "outbox";
+
+export function createWriteQueue({
+  execute,
+  isRetryable = () => true,
+  onChange = () => {},
+  getOwner = () => null,
+  dbName = "onlybinge-outbox",
+  retryDelay = 5000,
+  maxRetryDelay = 5 * 60 * 1000
+} = {}) {
+  let dbPromise = null;
+  // Used instead of IndexedDB when it isn't available (private mode etc.)
+  let memory = null;
+  let memorySeq = 0;
+
+  let flushing = null;
+  let flushAgain = false;
+  let inflightSeq = null;
+  let retryTimer = null;
+  let retryAttempt = 0;
+  let pending = 0;
+  // seq -> resolve() for entries queued in this session
+  const waiters = new Map();
+
+  function getDB() {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, 2, (db, oldVersion, tx) => {
+        const outbox = db.objectStoreNames.contains(OUTBOX_STORE)
+          ? tx.objectStore(OUTBOX_STORE)
+          : db.createObjectStore(OUTBOX_STORE, { keyPath: "seq", autoIncrement: true });
+        if (!outbox.indexNames.contains("key")) outbox.createIndex("key", "key");
+        if (!outbox.indexNames.contains("owner")) outbox.createIndex("owner", "owner");
+      }).catch((error) => {
+        console.warn("Write queue is not persistent:", error);
+        memory = [];
+        return null;
+      });
+    }
+    return dbPromise;
+  }
+
+  function notify() {
+    onChange({ pending, syncing: flushing !== null && pending > 0 });
+  }
+
+  async function countEntries() {
+    const owner = getOwner();
+    const db = await getDB();
+    if (owner == null) {
+      pending = 0;
+    } else if (!db) {
+      pending = memory.filter((e) => e.owner === owner).length;
+    } else {
+      const tx = db.transaction(OUTBOX_STORE, "readonly");
+      pending = await promisifyRequest(tx.objectStore(OUTBOX_STORE).index("owner").count(owner));
+    }
+    notify();
+  }
+
+  function settle(seq, outcome) {
+    const resolve = waiters.get(seq);
+    if (resolve) {
+      waiters.delete(seq);
+      resolve(outcome);
+    }
+  }
+
+  // Returns false when the entry cancelled out against a pending one.
+  // `resolve` is registered before the entry can be seen by a running drain.
+  async function addEntry(entry, resolve) {
+    const db = await getDB();
+
+    if (!db) {
+      const superseded = entry.key
+        ? memory.filter((e) => e.key === entry.key && e.seq !== inflightSeq)
+        : [];
+      memory = memory.filter((e) => !superseded.includes(e));
+      superseded.forEach((e) => settle(e.seq, { status: "coalesced" }));
+
+      if (superseded.length > 0 && entry.coalesce === "cancel") return false;
+
+      const seq = ++memorySeq;
+      waiters.set(seq, resolve);
+      memory.push({ ...entry, seq });
+      return true;
+    }
+
+    const tx = db.transaction(OUTBOX_STORE, "readwrite");
+    const store = tx.objectStore(OUTBOX_STORE);
+
+    // The entry being sent right now can't be taken back, so it's left alone
+    let superseded = [];
+    if (entry.key) {
+      superseded = (await promisifyRequest(store.index("key").getAll(entry.key)))
+        .filter((e) => e.seq !== inflightSeq);
+      superseded.forEach((e) => store.delete(e.seq));
+    }
+
+    const cancelled = superseded.length > 0 && entry.coalesce === "cancel";
+    if (!cancelled) {
+      const addRequest = store.add(entry);
+      addRequest.onsuccess = () => waiters.set(addRequest.result, resolve);
+    }
+
+    await promisifyTransaction(tx);
+    superseded.forEach((e) => settle(e.seq, { status: "coalesced" }));
+    return !cancelled;
+  }
+
+  // The owner index is ordered by seq within each owner, so order is kept
+  async function peekEntry() {
+    const owner = getOwner();
+    if (owner == null) return undefined;
+
+    const db = await getDB();
+    if (!db) return memory.find((e) => e.owner === owner);
+
+    const tx = db.transaction(OUTBOX_STORE, "readonly");
+    const cursor = await promisifyRequest(tx.objectStore(OUTBOX_STORE).index("owner").openCursor(owner));
+    return cursor ? cursor.value : undefined;
+  }
+
+  async function removeEntry(seq) {
+    const db = await getDB();
+    if (!db) {
+      memory = memory.filter((e) => e.seq !== seq);
+      return;
+    }
+
+    const tx = db.transaction(OUTBOX_STORE, "readwrite");
+    tx.objectStore(OUTBOX_STORE).delete(seq);
+    await promisifyTransaction(tx);
+  }
+
+  async function enqueue(write) {
+    let resolveOutcome;
+    const outcome = new Promise((resolve) => {
+      resolveOutcome = resolve;
+    });
+
+    let queued;
+    try {
+      queued = await addEntry({ ...write, owner: getOwner(), queuedAt: Date.now() }, resolveOutcome);
+    } catch (error) {
+      console.error(`Couldn't queue ${write.action} on ${write.table}:`, error);
+      return { status: "dropped", error };
+    }
+
+    await countEntries();
+    if (!queued) return { status: "coalesced" };
+
+    flush();
+    return outcome;
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const delay = Math.min(retryDelay * 2 ** retryAttempt, maxRetryDelay);
+    retryAttempt++;
+    retryTimer = setTimeout(flush, delay);
+  }
+
+  async function drain() {
+    // The owner may have changed since the last count (sign-in or sign-out)
+    await countEntries();
+
+    while (true) {
+      const entry = await peekEntry();
+      if (!entry) break;
+
+      inflightSeq = entry.seq;
+      let outcome = { status: "sent" };
+      try {
+        await execute(entry);
+      } catch (error) {
+        if (isRetryable(error)) {
+          // Keep the entry at the head of the queue so order is preserved
+          inflightSeq = null;
+          scheduleRetry();
+          return;
+        }
+        console.error(`Dropping queued ${entry.action} on ${entry.table}:`, error);
+        outcome = { status: "dropped", error };
+      }
+
+      inflightSeq = null;
+      retryAttempt = 0;
+      await removeEntry(entry.seq);
+      await countEntries();
+      settle(entry.seq, outcome);
+    }
+  }
+
+  // Safe to call any time (startup, `online` event, after each enqueue);
+  // overlapping calls share one drain
+  function flush() {
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    flushing = drain()
+      .catch((error) => {
+        console.warn("Write queue flush failed:", error);
+        scheduleRetry();
+      })
+      .finally(() => {
+        flushing = null;
+        notify();
+        if (flushAgain && !retryTimer) {
+          flushAgain = false;
+          flush();
+        }
+        flushAgain = false;
+      });
+
+    notify();
+    return flushing;
+  }
+
+  return {
+    enqueue,
+    flush,
+    get pending() {
+      return pending;
+    }
+  };
+}